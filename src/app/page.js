@@ -2,34 +2,46 @@
 
 import React, { useState, useEffect, useCallback, useMemo } from "react";
 import LSMTree from "../core/lsm_tree";
+import OperationHistory from "../core/history";
 import SettingsPanel from "../components/SettingsPanel";
 import Controls from "../components/Controls";
 import MemTableVisualizer from "../components/MemTableVisualizer";
 import LevelVisualizer from "../components/LevelVisualizer";
 import LogPanel from "../components/LogPanel";
 import PerformanceMetrics from "../components/PerformanceMetrics";
-import { useLSMPersistence } from "../utils/persistence";
+import WALPanel from "../components/WALPanel";
+import SnapshotsPanel from "../components/SnapshotsPanel";
+import BlockCachePanel from "../components/BlockCachePanel";
+import WriteStallPanel from "../components/WriteStallPanel";
+import HistoryPanel from "../components/HistoryPanel";
+import WorkloadPanel from "../components/WorkloadPanel";
+import ConsolePanel from "../components/ConsolePanel";
+import { runScript } from "../core/commands";
+import ScenarioPanel from "../components/ScenarioPanel";
+import MetricsCharts from "../components/MetricsCharts";
+import KeyInspector from "../components/KeyInspector";
+import ComparePanel from "../components/ComparePanel";
+import TreeComparison from "../core/comparison";
 import {
-  TOMBSTONE,
-  MEMTABLE_DEFAULT_MAX_SIZE,
-  L0_DEFAULT_MAX_SSTABLES,
-  LEVEL_MAX_SSTABLES_FACTOR,
-  SSTABLE_DEFAULT_MAX_ITEMS,
-  MAX_LEVELS,
-} from "../constants";
+  exportScenario,
+  parseScenarioFile,
+  buildExampleScenario,
+  encodeScenarioHash,
+  decodeScenarioHash,
+  hasScenarioHash,
+  isReadPath,
+  withoutDiagnostics,
+} from "../core/scenario";
+import CompactionPlayer, {
+  getCompactionHighlight,
+} from "../components/CompactionPlayer";
+import { useLSMPersistence } from "../utils/persistence";
+import { memtableMaxBytes } from "../core/sizing";
+import { TOMBSTONE, DEFAULT_LSM_CONFIG } from "../constants";
 
 const App = () => {
   // Initial configuration for the LSM Tree
-  const initialLSMConfig = useMemo(
-    () => ({
-      memtableMaxSize: MEMTABLE_DEFAULT_MAX_SIZE,
-      l0MaxSSTables: L0_DEFAULT_MAX_SSTABLES,
-      levelMaxSSTablesFactor: LEVEL_MAX_SSTABLES_FACTOR,
-      sstableMaxItems: SSTABLE_DEFAULT_MAX_ITEMS,
-      maxLevels: MAX_LEVELS,
-    }),
-    []
-  );
+  const initialLSMConfig = useMemo(() => ({ ...DEFAULT_LSM_CONFIG }), []);
 
   // Initialize persistence hook
   const { loadPersistedState, saveState, clearPersistedState } =
@@ -41,9 +53,17 @@ const App = () => {
     () => new LSMTree(initialLSMConfig)
   );
   const [treeState, setTreeState] = useState(() => lsmTreeInstance.getState());
-  const [isCompacting, setIsCompacting] = useState(false);
+  const [history, setHistory] = useState(() => new OperationHistory());
+  const [historyState, setHistoryState] = useState(() => history.getState());
+  const [compactionPlayback, setCompactionPlayback] = useState(null); // { traceId, step, playing }
   const [readValue, setReadValue] = useState(null);
   const [readPath, setReadPath] = useState([]);
+  const [scanResult, setScanResult] = useState(null);
+  const [scenarioError, setScenarioError] = useState(null);
+  const [storageError, setStorageError] = useState(null); // Set while the tree does not fit in localStorage
+  const [inspectedKey, setInspectedKey] = useState(null); // Key open in the inspector
+  const [comparison, setComparison] = useState(null); // TreeComparison while compare mode is on
+  const [comparisonState, setComparisonState] = useState(null);
 
   // Effect to handle client-side initialization
   useEffect(() => {
@@ -52,68 +72,282 @@ const App = () => {
       const persistedState = loadPersistedState();
 
       if (persistedState.config) {
-        const newInstance = new LSMTree(persistedState.config);
+        let newInstance = null;
+        if (persistedState.treeState) {
+          try {
+            // Older builds saved the getState() snapshot; deserialize migrates it.
+            newInstance = LSMTree.deserialize(persistedState.treeState);
+          } catch (error) {
+            console.error("Error restoring LSM Tree:", error);
+            setScenarioError(error.message);
+          }
+        }
+        if (!newInstance) {
+          try {
+            newInstance = new LSMTree(persistedState.config);
+          } catch {
+            // Saved custom comparator code is never run; start over bytewise
+            newInstance = new LSMTree({
+              ...persistedState.config,
+              keyComparator: DEFAULT_LSM_CONFIG.keyComparator,
+            });
+          }
+        }
         setLsmTreeInstance(newInstance);
-        setTreeState(persistedState.treeState || newInstance.getState());
+        setTreeState(newInstance.getState());
+        if (history.entries.length === 0) {
+          // Guard against Strict Mode running this effect twice in development
+          history.record({ type: "init" }, newInstance);
+        }
+        setHistoryState(history.getState());
       }
       if (persistedState.readValue) {
         setReadValue(persistedState.readValue);
       }
-      if (persistedState.readPath) {
+      if (isReadPath(persistedState.readPath)) {
         setReadPath(persistedState.readPath);
       }
     }
-  }, [isClient, loadPersistedState]);
+  }, [isClient, loadPersistedState, history]);
+
+  // Swaps in a whole imported scenario: tree, history and last read
+  const loadScenario = useCallback((scenario) => {
+    setLsmTreeInstance(scenario.tree);
+    setTreeState(scenario.tree.getState());
+    setHistory(scenario.history);
+    setHistoryState(scenario.history.getState());
+    setReadValue(scenario.readValue);
+    setReadPath(scenario.readPath);
+    setScanResult(null);
+    setCompactionPlayback(null);
+    setScenarioError(null);
+  }, []);
 
-  // Effect to save state to localStorage whenever relevant state changes
+  // A share link overrides whatever localStorage restored
+  useEffect(() => {
+    if (!isClient || !hasScenarioHash(window.location.hash)) return;
+    decodeScenarioHash(window.location.hash)
+      .then((scenario) => {
+        loadScenario(scenario);
+        // From here on localStorage tracks the changes, so a reload keeps them
+        window.history.replaceState(
+          null,
+          "",
+          window.location.pathname + window.location.search
+        );
+      })
+      .catch((error) => setScenarioError(error.message));
+  }, [isClient, loadScenario]);
+
+  // Effect to save state to localStorage whenever relevant state changes.
+  // A tree too large to save whole is saved without its diagnostics, which
+  // only the log, the key inspector, playback and the charts use.
   useEffect(() => {
     if (isClient) {
-      saveState(lsmTreeInstance.config, treeState, readValue, readPath);
+      const state = lsmTreeInstance.serialize();
+      const saved = saveState(
+        lsmTreeInstance.config,
+        [state, withoutDiagnostics(state)],
+        readValue,
+        readPath
+      );
+      setStorageError(
+        saved
+          ? null
+          : "The tree no longer fits in this browser's storage, so it is not saved. A reload starts a new tree with the current settings; export a scenario to keep this one."
+      );
     }
-  }, [
-    treeState,
-    readValue,
-    readPath,
-    lsmTreeInstance.config,
-    saveState,
-    isClient,
-  ]);
-
-  // Callback to update UI state from LSMTree instance
-  const updateState = useCallback(() => {
-    const newState = lsmTreeInstance.getState();
-    setTreeState(newState);
-  }, [lsmTreeInstance]);
-
-  const handleWrite = (key, value) => {
-    lsmTreeInstance.put(key, value);
-    updateState();
+  }, [treeState, readValue, readPath, lsmTreeInstance, saveState, isClient]);
+
+  // Callback to update UI state from LSMTree instance, recording the operation
+  // that produced it (if any) on the undo/redo timeline
+  const updateState = useCallback(
+    (op) => {
+      if (op) {
+        history.record(op, lsmTreeInstance);
+        setHistoryState(history.getState());
+      }
+      const newState = lsmTreeInstance.getState();
+      setTreeState(newState);
+    },
+    [lsmTreeInstance, history]
+  );
+
+  // In compare mode every operation from the controls also runs on each compared tree
+  const mirrorOperation = (op) => {
+    if (!comparison) return;
+    comparison.apply(op);
+    setComparisonState(comparison.getState());
+  };
+
+  const handleWrite = (key, value, ttl) => {
+    const op = { type: "put", key, value, ...(ttl && { ttl }) };
+    lsmTreeInstance.put(key, value, ttl ? { ttl } : undefined);
+    mirrorOperation(op);
+    updateState(op);
     setReadValue(null);
     setReadPath([]);
+    setScanResult(null);
   };
 
   const handleDelete = (key) => {
+    const op = { type: "delete", key };
     lsmTreeInstance.delete(key);
-    updateState();
+    mirrorOperation(op);
+    updateState(op);
+    setReadValue(null);
+    setReadPath([]);
+    setScanResult(null);
+  };
+
+  const handleMerge = (key, operand) => {
+    const op = { type: "merge", key, operand };
+    lsmTreeInstance.merge(key, operand);
+    mirrorOperation(op);
+    updateState(op);
     setReadValue(null);
     setReadPath([]);
+    setScanResult(null);
   };
 
-  const handleRead = (key) => {
-    const result = lsmTreeInstance.get(key);
-    setReadValue(result);
+  const handleDeleteRange = (startKey, endKey) => {
+    const op = { type: "deleteRange", startKey, endKey };
+    lsmTreeInstance.deleteRange(startKey, endKey);
+    mirrorOperation(op);
+    updateState(op);
+    setReadValue(null);
+    setReadPath([]);
+    setScanResult(null);
+  };
+
+  const handleRead = (key, snapshotId = null) => {
+    const snapshot = lsmTreeInstance.snapshots.find((s) => s.id === snapshotId);
+    const result = lsmTreeInstance.get(key, { snapshot });
+    setReadValue({ ...result, snapshotId: snapshot?.id ?? null });
     setReadPath(result.path || []);
-    updateState();
+    mirrorOperation({ type: "get", key });
+    // Reads change no data, but they do change the metrics, the block cache
+    // and the log, so undo steps back over them like any other operation
+    updateState({ type: "get", key, snapshotId: snapshot?.id ?? null });
+  };
+
+  const handleScan = (startKey, endKey, options) => {
+    const result = lsmTreeInstance.scan(startKey, endKey, options);
+    setScanResult({ ...result, startKey, endKey, ...options });
+    const op = { type: "scan", startKey, endKey, ...options };
+    mirrorOperation(op);
+    updateState(op);
   };
 
-  const handleCompact = async (level = 0) => {
-    setIsCompacting(true);
-    await new Promise((resolve) => setTimeout(resolve, 50));
+  const handleCompact = (level = 0) => {
+    const firstTraceId = lsmTreeInstance.nextCompactionId;
     lsmTreeInstance.compact(level);
+    const op = { type: "compact", level };
+    mirrorOperation(op);
+    updateState(op);
+    if (lsmTreeInstance.nextCompactionId > firstTraceId) {
+      // Play back the requested compaction; any cascade it caused can be picked after
+      setCompactionPlayback({ traceId: firstTraceId, step: 0, playing: true });
+    }
+    setReadValue(null);
+    setReadPath([]);
+    setScanResult(null);
+  };
+
+  const handleTick = (ticks = 1) => {
+    const op = { type: "tick", ticks };
+    lsmTreeInstance.tick(ticks);
+    mirrorOperation(op);
+    updateState(op);
+    setReadValue(null);
+    setReadPath([]);
+    setScanResult(null);
+  };
+
+  // Live workload steps only re-render; the run is recorded once it pauses or stops
+  const handleWorkloadOps = (generator, count) => {
+    generator.run(lsmTreeInstance, count, comparison ? comparison.trees : []);
+    if (comparison) {
+      comparison.countOperations(count);
+      setComparisonState(comparison.getState());
+    }
     updateState();
-    setIsCompacting(false);
+  };
+
+  const handleWorkloadCommit = ({ ops, distribution }) => {
+    updateState({ type: "workload", ops, distribution });
     setReadValue(null);
     setReadPath([]);
+    setScanResult(null);
+  };
+
+  // A whole script is one undoable step
+  const handleConsoleRun = (script) => {
+    const results = runScript(lsmTreeInstance, script);
+    if (results.length > 0) {
+      updateState({
+        type: "console",
+        commands: results.map((result) => result.input),
+      });
+      setReadValue(null);
+      setReadPath([]);
+      setScanResult(null);
+    }
+    return results;
+  };
+
+  const handleExportScenario = (name) =>
+    exportScenario({
+      tree: lsmTreeInstance,
+      history,
+      readValue,
+      readPath,
+      name,
+    });
+
+  // Returns the scenario name so the panel can show it; throws on invalid files
+  const handleImportScenario = (text) => {
+    const scenario = parseScenarioFile(text);
+    loadScenario(scenario);
+    return scenario.name;
+  };
+
+  const handleShareScenario = async (name) => {
+    const hash = await encodeScenarioHash(
+      exportScenario({
+        tree: lsmTreeInstance,
+        readValue,
+        readPath,
+        name,
+        // Keeps the link short
+        includeHistory: false,
+        includeDiagnostics: false,
+      })
+    );
+    window.history.replaceState(null, "", hash);
+    await navigator.clipboard.writeText(window.location.href);
+  };
+
+  const handleLoadExample = (exampleId) => {
+    loadScenario(buildExampleScenario(exampleId));
+  };
+
+  const handleTakeSnapshot = () => {
+    lsmTreeInstance.getSnapshot();
+    updateState({ type: "snapshot" });
+  };
+
+  const handleReleaseSnapshot = (snapshotId) => {
+    lsmTreeInstance.releaseSnapshot(snapshotId);
+    updateState({ type: "release", snapshotId });
+  };
+
+  const handleCrash = () => {
+    lsmTreeInstance.simulateCrash();
+    updateState({ type: "crash" });
+    setReadValue(null);
+    setReadPath([]);
+    setScanResult(null);
   };
 
   const handleResetTree = (newConfigParams) => {
@@ -121,15 +355,66 @@ const App = () => {
     const newInstance = new LSMTree(configToUse);
     setLsmTreeInstance(newInstance);
     setTreeState(newInstance.getState());
+    history.record({ type: "reset", config: { ...configToUse } }, newInstance);
+    setHistoryState(history.getState());
     setReadValue(null);
     setReadPath([]);
+    setScanResult(null);
+    setCompactionPlayback(null);
     clearPersistedState();
   };
 
+  // Undo, redo and timeline jumps all swap in a tree rebuilt from the saved state
+  // Throws if the saved state cannot be restored; the History panel shows the message
+  const handleHistoryJump = (index) => {
+    const restored = history.jumpTo(index);
+    if (!restored) return;
+    setLsmTreeInstance(restored);
+    setTreeState(restored.getState());
+    setHistoryState(history.getState());
+    setReadValue(null);
+    setReadPath([]);
+    setScanResult(null);
+    setCompactionPlayback(null);
+  };
+
+  // Throws if the variants are invalid; the panel shows the message
+  const handleStartComparison = (variants) => {
+    const newComparison = new TreeComparison(variants);
+    setComparison(newComparison);
+    setComparisonState(newComparison.getState());
+  };
+
+  const handleStopComparison = () => {
+    setComparison(null);
+    setComparisonState(null);
+  };
+
   const handleSaveSettings = (newConfig) => {
     handleResetTree(newConfig);
   };
 
+  // Logs its verdict, so the log panel is refreshed too
+  const handleCheckKeyOrdering = () => {
+    const result = lsmTreeInstance.checkKeyOrdering();
+    updateState();
+    return result;
+  };
+
+  const playbackTrace = treeState.compactionTraces?.find(
+    (trace) => trace.id === compactionPlayback?.traceId
+  );
+  const compactionHighlight = playbackTrace
+    ? getCompactionHighlight(
+        playbackTrace,
+        compactionPlayback.step,
+        treeState.levels
+      )
+    : null;
+  const keyLineage = inspectedKey
+    ? lsmTreeInstance.getKeyLineage(inspectedKey)
+    : null;
+
   return (
     <div className="min-h-screen bg-gray-100 p-4 md:p-8 font-sans">
       <div className="max-w-7xl mx-auto">
@@ -142,9 +427,16 @@ const App = () => {
           </p>
         </header>
 
+        {storageError && (
+          <p className="mb-6 text-sm p-2 rounded-md bg-red-50 text-red-700 border border-red-200">
+            {storageError}
+          </p>
+        )}
+
         <SettingsPanel
           initialConfig={lsmTreeInstance.config} // Pass current config
           onSave={handleSaveSettings}
+          onCheckKeyOrdering={handleCheckKeyOrdering}
           onResetDefault={() => {
             // Reset to hardcoded default values by passing the initialLSMConfig object
             handleSaveSettings(initialLSMConfig);
@@ -155,35 +447,133 @@ const App = () => {
           onWrite={handleWrite}
           onRead={handleRead}
           onDelete={handleDelete}
+          onMerge={handleMerge}
+          onDeleteRange={handleDeleteRange}
+          onScan={handleScan}
           onCompact={handleCompact} // Default compacts L0
+          onTick={handleTick}
+          clock={treeState.clock}
           onResetTree={() => handleResetTree(lsmTreeInstance.config)} // Reset with current config
-          isCompacting={isCompacting}
+          isCompacting={Boolean(compactionPlayback?.playing)}
+          snapshots={treeState.snapshots}
+        />
+
+        <WorkloadPanel
+          onRunOps={handleWorkloadOps}
+          onCommit={handleWorkloadCommit}
+        />
+
+        <ConsolePanel onRun={handleConsoleRun} />
+
+        <ScenarioPanel
+          onExport={handleExportScenario}
+          onImportFile={handleImportScenario}
+          onShareLink={handleShareScenario}
+          onLoadExample={handleLoadExample}
+          error={scenarioError}
         />
 
         {treeState.metrics && (
           <PerformanceMetrics metrics={treeState.metrics} />
         )}
 
-        {readValue && (
-          <div className="my-4 p-4 bg-yellow-50 border border-yellow-300 rounded-lg shadow animate-fadeIn">
-            <h3 className="text-lg font-semibold text-yellow-800">
-              Read Result:
-            </h3>
-            {readValue.value === undefined && (
-              <p className="text-yellow-700">Key not found.</p>
-            )}
-            {readValue.value === TOMBSTONE && (
-              <p className="text-red-700">
-                Key found: Marked as DELETED (TOMBSTONE).
-              </p>
+        <MetricsCharts
+          samples={treeState.metricsSamples}
+          events={treeState.compactionEvents}
+        />
+
+        <ComparePanel
+          baseConfig={treeState.config}
+          comparison={comparisonState}
+          onStart={handleStartComparison}
+          onStop={handleStopComparison}
+          onExport={() => comparison.getReport()}
+        />
+
+        {(readValue || scanResult) && (
+          <div className="my-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+            {readValue && (
+              <div className="p-4 bg-yellow-50 border border-yellow-300 rounded-lg shadow animate-fadeIn">
+                <h3 className="text-lg font-semibold text-yellow-800">
+                  Read Result
+                  {readValue.snapshotId
+                    ? ` (as of Snapshot #${readValue.snapshotId})`
+                    : ""}
+                  :
+                </h3>
+                {readValue.value === undefined && (
+                  <p className="text-yellow-700">Key not found.</p>
+                )}
+                {readValue.value === TOMBSTONE && (
+                  <p className="text-red-700">
+                    {readValue.rangeTombstone
+                      ? "Key deleted by a RANGE TOMBSTONE."
+                      : readValue.expired
+                      ? `Key EXPIRED at t=${readValue.expiresAt}: hidden until compaction reclaims it.`
+                      : "Key found: Marked as DELETED (TOMBSTONE)."}
+                  </p>
+                )}
+                {readValue.value !== undefined &&
+                  readValue.value !== TOMBSTONE && (
+                    <p className="text-yellow-700">
+                      Key found:{" "}
+                      <span className="font-bold">
+                        {JSON.stringify(readValue.value)}
+                      </span>
+                    </p>
+                  )}
+                {readValue.seq !== undefined && (
+                  <p className="text-xs text-yellow-600">
+                    Version seq #{readValue.seq}
+                    {!readValue.expired && readValue.expiresAt !== undefined
+                      ? `, expires at t=${readValue.expiresAt}`
+                      : ""}
+                  </p>
+                )}
+                {readValue.operands && (
+                  <p className="text-xs text-violet-700">
+                    Merged {readValue.operands.length} operand(s) (
+                    {[...readValue.operands]
+                      .reverse()
+                      .map(({ operand, seq }) => `${operand} #${seq}`)
+                      .join(", ")}
+                    ) onto{" "}
+                    {readValue.base
+                      ? readValue.base.value !== undefined
+                        ? `"${readValue.base.value}" #${readValue.base.seq}`
+                        : readValue.base.expiresAt !== undefined
+                        ? `a value that expired at t=${readValue.base.expiresAt} #${readValue.base.seq}`
+                        : `a delete #${readValue.base.seq}`
+                      : "nothing"}
+                    .
+                  </p>
+                )}
+              </div>
             )}
-            {readValue.value !== undefined && readValue.value !== TOMBSTONE && (
-              <p className="text-yellow-700">
-                Key found:{" "}
-                <span className="font-bold">
-                  {JSON.stringify(readValue.value)}
-                </span>
-              </p>
+            {scanResult && (
+              <div className="p-4 bg-teal-50 border border-teal-300 rounded-lg shadow animate-fadeIn">
+                <h3 className="text-lg font-semibold text-teal-800">
+                  Scan Result [{scanResult.startKey || "-inf"} -{" "}
+                  {scanResult.endKey || "+inf"}]
+                  {scanResult.reverse ? " (reverse)" : ""}:
+                </h3>
+                <p className="text-xs text-teal-700 mb-2">
+                  {scanResult.results.length} keys from{" "}
+                  {scanResult.path.filter((p) => p.keysReturned > 0).length} of{" "}
+                  {scanResult.path.length} sources merged.
+                </p>
+                {scanResult.results.length === 0 ? (
+                  <p className="text-teal-700">No live keys in range.</p>
+                ) : (
+                  <ul className="max-h-40 overflow-y-auto text-sm font-mono text-teal-900">
+                    {scanResult.results.map(([key, value]) => (
+                      <li key={key}>
+                        {key}: {JSON.stringify(value)}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
             )}
           </div>
         )}
@@ -193,12 +583,59 @@ const App = () => {
             <h2 className="text-2xl font-semibold text-gray-700 mb-3">
               LSM Tree Structure
             </h2>
+            <CompactionPlayer
+              traces={treeState.compactionTraces}
+              playback={playbackTrace ? compactionPlayback : null}
+              onChange={setCompactionPlayback}
+              onClose={() => setCompactionPlayback(null)}
+            />
+            <KeyInspector
+              lineage={keyLineage}
+              onClose={() => setInspectedKey(null)}
+            />
             <MemTableVisualizer
               memtableData={treeState.memtable}
+              rangeTombstones={treeState.memtableRangeTombstones}
               maxSize={treeState.config.memtableMaxSize}
+              maxBytes={memtableMaxBytes(treeState.config)}
+              memtableId={treeState.memtableId}
+              skipList={treeState.memtableSkipList}
               readPathItem={readPath?.find((p) => p.id === "memtable")}
+              scanPathItem={scanResult?.path.find((p) => p.id === "memtable")}
+              selectedKey={inspectedKey}
+              onSelectKey={setInspectedKey}
+              clock={treeState.clock}
             />
-            {treeState.levels.map(
+            {/* Immutable queue, newest first: the order reads check them in */}
+            {[...(treeState.immutableMemtables || [])]
+              .reverse()
+              .map((memtable) => (
+                <MemTableVisualizer
+                  key={memtable.id}
+                  memtableData={memtable.data}
+                  rangeTombstones={memtable.rangeTombstones}
+                  maxSize={treeState.config.memtableMaxSize}
+                  maxBytes={memtableMaxBytes(treeState.config)}
+                  memtableId={memtable.id}
+                  skipList={memtable.skipList}
+                  immutable
+                  flushJob={
+                    treeState.flushJob?.memtableId === memtable.id
+                      ? treeState.flushJob
+                      : null
+                  }
+                  readPathItem={readPath?.find(
+                    (p) => p.id === `imm-${memtable.id}`
+                  )}
+                  scanPathItem={scanResult?.path.find(
+                    (p) => p.id === `imm-${memtable.id}`
+                  )}
+                  selectedKey={inspectedKey}
+                  onSelectKey={setInspectedKey}
+                  clock={treeState.clock}
+                />
+              ))}
+            {(compactionHighlight?.levels || treeState.levels).map(
               (
                 levelData,
                 idx // Renamed 'level' to 'levelData' to avoid conflict
@@ -208,6 +645,17 @@ const App = () => {
                   level={levelData}
                   levelIdx={idx}
                   readPath={readPath}
+                  scanPath={scanResult?.path}
+                  compactionHighlight={compactionHighlight}
+                  // Playback shows past levels, which the current counts do not describe
+                  stats={
+                    compactionHighlight
+                      ? null
+                      : treeState.metrics?.levelStats[idx]
+                  }
+                  selectedKey={inspectedKey}
+                  onSelectKey={setInspectedKey}
+                  clock={treeState.clock}
                 />
               )
             )}
@@ -216,6 +664,28 @@ const App = () => {
             <h2 className="text-2xl font-semibold text-gray-700 mb-3">
               Operations Log
             </h2>
+            <HistoryPanel history={historyState} onJump={handleHistoryJump} />
+            <SnapshotsPanel
+              snapshots={treeState.snapshots}
+              lastSequence={treeState.lastSequence}
+              onTake={handleTakeSnapshot}
+              onRelease={handleReleaseSnapshot}
+            />
+            <BlockCachePanel
+              cache={treeState.blockCache}
+              metrics={treeState.metrics}
+            />
+            <WriteStallPanel
+              writeStall={treeState.writeStall}
+              writeStalls={treeState.writeStalls}
+              compactionJob={treeState.compactionJob}
+              config={treeState.config}
+            />
+            <WALPanel
+              wal={treeState.wal}
+              lastRecovery={treeState.lastRecovery}
+              onCrash={handleCrash}
+            />
             <LogPanel logs={treeState.log} />
           </div>
         </div>
@@ -0,0 +1,110 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight, HardDrive, HelpCircle } from "lucide-react";
+import Tooltip from "./Tooltip";
+import { BLOCK_CACHE_POLICIES } from "../core/block_cache";
+
+const BlockCachePanel = ({ cache, metrics }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  if (!cache) return null;
+  const policy = BLOCK_CACHE_POLICIES[cache.policy];
+  // LRU keeps the least recently used block first; list the most recent first
+  const slots =
+    cache.policy === "lru"
+      ? cache.entries.map((entry, slot) => ({ entry, slot })).reverse()
+      : cache.entries.map((entry, slot) => ({ entry, slot }));
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left font-semibold text-gray-700 mb-2 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <HardDrive size={18} className="mr-2 text-emerald-600" /> Block Cache (
+        {cache.entries.length} / {cache.capacity})
+      </button>
+      {isOpen && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>
+              {policy.label} eviction, hit ratio {metrics.blockCacheHitRatio}
+            </span>
+            <Tooltip text={policy.description}>
+              <HelpCircle size={14} className="text-gray-400 cursor-help" />
+            </Tooltip>
+          </div>
+          <div className="grid grid-cols-3 gap-2 text-center text-xs">
+            {[
+              ["Hits", metrics.blockCacheHits],
+              ["Misses", metrics.blockCacheMisses],
+              ["Evictions", metrics.blockCacheEvictions],
+            ].map(([label, value]) => (
+              <div
+                key={label}
+                className="p-1 bg-gray-50 border border-gray-200 rounded-md"
+              >
+                <div className="text-gray-500">{label}</div>
+                <div className="font-semibold text-emerald-700">{value}</div>
+              </div>
+            ))}
+          </div>
+          {cache.capacity === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              Cache is off (capacity 0): every read loads its blocks from the
+              SSTables.
+            </p>
+          ) : cache.entries.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              Cache is empty: the next reads load their blocks from the
+              SSTables.
+            </p>
+          ) : (
+            <ol className="space-y-1 text-xs font-mono">
+              {slots.map(({ entry, slot }, idx) => (
+                <li
+                  key={`${entry.tableId}-${entry.block}`}
+                  className="flex items-center gap-2 p-1 border border-emerald-200 rounded-md bg-emerald-50"
+                >
+                  <span className="w-8 shrink-0 text-gray-400">
+                    {cache.policy === "lru"
+                      ? idx === 0
+                        ? "MRU"
+                        : idx === slots.length - 1
+                        ? "LRU"
+                        : ""
+                      : slot === cache.hand
+                      ? "hand"
+                      : ""}
+                  </span>
+                  <span className="text-gray-700">
+                    {entry.level !== null ? `L${entry.level} ` : ""}
+                    {entry.tableId.substring(entry.tableId.length - 5)}{" "}
+                    {entry.block === "index" ? "index" : `#${entry.block}`}
+                  </span>
+                  <span className="ml-auto text-gray-500 truncate">
+                    [{entry.firstKey} - {entry.lastKey}]
+                  </span>
+                  {cache.policy === "clock" && (
+                    <span
+                      className={
+                        entry.referenced ? "text-emerald-700" : "text-gray-400"
+                      }
+                      title="Reference bit: set on every hit, cleared as the hand passes"
+                    >
+                      ref {entry.referenced ? 1 : 0}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default BlockCachePanel;
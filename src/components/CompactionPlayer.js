@@ -0,0 +1,269 @@
+import React, { useState, useEffect } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  Film,
+  Play,
+  Pause,
+  SkipBack,
+  SkipForward,
+  StepBack,
+  StepForward,
+  X,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+
+// Milliseconds between steps while autoplaying
+const PLAYBACK_SPEEDS = [
+  { label: "0.5x", delay: 1600 },
+  { label: "1x", delay: 800 },
+  { label: "2x", delay: 400 },
+  { label: "4x", delay: 200 },
+];
+
+const STEP_STYLES = {
+  pick: "bg-fuchsia-200 text-fuchsia-800",
+  overlap: "bg-orange-200 text-orange-800",
+  merge: "bg-blue-200 text-blue-800",
+  drop: "bg-red-200 text-red-800",
+  cut: "bg-green-200 text-green-800",
+  install: "bg-gray-200 text-gray-800",
+};
+
+// The live levels with the tables the compaction touched taken out and the
+// given ones put back where they sat. Tables later jobs changed are drawn as
+// they are now.
+const playbackLevels = (trace, liveLevels, tables) => {
+  const touchedIds = new Set(
+    [...trace.removed, ...trace.added].map((sstable) => sstable.id)
+  );
+  const levels = liveLevels.map((level) =>
+    level.filter((sstable) => !touchedIds.has(sstable.id))
+  );
+  [...tables]
+    .sort((a, b) => a.index - b.index)
+    .forEach((sstable) =>
+      levels[sstable.level]?.splice(sstable.index, 0, sstable)
+    );
+  return levels;
+};
+
+// What the level visualizers should highlight at a given step of a trace.
+// The removed tables are shown until the install step, the added ones from then on.
+export const getCompactionHighlight = (trace, stepIdx, liveLevels) => {
+  const step = trace.steps[stepIdx];
+  const seen = trace.steps.slice(0, stepIdx + 1);
+  const installed = step.type === "install";
+  return {
+    levels: playbackLevels(
+      trace,
+      liveLevels,
+      installed ? trace.added : trace.removed
+    ),
+    sourceIds: installed ? [] : trace.inputIds,
+    targetIds:
+      installed || !seen.some((s) => s.type === "overlap")
+        ? []
+        : trace.overlappingIds,
+    outputIds: installed ? step.addedIds : [],
+    mergeKey: step.type === "merge" || step.type === "drop" ? step.key : null,
+  };
+};
+
+const CompactionPlayer = ({ traces, playback, onChange, onClose }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [speedIdx, setSpeedIdx] = useState(1);
+  const trace = traces?.find((t) => t.id === playback?.traceId);
+  const lastStep = trace ? trace.steps.length - 1 : 0;
+
+  useEffect(() => {
+    if (!trace || !playback.playing) return undefined;
+    const timer = setTimeout(() => {
+      const step = Math.min(playback.step + 1, lastStep);
+      onChange({ ...playback, step, playing: step < lastStep });
+    }, PLAYBACK_SPEEDS[speedIdx].delay);
+    return () => clearTimeout(timer);
+  }, [trace, playback, lastStep, speedIdx, onChange]);
+
+  if (!traces || traces.length === 0) return null;
+
+  const goTo = (step) =>
+    onChange({
+      traceId: trace ? trace.id : traces[traces.length - 1].id,
+      step: Math.max(0, Math.min(step, lastStep)),
+      playing: false,
+    });
+  const step = trace?.steps[playback.step];
+  // Outputs are cut one at a time; list those written up to the current step
+  const outputsSoFar = trace
+    ? trace.steps.slice(0, playback.step + 1).filter((s) => s.type === "cut")
+    : [];
+  const buttonClass =
+    "p-1.5 rounded-md bg-gray-100 hover:bg-gray-200 disabled:opacity-40 text-gray-700";
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left font-semibold text-gray-700 mb-2 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <Film size={18} className="mr-2 text-fuchsia-600" /> Compaction Playback
+        ({traces.length} recent)
+      </button>
+      {isOpen && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap items-center gap-2">
+            <select
+              value={trace ? trace.id : ""}
+              onChange={(e) =>
+                onChange({
+                  traceId: parseInt(e.target.value, 10),
+                  step: 0,
+                  playing: false,
+                })
+              }
+              className="p-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+            >
+              {!trace && <option value="">Pick a compaction...</option>}
+              {[...traces].reverse().map((t) => (
+                <option key={t.id} value={t.id}>
+                  #{t.id} {t.action} L{t.sourceLevel}
+                  {t.targetLevel !== t.sourceLevel
+                    ? ` to L${t.targetLevel}`
+                    : ""}
+                </option>
+              ))}
+            </select>
+            <select
+              value={speedIdx}
+              onChange={(e) => setSpeedIdx(parseInt(e.target.value, 10))}
+              className="p-1.5 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+            >
+              {PLAYBACK_SPEEDS.map((speed, idx) => (
+                <option key={speed.label} value={idx}>
+                  {speed.label}
+                </option>
+              ))}
+            </select>
+            <Tooltip text="While a compaction is being played back, the levels show the tables it read until the install step, and the tables it wrote from then on. Tables it did not touch are shown as they are now.">
+              <HelpCircle size={14} className="text-gray-400 cursor-help" />
+            </Tooltip>
+            {trace && (
+              <button
+                onClick={onClose}
+                className="ml-auto text-xs px-2 py-1 bg-gray-200 text-gray-700 rounded hover:bg-gray-300 flex items-center"
+              >
+                <X size={12} className="mr-1" /> Back to live tree
+              </button>
+            )}
+          </div>
+          <div className="flex items-center gap-1">
+            <button
+              onClick={() => goTo(0)}
+              disabled={!trace || playback.step === 0}
+              className={buttonClass}
+              title="First step"
+            >
+              <SkipBack size={16} />
+            </button>
+            <button
+              onClick={() => goTo((playback?.step ?? 0) - 1)}
+              disabled={!trace || playback.step === 0}
+              className={buttonClass}
+              title="Step back"
+            >
+              <StepBack size={16} />
+            </button>
+            <button
+              onClick={() =>
+                trace
+                  ? onChange({
+                      ...playback,
+                      // Replaying from the end starts over
+                      step: playback.step === lastStep ? 0 : playback.step,
+                      playing: !playback.playing,
+                    })
+                  : onChange({
+                      traceId: traces[traces.length - 1].id,
+                      step: 0,
+                      playing: true,
+                    })
+              }
+              className="p-1.5 rounded-md bg-fuchsia-500 hover:bg-fuchsia-600 text-white"
+              title={playback?.playing ? "Pause" : "Play"}
+            >
+              {playback?.playing ? <Pause size={16} /> : <Play size={16} />}
+            </button>
+            <button
+              onClick={() => goTo((playback?.step ?? -1) + 1)}
+              disabled={trace && playback.step === lastStep}
+              className={buttonClass}
+              title="Step forward"
+            >
+              <StepForward size={16} />
+            </button>
+            <button
+              onClick={() => goTo(lastStep)}
+              disabled={!trace || playback.step === lastStep}
+              className={buttonClass}
+              title="Last step"
+            >
+              <SkipForward size={16} />
+            </button>
+            {trace && (
+              <span className="ml-2 text-xs text-gray-500">
+                Step {playback.step + 1} / {trace.steps.length}
+              </span>
+            )}
+          </div>
+          {step && (
+            <div className="p-2 border border-gray-200 rounded-md bg-gray-50 text-sm text-gray-700">
+              <span
+                className={`mr-2 text-xs px-1.5 py-0.5 rounded ${
+                  STEP_STYLES[step.type]
+                }`}
+              >
+                {step.type}
+              </span>
+              {step.description}
+              {step.type === "merge" && (
+                <div className="mt-1 text-xs text-gray-500 font-mono">
+                  {step.cursors
+                    .map(
+                      (cursor) =>
+                        `${cursor.tableId.substring(
+                          cursor.tableId.length - 5
+                        )}@${cursor.index}`
+                    )
+                    .join("  ")}
+                </div>
+              )}
+            </div>
+          )}
+          {outputsSoFar.length > 0 && (
+            <div className="text-xs text-gray-600">
+              Outputs written:{" "}
+              {outputsSoFar.map((cut) => (
+                <span
+                  key={cut.tableId}
+                  className="font-mono mr-1 px-1 bg-green-100 text-green-800 rounded"
+                >
+                  {cut.tableId.substring(cut.tableId.length - 5)} ({cut.items}
+                  {cut.rangeTombstones > 0 && ` + ${cut.rangeTombstones} range`}
+                  )
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default CompactionPlayer;
@@ -0,0 +1,333 @@
+import React, { useState } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  Columns,
+  Play,
+  Square,
+  Plus,
+  Trash2,
+  Download,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+import MemTableVisualizer from "./MemTableVisualizer";
+import LevelVisualizer from "./LevelVisualizer";
+import { COMPACTION_STRATEGIES } from "../core/compaction";
+import { COMPARED_METRICS, describeConfigDiff } from "../core/comparison";
+import { memtableMaxBytes } from "../core/sizing";
+import { CONFIG_LIMITS } from "../constants";
+import { downloadFile } from "../utils/download";
+
+// Settings that can differ between the compared trees
+const VARIANT_FIELDS = [
+  { name: "memtableMaxSize", label: "MemTable Max Size" },
+  { name: "l0MaxSSTables", label: "L0 Max SSTables" },
+  { name: "levelMaxSSTablesFactor", label: "Level Size Factor" },
+  { name: "sstableMaxItems", label: "SSTable Max Items" },
+  { name: "memtableMaxBytes", label: "MemTable Max Bytes" },
+  { name: "sstableMaxBytes", label: "SSTable Max Bytes" },
+  { name: "bloomBitsPerKey", label: "Bloom Bits per Key" },
+  { name: "blockCacheCapacity", label: "Block Cache Blocks" },
+  { name: "maxImmutableMemtables", label: "Max Immutable MemTables" },
+];
+
+// More columns than this no longer fit side by side
+const MAX_VARIANTS = 4;
+
+const ComparePanel = ({
+  baseConfig,
+  comparison,
+  onStart,
+  onStop,
+  onExport,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [variants, setVariants] = useState(() => [
+    { label: "Current settings", config: { ...baseConfig } },
+    {
+      label: "Larger MemTable",
+      config: {
+        ...baseConfig,
+        memtableMaxSize: baseConfig.memtableMaxSize * 2,
+      },
+    },
+  ]);
+  const [error, setError] = useState(null);
+
+  const updateVariant = (idx, changes) =>
+    setVariants((prev) =>
+      prev.map((variant, i) =>
+        i === idx ? { ...variant, ...changes } : variant
+      )
+    );
+
+  const handleFieldChange = (idx, name, value) => {
+    const parsedValue = parseInt(value, 10);
+    const { min = 1, max = Infinity } = CONFIG_LIMITS[name] || {};
+    updateVariant(idx, {
+      config: {
+        ...variants[idx].config,
+        [name]: parsedValue >= min ? Math.min(parsedValue, max) : min,
+      },
+    });
+  };
+
+  const handleAdd = () =>
+    setVariants((prev) => [
+      ...prev,
+      {
+        label: `Config ${prev.length + 1}`,
+        config: { ...prev[prev.length - 1].config },
+      },
+    ]);
+
+  const handleStart = () => {
+    try {
+      onStart(variants);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExport = () =>
+    downloadFile(
+      "lsm-comparison.json",
+      JSON.stringify(onExport(), null, 2),
+      "application/json"
+    );
+
+  const columnsStyle = (count) => ({
+    gridTemplateColumns: `repeat(${count}, minmax(0, 1fr))`,
+  });
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left text-xl font-semibold text-gray-700 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <Columns size={20} className="mr-2 text-cyan-600" /> Compare
+        Configurations
+        {comparison && (
+          <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-cyan-200 text-cyan-800">
+            {comparison.variants.length} trees, {comparison.operations} ops
+          </span>
+        )}
+      </button>
+      {isOpen && !comparison && (
+        <div className="mt-3 space-y-3">
+          <p className="text-sm text-gray-600 flex items-center">
+            Each configuration gets its own empty tree.
+            <Tooltip text="Puts, gets, deletes, scans, compactions and ticks from the controls, and generated workloads, are mirrored to every tree. Undo and the console only affect the main tree.">
+              <HelpCircle
+                size={14}
+                className="ml-1 text-gray-400 cursor-help"
+              />
+            </Tooltip>
+          </p>
+          <div className="grid gap-3" style={columnsStyle(variants.length)}>
+            {variants.map((variant, idx) => (
+              <div
+                key={idx}
+                className="p-3 bg-gray-50 border border-gray-200 rounded-md space-y-2"
+              >
+                <div className="flex items-center gap-1">
+                  <input
+                    type="text"
+                    value={variant.label}
+                    onChange={(e) =>
+                      updateVariant(idx, { label: e.target.value })
+                    }
+                    className="w-full p-1 border border-gray-300 rounded-md text-sm font-medium text-gray-700"
+                  />
+                  {variants.length > 2 && (
+                    <button
+                      onClick={() =>
+                        setVariants((prev) => prev.filter((_, i) => i !== idx))
+                      }
+                      className="p-1 text-gray-400 hover:text-red-600"
+                      title="Remove this configuration"
+                    >
+                      <Trash2 size={16} />
+                    </button>
+                  )}
+                </div>
+                <select
+                  value={variant.config.compactionStrategy}
+                  onChange={(e) =>
+                    updateVariant(idx, {
+                      config: {
+                        ...variant.config,
+                        compactionStrategy: e.target.value,
+                      },
+                    })
+                  }
+                  className="w-full p-1 border border-gray-300 rounded-md text-sm text-gray-700 bg-white"
+                >
+                  {Object.values(COMPACTION_STRATEGIES).map((strategy) => (
+                    <option key={strategy.name} value={strategy.name}>
+                      {strategy.label}
+                    </option>
+                  ))}
+                </select>
+                {VARIANT_FIELDS.map((field) => (
+                  <label
+                    key={field.name}
+                    className="flex items-center justify-between gap-2 text-xs text-gray-600"
+                  >
+                    {field.label}
+                    <input
+                      type="number"
+                      min={CONFIG_LIMITS[field.name]?.min ?? 1}
+                      max={CONFIG_LIMITS[field.name]?.max}
+                      value={variant.config[field.name]}
+                      onChange={(e) =>
+                        handleFieldChange(idx, field.name, e.target.value)
+                      }
+                      className="w-16 p-1 border border-gray-300 rounded-md text-gray-700"
+                    />
+                  </label>
+                ))}
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={handleAdd}
+              disabled={variants.length >= MAX_VARIANTS}
+              className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 disabled:bg-gray-300 flex items-center justify-center transition-colors"
+            >
+              <Plus size={18} className="mr-2" /> Add Configuration
+            </button>
+            <button
+              onClick={handleStart}
+              className="px-4 py-2 bg-cyan-600 text-white rounded-md hover:bg-cyan-700 flex items-center justify-center transition-colors"
+            >
+              <Play size={18} className="mr-2" /> Start Comparison
+            </button>
+          </div>
+          {error && (
+            <p className="text-sm p-2 rounded-md bg-red-50 text-red-700 border border-red-200">
+              {error}
+            </p>
+          )}
+        </div>
+      )}
+      {isOpen && comparison && (
+        <div className="mt-3 space-y-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <p className="text-sm text-gray-600 mr-auto">
+              {comparison.operations} operations mirrored to{" "}
+              {comparison.variants.length} trees.
+            </p>
+            <button
+              onClick={handleExport}
+              className="px-4 py-2 bg-cyan-600 text-white rounded-md hover:bg-cyan-700 flex items-center justify-center transition-colors"
+            >
+              <Download size={18} className="mr-2" /> Export JSON
+            </button>
+            <button
+              onClick={onStop}
+              className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 flex items-center justify-center transition-colors"
+            >
+              <Square size={18} className="mr-2" /> Stop Comparing
+            </button>
+          </div>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-left text-gray-700">
+              <thead className="text-xs text-gray-500 bg-gray-50">
+                <tr>
+                  <th className="px-2 py-1 uppercase">Metric</th>
+                  {comparison.variants.map((variant) => (
+                    <th key={variant.id} className="px-2 py-1">
+                      <div className="uppercase">{variant.label}</div>
+                      <div className="font-normal normal-case text-gray-400">
+                        {describeConfigDiff(
+                          variant.state.config,
+                          comparison.variants[0].state.config
+                        )}
+                      </div>
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {COMPARED_METRICS.map((metric) => {
+                  const baseline =
+                    comparison.variants[0].state.metrics[metric.name];
+                  return (
+                    <tr key={metric.name} className="border-t border-gray-200">
+                      <td className="px-2 py-1 font-medium">{metric.label}</td>
+                      {comparison.variants.map((variant) => {
+                        const value = variant.state.metrics[metric.name];
+                        return (
+                          <td
+                            key={variant.id}
+                            className={`px-2 py-1 ${
+                              value !== baseline
+                                ? "bg-amber-50 text-amber-800 font-semibold"
+                                : ""
+                            }`}
+                          >
+                            {value}
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+          <div
+            className="grid gap-3"
+            style={columnsStyle(comparison.variants.length)}
+          >
+            {comparison.variants.map(({ id, label, state }) => (
+              <div key={id} className="min-w-0">
+                <h3 className="text-md font-semibold text-gray-700 mb-2 truncate">
+                  {label}
+                </h3>
+                <MemTableVisualizer
+                  memtableData={state.memtable}
+                  maxSize={state.config.memtableMaxSize}
+                  maxBytes={memtableMaxBytes(state.config)}
+                  memtableId={state.memtableId}
+                  clock={state.clock}
+                />
+                {[...state.immutableMemtables].reverse().map((memtable) => (
+                  <MemTableVisualizer
+                    key={memtable.id}
+                    memtableData={memtable.data}
+                    maxSize={state.config.memtableMaxSize}
+                    maxBytes={memtableMaxBytes(state.config)}
+                    memtableId={memtable.id}
+                    immutable
+                    clock={state.clock}
+                  />
+                ))}
+                {state.levels.map((level, idx) => (
+                  <LevelVisualizer
+                    key={idx}
+                    level={level}
+                    levelIdx={idx}
+                    stats={state.metrics.levelStats[idx]}
+                    clock={state.clock}
+                  />
+                ))}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+export default ComparePanel;
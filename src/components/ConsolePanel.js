@@ -0,0 +1,206 @@
+import React, { useState, useRef, useEffect } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  Terminal,
+  Play,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+import { completeCommand } from "../core/commands";
+
+const EXAMPLE_SCRIPT = `# Fill a few levels, then read some keys back
+repeat 30 put k{i} v{i}
+del k3
+compact L0
+get k3
+scan k1 k2`;
+
+const ConsolePanel = ({ onRun }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [input, setInput] = useState("");
+  const [script, setScript] = useState(EXAMPLE_SCRIPT);
+  const [scriptMode, setScriptMode] = useState(false);
+  const [output, setOutput] = useState([]); // { id, input, output?, error? }
+  const [commandHistory, setCommandHistory] = useState([]); // Oldest first
+  const [historyIdx, setHistoryIdx] = useState(null); // Position while browsing with arrows
+  const outputRef = useRef(null);
+  const nextIdRef = useRef(1);
+  const suggestions = input ? completeCommand(input) : [];
+
+  useEffect(() => {
+    if (outputRef.current) {
+      outputRef.current.scrollTop = outputRef.current.scrollHeight;
+    }
+  }, [output]);
+
+  const run = (text, isScript) => {
+    const results = onRun(text);
+    setOutput(
+      (prev) =>
+        [
+          ...prev,
+          ...results.map((result) => ({
+            ...result,
+            lineNumber: isScript ? result.lineNumber : null, // Only scripts have lines
+            id: nextIdRef.current++,
+          })),
+        ].slice(-200) // Keep the console scrollback manageable
+    );
+  };
+
+  const handleSubmit = () => {
+    const command = input.trim();
+    if (!command) return;
+    if (command === "clear") {
+      setOutput([]);
+    } else {
+      run(command, false);
+    }
+    setCommandHistory((prev) => [...prev, command]);
+    setHistoryIdx(null);
+    setInput("");
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "Enter") {
+      handleSubmit();
+    } else if (e.key === "Tab" && suggestions.length > 0) {
+      e.preventDefault();
+      setInput(`${suggestions[0].name} `);
+    } else if (e.key === "ArrowUp" && commandHistory.length > 0) {
+      e.preventDefault();
+      const idx =
+        historyIdx === null
+          ? commandHistory.length - 1
+          : Math.max(0, historyIdx - 1);
+      setHistoryIdx(idx);
+      setInput(commandHistory[idx]);
+    } else if (e.key === "ArrowDown" && historyIdx !== null) {
+      e.preventDefault();
+      const idx = historyIdx + 1;
+      setHistoryIdx(idx < commandHistory.length ? idx : null);
+      setInput(idx < commandHistory.length ? commandHistory[idx] : "");
+    }
+  };
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left text-xl font-semibold text-gray-700 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <Terminal size={20} className="mr-2 text-gray-800" /> Console
+      </button>
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          <div className="flex items-center gap-2 text-sm">
+            <button
+              onClick={() => setScriptMode(false)}
+              className={`px-3 py-1 rounded-md ${
+                !scriptMode
+                  ? "bg-gray-800 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              Command
+            </button>
+            <button
+              onClick={() => setScriptMode(true)}
+              className={`px-3 py-1 rounded-md ${
+                scriptMode
+                  ? "bg-gray-800 text-white"
+                  : "bg-gray-200 text-gray-700 hover:bg-gray-300"
+              }`}
+            >
+              Script
+            </button>
+            <Tooltip text="Type 'help' for all commands. Tab completes, Up/Down browse past commands, 'clear' empties the output. A script runs as one undoable step.">
+              <HelpCircle size={14} className="text-gray-400 cursor-help" />
+            </Tooltip>
+          </div>
+          <div
+            ref={outputRef}
+            className="h-48 overflow-y-auto bg-gray-900 text-gray-100 font-mono text-xs p-2 rounded-md"
+          >
+            {output.length === 0 && (
+              <p className="text-gray-500 italic">
+                No output yet. Try: put user:1 alice
+              </p>
+            )}
+            {output.map((line) => (
+              <div key={line.id}>
+                <div className="text-green-400">&gt; {line.input}</div>
+                {line.error ? (
+                  <div className="text-red-400">
+                    {line.lineNumber ? `line ${line.lineNumber}: ` : ""}
+                    {line.error}
+                  </div>
+                ) : (
+                  <div className="text-gray-300 break-all">{line.output}</div>
+                )}
+              </div>
+            ))}
+          </div>
+          {scriptMode ? (
+            <div className="space-y-2">
+              <textarea
+                value={script}
+                onChange={(e) => setScript(e.target.value)}
+                rows={6}
+                spellCheck={false}
+                className="w-full p-2 border border-gray-300 rounded-md font-mono text-sm text-gray-700 focus:ring-blue-500 focus:border-blue-500"
+              />
+              <button
+                onClick={() => run(script, true)}
+                className="px-4 py-2 bg-gray-800 text-white rounded-md hover:bg-gray-900 flex items-center justify-center transition-colors"
+              >
+                <Play size={18} className="mr-2" /> Run Script
+              </button>
+            </div>
+          ) : (
+            <div className="relative">
+              <input
+                type="text"
+                value={input}
+                onChange={(e) => {
+                  setInput(e.target.value);
+                  setHistoryIdx(null);
+                }}
+                onKeyDown={handleKeyDown}
+                placeholder="put user:1 alice"
+                spellCheck={false}
+                className="w-full p-2 border border-gray-300 rounded-md font-mono text-sm text-gray-700 focus:ring-blue-500 focus:border-blue-500"
+              />
+              {suggestions.length > 0 && (
+                <ul className="absolute z-10 mt-1 w-full bg-white border border-gray-200 rounded-md shadow-lg text-xs">
+                  {suggestions.map((suggestion) => (
+                    <li key={suggestion.name}>
+                      <button
+                        onClick={() => setInput(`${suggestion.name} `)}
+                        className="w-full text-left px-2 py-1 hover:bg-gray-100"
+                      >
+                        <span className="font-mono text-gray-800">
+                          {suggestion.usage}
+                        </span>
+                        <span className="ml-2 text-gray-500">
+                          {suggestion.description}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default ConsolePanel;
@@ -1,28 +1,67 @@
 import React, { useState } from "react";
-import { Trash2, Search, Edit3, Zap, RotateCcw } from "lucide-react";
+import {
+  Trash2,
+  Search,
+  Edit3,
+  Zap,
+  RotateCcw,
+  ListOrdered,
+  Clock,
+  Eraser,
+  PlusCircle,
+} from "lucide-react";
 
 const Controls = ({
   onWrite,
   onRead,
   onDelete,
+  onMerge,
+  onDeleteRange,
+  onScan,
   onCompact,
+  onTick,
   onResetTree,
   isCompacting,
+  snapshots = [],
+  clock = 0,
 }) => {
   const [key, setKey] = useState("");
   const [value, setValue] = useState("");
+  const [ttl, setTtl] = useState("");
+  const [tickCount, setTickCount] = useState("1");
   const [readKey, setReadKey] = useState("");
+  const [readSnapshotId, setReadSnapshotId] = useState("");
+  const [scanStart, setScanStart] = useState("");
+  const [scanEnd, setScanEnd] = useState("");
+  const [scanLimit, setScanLimit] = useState("");
+  const [scanReverse, setScanReverse] = useState(false);
+  const [rangeStart, setRangeStart] = useState("");
+  const [rangeEnd, setRangeEnd] = useState("");
 
   const handleWrite = () => {
     if (key.trim()) {
-      onWrite(key.trim(), value); // Trim key
+      // An empty TTL writes a value that never expires
+      const ticks = parseInt(ttl, 10);
+      onWrite(key.trim(), value, ticks > 0 ? ticks : undefined); // Trim key
       setKey("");
       setValue("");
+      setTtl("");
     } else {
       alert("Key cannot be empty for write.");
     }
   };
 
+  // The value field holds the operand the tree's merge operator applies
+  const handleMerge = () => {
+    if (key.trim()) {
+      onMerge(key.trim(), value);
+      setKey("");
+      setValue("");
+    } else {
+      alert("Key cannot be empty for merge.");
+    }
+  };
+
   const handleDelete = () => {
     if (key.trim()) {
       onDelete(key.trim()); // Trim key
@@ -33,21 +72,47 @@ const Controls = ({
     }
   };
 
+  // Both bounds are required: an unbounded range tombstone would wipe the tree
+  const handleDeleteRange = () => {
+    if (rangeStart.trim() && rangeEnd.trim()) {
+      onDeleteRange(rangeStart.trim(), rangeEnd.trim());
+      setRangeStart("");
+      setRangeEnd("");
+    } else {
+      alert("Start and end keys are required for a range delete.");
+    }
+  };
+
   const handleRead = () => {
     if (readKey.trim()) {
-      onRead(readKey.trim()); // Trim key
+      // An empty snapshot id reads the latest state
+      const snapshotId = snapshots.some((s) => String(s.id) === readSnapshotId)
+        ? Number(readSnapshotId)
+        : null;
+      onRead(readKey.trim(), snapshotId); // Trim key
     } else {
       alert("Key cannot be empty for read.");
     }
   };
 
+  const handleScan = () => {
+    // Empty bounds are allowed and mean "unbounded" on that side
+    const limit = parseInt(scanLimit, 10);
+    onScan(scanStart.trim(), scanEnd.trim(), {
+      limit: limit > 0 ? limit : 0,
+      reverse: scanReverse,
+    });
+  };
+
   return (
     <div className="p-4 bg-white shadow-md rounded-lg mb-6">
       <h2 className="text-xl font-semibold mb-4 text-gray-700">Controls</h2>
       <div className="grid grid-cols-1 md:grid-cols-2 gap-4 items-end">
         {/* Write/Delete Section */}
         <div className="space-y-3 p-3 border border-gray-200 rounded-md bg-gray-50">
-          <h3 className="font-medium text-gray-600">Write / Delete Data</h3>
+          <h3 className="font-medium text-gray-600">
+            Write / Merge / Delete Data
+          </h3>
           <div>
             <label
               htmlFor="key"
@@ -69,7 +134,7 @@ const Controls = ({
               htmlFor="value"
               className="block text-sm font-medium text-gray-700"
             >
-              Value (optional for Delete):
+              Value (operand for Merge, optional for Delete):
             </label>
             <input
               type="text"
@@ -80,6 +145,24 @@ const Controls = ({
               className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
             />
           </div>
+          <div>
+            <label
+              htmlFor="ttl"
+              className="block text-sm font-medium text-gray-700"
+            >
+              TTL in ticks (optional, Write only):
+            </label>
+            <input
+              type="number"
+              id="ttl"
+              min="1"
+              value={ttl}
+              onChange={(e) => setTtl(e.target.value)}
+              placeholder="Never expires"
+              title="The value expires this many clock ticks after the write; compaction reclaims it later"
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+            />
+          </div>
           <div className="flex space-x-2">
             <button
               onClick={handleWrite}
@@ -87,6 +170,13 @@ const Controls = ({
             >
               <Edit3 size={18} className="mr-2" /> Write
             </button>
+            <button
+              onClick={handleMerge}
+              className="flex-1 px-4 py-2 bg-violet-500 text-white rounded-md hover:bg-violet-600 flex items-center justify-center transition-colors"
+              title="Stores the value as a merge operand; reads apply it to the current value with the tree's merge operator"
+            >
+              <PlusCircle size={18} className="mr-2" /> Merge
+            </button>
             <button
               onClick={handleDelete}
               className="flex-1 px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 flex items-center justify-center transition-colors"
@@ -115,6 +205,27 @@ const Controls = ({
               className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
             />
           </div>
+          <div>
+            <label
+              htmlFor="readSnapshot"
+              className="block text-sm font-medium text-gray-700"
+            >
+              Read As Of:
+            </label>
+            <select
+              id="readSnapshot"
+              value={readSnapshotId}
+              onChange={(e) => setReadSnapshotId(e.target.value)}
+              className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700 bg-white"
+            >
+              <option value="">Latest</option>
+              {snapshots.map((snapshot) => (
+                <option key={snapshot.id} value={snapshot.id}>
+                  Snapshot #{snapshot.id} (seq {snapshot.seq})
+                </option>
+              ))}
+            </select>
+          </div>
           <button
             onClick={handleRead}
             className="w-full px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 flex items-center justify-center transition-colors"
@@ -122,6 +233,123 @@ const Controls = ({
             <Search size={18} className="mr-2" /> Read
           </button>
         </div>
+
+        {/* Scan Section */}
+        <div className="space-y-3 p-3 border border-gray-200 rounded-md bg-gray-50 md:col-span-2">
+          <h3 className="font-medium text-gray-600">Scan Range</h3>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 items-end">
+            <div>
+              <label
+                htmlFor="scanStart"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Start Key:
+              </label>
+              <input
+                type="text"
+                id="scanStart"
+                value={scanStart}
+                onChange={(e) => setScanStart(e.target.value)}
+                placeholder="(unbounded)"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="scanEnd"
+                className="block text-sm font-medium text-gray-700"
+              >
+                End Key:
+              </label>
+              <input
+                type="text"
+                id="scanEnd"
+                value={scanEnd}
+                onChange={(e) => setScanEnd(e.target.value)}
+                placeholder="(unbounded)"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="scanLimit"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Limit:
+              </label>
+              <input
+                type="number"
+                id="scanLimit"
+                min="0"
+                value={scanLimit}
+                onChange={(e) => setScanLimit(e.target.value)}
+                placeholder="No limit"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+              />
+            </div>
+            <label className="flex items-center text-sm font-medium text-gray-700 pb-2">
+              <input
+                type="checkbox"
+                checked={scanReverse}
+                onChange={(e) => setScanReverse(e.target.checked)}
+                className="mr-2"
+              />
+              Reverse
+            </label>
+          </div>
+          <button
+            onClick={handleScan}
+            className="w-full px-4 py-2 bg-teal-500 text-white rounded-md hover:bg-teal-600 flex items-center justify-center transition-colors"
+          >
+            <ListOrdered size={18} className="mr-2" /> Scan
+          </button>
+        </div>
+
+        {/* Delete Range Section */}
+        <div className="space-y-3 p-3 border border-gray-200 rounded-md bg-gray-50 md:col-span-2">
+          <h3 className="font-medium text-gray-600">Delete Range</h3>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+            <div>
+              <label
+                htmlFor="rangeStart"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Start Key (inclusive):
+              </label>
+              <input
+                type="text"
+                id="rangeStart"
+                value={rangeStart}
+                onChange={(e) => setRangeStart(e.target.value)}
+                placeholder="Enter start key"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="rangeEnd"
+                className="block text-sm font-medium text-gray-700"
+              >
+                End Key (exclusive):
+              </label>
+              <input
+                type="text"
+                id="rangeEnd"
+                value={rangeEnd}
+                onChange={(e) => setRangeEnd(e.target.value)}
+                placeholder="Enter end key"
+                className="mt-1 block w-full p-2 border border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+              />
+            </div>
+            <button
+              onClick={handleDeleteRange}
+              className="px-4 py-2 bg-red-500 text-white rounded-md hover:bg-red-600 flex items-center justify-center transition-colors"
+              title="Writes a single range tombstone that hides every older key in [start, end)"
+            >
+              <Eraser size={18} className="mr-2" /> Delete Range
+            </button>
+          </div>
+        </div>
       </div>
       {/* Actions Section */}
       <div className="mt-4 pt-4 border-t border-gray-200 flex flex-wrap gap-2">
@@ -134,6 +362,23 @@ const Controls = ({
         >
           <Zap size={18} className="mr-2" /> Trigger L0 Compaction
         </button>
+        <div className="flex">
+          <input
+            type="number"
+            min="1"
+            value={tickCount}
+            onChange={(e) => setTickCount(e.target.value)}
+            aria-label="Ticks to advance"
+            className="w-16 p-2 border border-r-0 border-gray-300 rounded-l-md text-gray-700"
+          />
+          <button
+            onClick={() => onTick(Math.max(1, parseInt(tickCount, 10) || 1))}
+            className="px-4 py-2 bg-indigo-500 text-white rounded-r-md hover:bg-indigo-600 flex items-center justify-center transition-colors"
+            title="Every write also takes one tick; background flushes progress and TTLs run out as the clock ticks"
+          >
+            <Clock size={18} className="mr-2" /> Advance Clock (t={clock})
+          </button>
+        </div>
         {/* Add button to compact any level later if needed */}
         <button
           onClick={onResetTree}
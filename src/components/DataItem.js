@@ -1,7 +1,23 @@
 import React, { useState, useEffect } from "react";
-import { TOMBSTONE } from "../constants";
+import {
+  TOMBSTONE,
+  ENTRY_TYPES,
+  ENTRY_OVERHEAD_BYTES,
+  TTL_TIMESTAMP_BYTES,
+} from "../constants";
+import { entryBytes } from "../core/sizing";
 
-const DataItem = ({ itemKey, itemValue, highlight }) => {
+const DataItem = ({
+  itemKey,
+  itemValue,
+  seq,
+  type, // Internal entry type; merge operands are drawn apart from values
+  expiresAt = null, // Clock tick a TTL'd entry expires at
+  clock = 0,
+  highlight,
+  selected, // Same key as the one open in the key inspector
+  onSelect,
+}) => {
   const [mounted, setMounted] = useState(false);
   useEffect(() => {
     const timer = setTimeout(() => setMounted(true), 10); // Small delay for transition
@@ -9,24 +25,84 @@ const DataItem = ({ itemKey, itemValue, highlight }) => {
   }, []);
 
   const isTombstone = itemValue === TOMBSTONE;
+  const isMerge = type === ENTRY_TYPES.MERGE;
+  const hasTtl = expiresAt !== null && expiresAt !== undefined;
+  const isExpired = hasTtl && expiresAt <= clock;
 
   return (
     <div
+      onClick={onSelect ? () => onSelect(itemKey) : undefined}
+      title={onSelect ? `Inspect every copy of "${itemKey}"` : undefined}
       className={`px-2 py-1 border rounded-md text-xs transition-all duration-500 ease-in-out transform ${
-        mounted ? "opacity-100 scale-100" : "opacity-0 scale-90"
-      } ${
-        isTombstone
+        onSelect ? "cursor-pointer hover:shadow" : ""
+      } ${mounted ? "opacity-100 scale-100" : "opacity-0 scale-90"} ${
+        isExpired
+          ? "border-gray-300 border-dashed bg-gray-50 opacity-60"
+          : isTombstone
           ? "border-red-400 bg-red-100"
+          : isMerge
+          ? "border-violet-400 border-dashed bg-violet-50"
           : "border-gray-300 bg-gray-100"
-      } ${highlight ? "ring-2 ring-blue-500 shadow-lg" : ""}`}
+      } ${
+        selected
+          ? "ring-2 ring-pink-500 shadow-lg"
+          : highlight
+          ? "ring-2 ring-blue-500 shadow-lg"
+          : ""
+      }`}
     >
       <span className="font-semibold text-blue-700 break-all">{itemKey}:</span>
       <span
         className={`${
-          isTombstone ? "text-red-700 italic" : "text-gray-700"
+          isExpired
+            ? "text-gray-400 line-through"
+            : isTombstone
+            ? "text-red-700 italic"
+            : isMerge
+            ? "text-violet-700"
+            : "text-gray-700"
         } break-all`}
+        title={
+          isMerge
+            ? "Merge operand, applied to older versions on read"
+            : undefined
+        }
+      >
+        {isTombstone
+          ? " (TOMBSTONE)"
+          : isMerge
+          ? ` ⊕ ${itemValue}`
+          : ` ${itemValue}`}
+      </span>
+      {seq !== undefined && (
+        <span
+          className="ml-1 text-[10px] text-gray-500 font-mono"
+          title="Sequence number"
+        >
+          #{seq}
+        </span>
+      )}
+      {hasTtl && (
+        <span
+          className={`ml-1 text-[10px] font-mono ${
+            isExpired ? "text-gray-500 italic" : "text-amber-700"
+          }`}
+          title={
+            isExpired
+              ? `Expired at t=${expiresAt}: invisible to reads, reclaimed when compaction rewrites this table`
+              : `Expires at t=${expiresAt}`
+          }
+        >
+          {isExpired ? "expired" : `⏱ ${expiresAt - clock}t`}
+        </span>
+      )}
+      <span
+        className="ml-1 text-[10px] text-gray-400 font-mono"
+        title={`Entry size: key + value + ${ENTRY_OVERHEAD_BYTES} bytes of sequence number and type${
+          hasTtl ? ` + ${TTL_TIMESTAMP_BYTES} bytes of expiry time` : ""
+        }`}
       >
-        {isTombstone ? " (TOMBSTONE)" : ` ${itemValue}`}
+        {entryBytes([itemKey, itemValue, seq, type, expiresAt])}B
       </span>
     </div>
   );
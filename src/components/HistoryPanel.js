@@ -0,0 +1,105 @@
+import React, { useState } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  History,
+  Undo2,
+  Redo2,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+
+const HistoryPanel = ({ history, onJump }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const [error, setError] = useState(null);
+  if (!history) return null;
+  const { entries, cursor } = history;
+
+  const jump = (index) => {
+    try {
+      onJump(index);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left font-semibold text-gray-700 mb-2 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <History size={18} className="mr-2 text-violet-600" /> History (
+        {entries.length} operations)
+      </button>
+      {isOpen && (
+        <div className="space-y-3">
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => jump(cursor - 1)}
+              disabled={cursor <= 0}
+              className="px-3 py-1.5 text-sm bg-violet-500 text-white rounded-md hover:bg-violet-600 disabled:bg-gray-400 flex items-center transition-colors"
+            >
+              <Undo2 size={14} className="mr-1" /> Undo
+            </button>
+            <button
+              onClick={() => jump(cursor + 1)}
+              disabled={cursor >= entries.length - 1}
+              className="px-3 py-1.5 text-sm bg-violet-500 text-white rounded-md hover:bg-violet-600 disabled:bg-gray-400 flex items-center transition-colors"
+            >
+              <Redo2 size={14} className="mr-1" /> Redo
+            </button>
+            <Tooltip text="Jump to any point to restore the tree as it was right after that operation. A new operation from there discards the greyed-out ones.">
+              <HelpCircle
+                size={14}
+                className="ml-auto text-gray-400 cursor-help"
+              />
+            </Tooltip>
+          </div>
+          {entries.length > 1 && (
+            <input
+              type="range"
+              min={0}
+              max={entries.length - 1}
+              value={cursor}
+              onChange={(e) => jump(parseInt(e.target.value, 10))}
+              className="w-full accent-violet-600"
+              aria-label="History timeline"
+            />
+          )}
+          {error && (
+            <p className="text-sm p-2 rounded-md bg-red-50 text-red-700 border border-red-200">
+              {error}
+            </p>
+          )}
+          <ol className="max-h-48 overflow-y-auto text-xs space-y-0.5">
+            {entries.map((entry, idx) => (
+              <li key={entry.id}>
+                <button
+                  onClick={() => jump(idx)}
+                  className={`w-full text-left px-2 py-0.5 rounded font-mono ${
+                    idx === cursor
+                      ? "bg-violet-100 text-violet-800 font-semibold"
+                      : idx > cursor
+                      ? "text-gray-400 hover:bg-gray-50"
+                      : "text-gray-700 hover:bg-gray-50"
+                  }`}
+                >
+                  <span className="text-gray-400 mr-2">{entry.time}</span>
+                  {entry.label}
+                </button>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+export default HistoryPanel;
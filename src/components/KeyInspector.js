@@ -0,0 +1,170 @@
+import React from "react";
+import { Search, X, HelpCircle } from "lucide-react";
+import Tooltip from "./Tooltip";
+import { TOMBSTONE, ENTRY_TYPES, KEY_LINEAGE_MAX_KEYS } from "../constants";
+
+const EVENT_STYLES = {
+  write: "bg-blue-100 text-blue-800",
+  recover: "bg-blue-100 text-blue-800",
+  flush: "bg-purple-100 text-purple-800",
+  compact: "bg-fuchsia-100 text-fuchsia-800",
+  move: "bg-sky-100 text-sky-800",
+  drop: "bg-red-100 text-red-800",
+  expire: "bg-gray-200 text-gray-700",
+};
+
+// Every copy of one key across the tree, and how each copy got there
+const KeyInspector = ({ lineage, onClose }) => {
+  if (!lineage) return null;
+  const { key, copies, history } = lineage;
+
+  return (
+    <div className="p-4 bg-white border border-pink-300 shadow-md rounded-lg mb-4">
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-lg font-semibold text-gray-700 flex items-center">
+          <Search size={18} className="mr-2 text-pink-600" /> Key Inspector:{" "}
+          <span className="ml-1 font-mono text-pink-700">{key}</span>
+          <Tooltip text="Every stored version of the key, in the order a read checks them. Highlighted in pink in the tree.">
+            <HelpCircle size={14} className="ml-1 text-gray-400 cursor-help" />
+          </Tooltip>
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-500 hover:text-gray-700"
+          title="Close the inspector"
+        >
+          <X size={18} />
+        </button>
+      </div>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <h4 className="text-sm font-medium text-gray-600 mb-1">
+            Current Copies ({copies.length})
+          </h4>
+          {copies.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              The key is not stored anywhere.
+            </p>
+          ) : (
+            <ul className="space-y-1 text-sm">
+              {copies.map((copy) => (
+                <li
+                  key={`${copy.id}-${copy.seq}`}
+                  className={`p-2 rounded-md border ${
+                    copy.wins
+                      ? "border-green-300 bg-green-50"
+                      : copy.merged
+                      ? "border-violet-300 bg-violet-50"
+                      : "border-gray-200 bg-gray-50"
+                  }`}
+                >
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-700">
+                      {copy.component}
+                      {copy.level !== null && (
+                        <span className="ml-1 font-mono text-xs text-gray-500">
+                          {copy.id.substring(copy.id.length - 5)}
+                        </span>
+                      )}
+                    </span>
+                    <span className="font-mono text-xs text-gray-500">
+                      #{copy.seq}
+                    </span>
+                  </div>
+                  <div
+                    className={
+                      copy.expired
+                        ? "text-gray-400 line-through"
+                        : copy.value === TOMBSTONE
+                        ? "text-red-700 italic"
+                        : copy.type === ENTRY_TYPES.MERGE
+                        ? "text-violet-700"
+                        : "text-gray-700"
+                    }
+                  >
+                    {copy.range
+                      ? `(RANGE TOMBSTONE [${copy.range[0]}, ${copy.range[1]}))`
+                      : copy.value === TOMBSTONE
+                      ? "(TOMBSTONE)"
+                      : copy.type === ENTRY_TYPES.MERGE
+                      ? `(MERGE ${JSON.stringify(copy.value)})`
+                      : JSON.stringify(copy.value)}
+                    {copy.expiresAt !== null &&
+                      copy.expiresAt !== undefined && (
+                        <span className="ml-1 text-xs text-gray-500 no-underline">
+                          ({copy.expired ? "expired" : "expires"} at t=
+                          {copy.expiresAt})
+                        </span>
+                      )}
+                  </div>
+                  <div className="text-xs mt-0.5">
+                    {copy.wins && copy.expired ? (
+                      <span className="text-gray-600">
+                        Expired: reads treat the key as deleted until compaction
+                        reclaims this copy
+                      </span>
+                    ) : copy.wins ? (
+                      <span className="text-green-700">
+                        {copy.type === ENTRY_TYPES.MERGE
+                          ? "Wins: a read applies this operand to the copies below"
+                          : "Wins: a read returns this copy"}
+                      </span>
+                    ) : copy.merged ? (
+                      <span className="text-violet-700">
+                        Merged: a read applies the operands above to this copy
+                        {copy.type === ENTRY_TYPES.MERGE ? " and below" : ""}
+                      </span>
+                    ) : copy.pinnedBy.length > 0 ? (
+                      <span className="text-amber-700">
+                        Shadowed, but seen by snapshot
+                        {copy.pinnedBy.length > 1 ? "s" : ""}{" "}
+                        {copy.pinnedBy.map((id) => `#${id}`).join(", ")}
+                      </span>
+                    ) : (
+                      <span className="text-gray-500">
+                        Shadowed: waiting for compaction to drop it
+                      </span>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+        <div>
+          <h4 className="text-sm font-medium text-gray-600 mb-1">History</h4>
+          {history.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              No recorded history for this key. Only the {KEY_LINEAGE_MAX_KEYS}{" "}
+              most recently changed keys keep theirs.
+            </p>
+          ) : (
+            <ol className="space-y-1 text-sm max-h-72 overflow-y-auto">
+              {history.map((event, idx) => (
+                <li key={idx} className="flex items-start gap-2">
+                  <span className="font-mono text-xs text-gray-400 w-10 shrink-0 pt-0.5">
+                    t={event.clock}
+                  </span>
+                  <span
+                    className={`text-xs px-1.5 py-0.5 rounded shrink-0 ${
+                      EVENT_STYLES[event.type]
+                    }`}
+                  >
+                    {event.type}
+                  </span>
+                  <span className="text-gray-700">
+                    <span className="font-mono text-xs text-gray-500 mr-1">
+                      #{event.seq}
+                    </span>
+                    {event.description}
+                  </span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+export default KeyInspector;
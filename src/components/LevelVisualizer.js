@@ -1,8 +1,19 @@
 import React, { useState } from "react";
 import { ChevronDown, ChevronRight } from "lucide-react";
 import SSTableVisualizer from "./SSTableVisualizer";
+import { formatBytes } from "../core/sizing";
 
-const LevelVisualizer = ({ level, levelIdx, readPath }) => {
+const LevelVisualizer = ({
+  level,
+  levelIdx,
+  readPath,
+  scanPath,
+  compactionHighlight,
+  stats,
+  selectedKey,
+  onSelectKey,
+  clock = 0,
+}) => {
   const [isOpen, setIsOpen] = useState(true);
   // Define a broader range of distinct colors for levels
   const levelColors = [
@@ -27,7 +38,21 @@ const LevelVisualizer = ({ level, levelIdx, readPath }) => {
         ) : (
           <ChevronRight size={20} className="mr-1" />
         )}
-        Level {levelIdx} ({level.length} SSTables)
+        Level {levelIdx} (
+        {!stats
+          ? `${level.length} SSTables`
+          : stats.limit === "bytes"
+          ? `${formatBytes(stats.bytes)} / ${formatBytes(stats.maxBytes)}, ${
+              level.length
+            } SSTables`
+          : `${level.length} / ${stats.maxSSTables} SSTables`}
+        )
+        {stats && (
+          <span className="ml-auto text-xs font-normal text-gray-600">
+            {stats.entries} entries ({formatBytes(stats.bytes)}),{" "}
+            {stats.tombstones} tombstones, {stats.obsoleteVersions} obsolete
+          </span>
+        )}
       </button>
       {isOpen &&
         (level.length === 0 ? (
@@ -39,6 +64,20 @@ const LevelVisualizer = ({ level, levelIdx, readPath }) => {
                 key={sstable.id}
                 sstable={sstable}
                 readPathItem={readPath?.find((p) => p.id === sstable.id)}
+                scanPathItem={scanPath?.find((p) => p.id === sstable.id)}
+                compactionRole={
+                  compactionHighlight?.sourceIds.includes(sstable.id)
+                    ? "source"
+                    : compactionHighlight?.targetIds.includes(sstable.id)
+                    ? "target"
+                    : compactionHighlight?.outputIds.includes(sstable.id)
+                    ? "output"
+                    : null
+                }
+                mergeKey={compactionHighlight?.mergeKey}
+                selectedKey={selectedKey}
+                onSelectKey={onSelectKey}
+                clock={clock}
               />
             ))}
           </div>
@@ -1,9 +1,124 @@
 import React, { useState } from "react";
 import { ChevronDown, ChevronRight } from "lucide-react";
 import DataItem from "./DataItem";
+import ScanBadge, { isScannedKey } from "./ScanBadge";
+import { RangeTombstoneList } from "./RangeTombstoneItem";
+import MergeOperandsBadge from "./MergeOperandsBadge";
+import {
+  entriesBytes,
+  rangeTombstonesBytes,
+  formatBytes,
+} from "../core/sizing";
 
-const MemTableVisualizer = ({ memtableData, maxSize, readPathItem }) => {
+// One row per level, top level first. A tower is drawn in every level it
+// reaches; a line shows a pointer passing over shorter towers. The nodes the
+// latest put or get stood on are highlighted, as is the key it was looking for.
+const SkipListView = ({ skipList, selectedKey, onSelectKey }) => {
+  const { height, nodes, lastSearch } = skipList;
+  const levels = Array.from({ length: height }, (_, i) => height - 1 - i);
+  const onPath = (level, key) =>
+    lastSearch?.path.some((step) => step.level === level && step.key === key);
+  const pathStyle =
+    lastSearch?.op === "put"
+      ? "bg-blue-200 border-blue-500 text-blue-900"
+      : "bg-yellow-200 border-yellow-500 text-yellow-900";
+  // A pointer on this level passes over node idx if a taller tower follows it
+  const pointerPasses = (level, idx) =>
+    nodes.slice(idx + 1).some((node) => node.height > level);
+
+  return (
+    <div className="space-y-2">
+      {lastSearch && (
+        <p className="text-xs text-gray-600">
+          Last {lastSearch.op}(&quot;{lastSearch.key}&quot;) stood on{" "}
+          {lastSearch.path.length} nodes, starting at the top of the head tower.
+        </p>
+      )}
+      <div className="overflow-x-auto">
+        <table className="text-xs font-mono border-separate border-spacing-y-1">
+          <tbody>
+            {levels.map((level) => (
+              <tr key={level}>
+                <td className="pr-2 text-gray-400">L{level}</td>
+                <td className="px-0">
+                  <span
+                    className={`block px-1 border rounded ${
+                      onPath(level, null)
+                        ? pathStyle
+                        : "bg-gray-200 border-gray-400 text-gray-600"
+                    }`}
+                  >
+                    HEAD
+                  </span>
+                </td>
+                {nodes.map((node, idx) =>
+                  node.height > level ? (
+                    <td key={node.key} className="px-0">
+                      <span className="flex items-center">
+                        <span className="w-3 h-px bg-gray-400" />
+                        <span
+                          onClick={
+                            onSelectKey
+                              ? () => onSelectKey(node.key)
+                              : undefined
+                          }
+                          title={`Tower of height ${node.height}`}
+                          className={`px-1 border rounded ${
+                            onSelectKey ? "cursor-pointer" : ""
+                          } ${
+                            onPath(level, node.key)
+                              ? pathStyle
+                              : node.key === selectedKey
+                              ? "bg-pink-100 border-pink-400 text-pink-800"
+                              : "bg-white border-gray-300 text-gray-700"
+                          } ${
+                            level === 0 && node.key === lastSearch?.key
+                              ? "ring-2 ring-offset-1 ring-gray-500"
+                              : ""
+                          }`}
+                        >
+                          {node.key}
+                        </span>
+                      </span>
+                    </td>
+                  ) : (
+                    <td key={node.key} className="px-0">
+                      {pointerPasses(level, idx) && (
+                        <span className="block h-px bg-gray-400" />
+                      )}
+                    </td>
+                  )
+                )}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+const MemTableVisualizer = ({
+  memtableData,
+  rangeTombstones = [],
+  maxSize,
+  maxBytes = null, // Set when the MemTable is limited by bytes instead of keys
+  memtableId,
+  immutable = false, // Frozen, waiting in the flush queue
+  flushJob = null, // Set while the background flush is writing this one out
+  readPathItem,
+  scanPathItem,
+  selectedKey,
+  onSelectKey,
+  clock = 0, // Current tick, for the remaining lifetime of TTL'd entries
+  skipList = null, // Towers and latest search path, when the MemTable is a skip list
+}) => {
   const [isOpen, setIsOpen] = useState(true);
+  const [showSkipList, setShowSkipList] = useState(false);
+  const keyCount = new Set(memtableData.map(([key]) => key)).size;
+  // Every version counts, as do range tombstones
+  const sizeBytes =
+    entriesBytes(memtableData) + rangeTombstonesBytes(rangeTombstones);
   return (
     <div
       className={`p-4 border rounded-lg shadow-sm mb-4 transition-all duration-300 ease-in-out ${
@@ -11,26 +126,60 @@ const MemTableVisualizer = ({ memtableData, maxSize, readPathItem }) => {
           ? "ring-2 ring-yellow-400 animate-pulse"
           : readPathItem?.status?.startsWith("Found")
           ? "ring-2 ring-green-400"
+          : readPathItem?.status === "Merge Operands"
+          ? "ring-2 ring-violet-400"
+          : scanPathItem?.keysRead > 0
+          ? "ring-2 ring-teal-400"
+          : immutable
+          ? "border-indigo-300 border-dashed"
           : "border-blue-300"
-      } bg-blue-50`}
+      } ${immutable ? "bg-indigo-50" : "bg-blue-50"}`}
     >
       <button
         onClick={() => setIsOpen(!isOpen)}
-        className="w-full text-left font-semibold text-blue-700 mb-2 flex items-center"
+        className={`w-full text-left font-semibold ${
+          immutable ? "text-indigo-700" : "text-blue-700"
+        } mb-2 flex items-center`}
       >
         {isOpen ? (
           <ChevronDown size={20} className="mr-1" />
         ) : (
           <ChevronRight size={20} className="mr-1" />
         )}
-        MemTable (Size: {memtableData.length} / {maxSize})
+        {immutable ? "Immutable MemTable" : "MemTable"}
+        {memtableId ? ` #${memtableId}` : ""} (Size:{" "}
+        {maxBytes
+          ? `${formatBytes(sizeBytes)} / ${formatBytes(
+              maxBytes
+            )}, ${keyCount} keys`
+          : `${keyCount} / ${maxSize}, ${formatBytes(sizeBytes)}`}
+        )
+        {immutable && (
+          <span
+            className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
+              flushJob
+                ? "bg-orange-200 text-orange-800"
+                : "bg-indigo-200 text-indigo-800"
+            }`}
+          >
+            {flushJob
+              ? `Flushing (${flushJob.remainingTicks} ticks left)`
+              : "Queued for flush"}
+          </span>
+        )}
         {readPathItem && (
           <span
             className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
               readPathItem.status === "Found"
                 ? "bg-green-200 text-green-800"
-                : readPathItem.status === "Found (Tombstone)"
+                : readPathItem.status === "Found (Tombstone)" ||
+                  readPathItem.status === "Found (Range Tombstone)"
                 ? "bg-red-200 text-red-800"
+                : readPathItem.status === "Merge Operands" ||
+                  readPathItem.status === "Found (Merge Base)"
+                ? "bg-violet-200 text-violet-800"
+                : readPathItem.status === "Found (Expired)"
+                ? "bg-gray-300 text-gray-700"
                 : readPathItem.status === "Checking"
                 ? "bg-yellow-200 text-yellow-800"
                 : "bg-gray-200 text-gray-800"
@@ -39,14 +188,62 @@ const MemTableVisualizer = ({ memtableData, maxSize, readPathItem }) => {
             {readPathItem.status}
           </span>
         )}
+        {readPathItem?.operands && (
+          <MergeOperandsBadge readPathItem={readPathItem} />
+        )}
+        {scanPathItem && <ScanBadge scanPathItem={scanPathItem} />}
       </button>
-      {isOpen && (
+      {isOpen && skipList && (
+        <div className="flex gap-1 mb-2 text-xs">
+          {[
+            [false, "Entries"],
+            [true, "Skip List"],
+          ].map(([value, label]) => (
+            <button
+              key={label}
+              onClick={() => setShowSkipList(value)}
+              className={`px-2 py-0.5 rounded-md border ${
+                showSkipList === value
+                  ? "bg-blue-500 border-blue-500 text-white"
+                  : "bg-white border-gray-300 text-gray-600 hover:bg-gray-100"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      {isOpen && skipList && showSkipList && (
+        <SkipListView
+          skipList={skipList}
+          selectedKey={selectedKey}
+          onSelectKey={onSelectKey}
+        />
+      )}
+      {isOpen && !(skipList && showSkipList) && (
+        <RangeTombstoneList
+          rangeTombstones={rangeTombstones}
+          className="mb-2"
+        />
+      )}
+      {isOpen && !(skipList && showSkipList) && (
         <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-5 gap-2">
-          {memtableData.length === 0 && (
+          {memtableData.length === 0 && rangeTombstones.length === 0 && (
             <p className="text-sm text-gray-500 italic col-span-full">Empty</p>
           )}
-          {memtableData.map(([key, value]) => (
-            <DataItem key={`mem-${key}`} itemKey={key} itemValue={value} />
+          {memtableData.map(([key, value, seq, type, expiresAt]) => (
+            <DataItem
+              key={`mem-${memtableId}-${key}-${seq}`}
+              itemKey={key}
+              itemValue={value}
+              seq={seq}
+              type={type}
+              expiresAt={expiresAt}
+              clock={clock}
+              highlight={isScannedKey(scanPathItem, key)}
+              selected={key === selectedKey}
+              onSelect={onSelectKey}
+            />
           ))}
         </div>
       )}
@@ -0,0 +1,14 @@
+import React from "react";
+
+// The merge operands the last read collected from one source, newest first
+const MergeOperandsBadge = ({ readPathItem }) => (
+  <span
+    className="ml-2 text-xs px-1.5 py-0.5 rounded bg-violet-100 text-violet-800 font-mono"
+    title="Merge operands this read collected here, newest first"
+  >
+    {readPathItem.operands
+      .map(({ operand, seq }) => `⊕ ${operand} #${seq}`)
+      .join(", ")}
+  </span>
+);
+export default MergeOperandsBadge;
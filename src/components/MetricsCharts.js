@@ -0,0 +1,333 @@
+import React, { useState } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  LineChart as LineChartIcon,
+  Download,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+import { formatBytes } from "../core/sizing";
+import { downloadFile } from "../utils/download";
+
+// Chart geometry in SVG user units; the SVG itself scales to the card width
+const WIDTH = 480;
+const HEIGHT = 150;
+const MARGIN = { top: 10, right: 12, bottom: 26, left: 40 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+
+const LEVEL_COLORS = [
+  "#2563eb",
+  "#16a34a",
+  "#d97706",
+  "#9333ea",
+  "#db2777",
+  "#0891b2",
+  "#65a30d",
+  "#dc2626",
+];
+
+const formatNumber = (value) =>
+  Number.isInteger(value) ? String(value) : value.toFixed(2);
+
+// One chart: a line per series over the operation number, with every
+// compaction marked as a triangle on the x-axis
+const LineChart = ({
+  title,
+  tip,
+  samples,
+  events,
+  series,
+  formatY = formatNumber,
+}) => {
+  const firstOp = samples[0].op;
+  const lastOp = samples[samples.length - 1].op;
+  const opSpan = Math.max(1, lastOp - firstOp);
+  const maxY = Math.max(
+    1,
+    ...series.flatMap((s) => samples.map((sample) => s.value(sample)))
+  );
+  const x = (op) => MARGIN.left + ((op - firstOp) / opSpan) * PLOT_WIDTH;
+  const y = (value) => MARGIN.top + PLOT_HEIGHT - (value / maxY) * PLOT_HEIGHT;
+  const visibleEvents = events.filter(
+    (event) => event.op >= firstOp && event.op <= lastOp
+  );
+
+  return (
+    <div className="p-3 bg-gray-50 border border-gray-200 rounded-md">
+      <div className="flex items-center justify-between mb-1">
+        <h4 className="text-sm font-medium text-gray-600">{title}</h4>
+        <Tooltip text={tip}>
+          <HelpCircle size={14} className="text-gray-400 cursor-help" />
+        </Tooltip>
+      </div>
+      <svg
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        className="w-full h-auto"
+        role="img"
+        aria-label={title}
+      >
+        {[0, 0.5, 1].map((fraction) => (
+          <g key={fraction}>
+            <line
+              x1={MARGIN.left}
+              x2={WIDTH - MARGIN.right}
+              y1={y(maxY * fraction)}
+              y2={y(maxY * fraction)}
+              stroke="#e5e7eb"
+            />
+            <text
+              x={MARGIN.left - 4}
+              y={y(maxY * fraction) + 3}
+              textAnchor="end"
+              fontSize="10"
+              fill="#6b7280"
+            >
+              {formatY(maxY * fraction)}
+            </text>
+          </g>
+        ))}
+        {visibleEvents.map((event, idx) => (
+          <g key={idx}>
+            <line
+              x1={x(event.op)}
+              x2={x(event.op)}
+              y1={MARGIN.top}
+              y2={MARGIN.top + PLOT_HEIGHT}
+              stroke="#f97316"
+              strokeOpacity="0.25"
+              strokeDasharray="2 2"
+            />
+            <path
+              d={`M ${x(event.op)} ${MARGIN.top + PLOT_HEIGHT} l -4 7 h 8 z`}
+              fill="#f97316"
+            >
+              <title>
+                {`Op ${event.op}: ${event.action} L${event.sourceLevel} -> L${event.targetLevel}`}
+              </title>
+            </path>
+          </g>
+        ))}
+        {series.map((s) => (
+          <polyline
+            key={s.label}
+            fill="none"
+            stroke={s.color}
+            strokeWidth="1.5"
+            points={samples
+              .map((sample) => `${x(sample.op)},${y(s.value(sample))}`)
+              .join(" ")}
+          />
+        ))}
+        <line
+          x1={MARGIN.left}
+          x2={WIDTH - MARGIN.right}
+          y1={MARGIN.top + PLOT_HEIGHT}
+          y2={MARGIN.top + PLOT_HEIGHT}
+          stroke="#9ca3af"
+        />
+        <text
+          x={MARGIN.left}
+          y={HEIGHT - 4}
+          fontSize="10"
+          fill="#6b7280"
+          textAnchor="start"
+        >
+          op {firstOp}
+        </text>
+        <text
+          x={WIDTH - MARGIN.right}
+          y={HEIGHT - 4}
+          fontSize="10"
+          fill="#6b7280"
+          textAnchor="end"
+        >
+          op {lastOp}
+        </text>
+      </svg>
+      {series.length > 1 && (
+        <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs text-gray-600">
+          {series.map((s) => (
+            <span key={s.label} className="flex items-center">
+              <span
+                className="inline-block w-3 h-0.5 mr-1"
+                style={{ backgroundColor: s.color }}
+              />
+              {s.label}
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// One row per sample; "compactions" counts the events since the previous sample
+const toCsv = (samples, events) => {
+  const levelCount = Math.max(0, ...samples.map((s) => s.levelItems.length));
+  const header = [
+    "op",
+    "clock",
+    "writeAmplification",
+    "writeAmplificationBytes",
+    "readAmplification",
+    "memtableFill",
+    "immutableMemtables",
+    ...Array.from({ length: levelCount }, (_, i) => `L${i}Items`),
+    ...Array.from({ length: levelCount }, (_, i) => `L${i}Bytes`),
+    "compactions",
+  ];
+  const rows = samples.map((sample, idx) => {
+    const previousOp = idx > 0 ? samples[idx - 1].op : -Infinity;
+    const compactions = events.filter(
+      (event) => event.op > previousOp && event.op <= sample.op
+    ).length;
+    return [
+      sample.op,
+      sample.clock,
+      sample.writeAmplification,
+      sample.writeAmplificationBytes ?? "",
+      sample.readAmplification,
+      sample.memtableFill.toFixed(2),
+      sample.immutableMemtables,
+      ...Array.from(
+        { length: levelCount },
+        (_, i) => sample.levelItems[i] ?? 0
+      ),
+      ...Array.from(
+        { length: levelCount },
+        (_, i) => sample.levelBytes?.[i] ?? ""
+      ),
+      compactions,
+    ];
+  });
+  return [header, ...rows].map((row) => row.join(",")).join("\n");
+};
+
+const MetricsCharts = ({ samples, events }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  if (!samples) return null;
+  const levelCount = samples.length
+    ? samples[samples.length - 1].levelItems.length
+    : 0;
+
+  const handleExport = () =>
+    downloadFile("lsm-metrics.csv", toCsv(samples, events), "text/csv");
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left text-xl font-semibold text-gray-700 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <LineChartIcon size={20} className="mr-2 text-indigo-600" /> Metrics
+        Over Time
+      </button>
+      {isOpen && (
+        <div className="mt-3 space-y-3">
+          <div className="flex items-center justify-between gap-2">
+            <p className="text-sm text-gray-600 flex items-center">
+              {samples.length} samples, {events.length} compactions
+              <Tooltip text="Orange triangles on the x-axis mark compactions. The sample interval is set in the settings.">
+                <HelpCircle
+                  size={14}
+                  className="ml-1 text-gray-400 cursor-help"
+                />
+              </Tooltip>
+            </p>
+            <button
+              onClick={handleExport}
+              disabled={samples.length === 0}
+              className="px-4 py-2 bg-indigo-500 text-white rounded-md hover:bg-indigo-600 disabled:bg-gray-400 flex items-center justify-center transition-colors"
+            >
+              <Download size={18} className="mr-2" /> Export CSV
+            </button>
+          </div>
+          {samples.length < 2 ? (
+            <p className="text-sm text-gray-500 italic">
+              Run a few operations to see the charts.
+            </p>
+          ) : (
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <LineChart
+                title="Write Amplification"
+                tip="(Items Written to SSTables + WAL Records) / (Logical Writes), after each sampled operation, and the same ratio in bytes."
+                samples={samples}
+                events={events}
+                series={[
+                  {
+                    label: "WA",
+                    color: "#4f46e5",
+                    value: (s) => s.writeAmplification,
+                  },
+                  {
+                    label: "WA (bytes)",
+                    color: "#db2777",
+                    value: (s) => s.writeAmplificationBytes ?? 0,
+                  },
+                ]}
+              />
+              <LineChart
+                title="Read Amplification"
+                tip="Average SSTables accessed per logical read, after each sampled operation."
+                samples={samples}
+                events={events}
+                series={[
+                  {
+                    label: "RA",
+                    color: "#0d9488",
+                    value: (s) => s.readAmplification,
+                  },
+                ]}
+              />
+              <LineChart
+                title="Items per Level"
+                tip="Entries stored in each level, including old versions and tombstones."
+                samples={samples}
+                events={events}
+                series={Array.from({ length: levelCount }, (_, i) => ({
+                  label: `L${i}`,
+                  color: LEVEL_COLORS[i % LEVEL_COLORS.length],
+                  value: (s) => s.levelItems[i] ?? 0,
+                }))}
+              />
+              <LineChart
+                title="Bytes per Level"
+                tip="Bytes stored in each level: key + value + sequence number and type of every entry."
+                samples={samples}
+                events={events}
+                formatY={formatBytes}
+                series={Array.from({ length: levelCount }, (_, i) => ({
+                  label: `L${i}`,
+                  color: LEVEL_COLORS[i % LEVEL_COLORS.length],
+                  value: (s) => s.levelBytes?.[i] ?? 0,
+                }))}
+              />
+              <LineChart
+                title="MemTable Fill"
+                tip="Share of the active MemTable's capacity in use. It drops to zero whenever the MemTable becomes immutable."
+                samples={samples}
+                events={events}
+                formatY={(value) => `${Math.round(value * 100)}%`}
+                series={[
+                  {
+                    label: "Fill",
+                    color: "#059669",
+                    value: (s) => s.memtableFill,
+                  },
+                ]}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default MetricsCharts;
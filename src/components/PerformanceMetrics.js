@@ -1,6 +1,7 @@
 import React, { useState } from "react";
 import { ChevronDown, ChevronRight, BarChart2, HelpCircle } from "lucide-react";
 import Tooltip from "./Tooltip";
+import { formatBytes } from "../core/sizing";
 
 const PerformanceMetrics = ({ metrics }) => {
   const [isOpen, setIsOpen] = useState(true);
@@ -9,7 +10,7 @@ const PerformanceMetrics = ({ metrics }) => {
     {
       label: "Logical Writes",
       value: metrics.logicalWrites,
-      tip: "Total 'put' or 'delete' operations initiated by the user.",
+      tip: "Total 'put', 'delete', 'merge' or 'deleteRange' operations initiated by the user.",
     },
     {
       label: "Items Written to SSTables",
@@ -19,7 +20,137 @@ const PerformanceMetrics = ({ metrics }) => {
     {
       label: "Write Amplification (WA)",
       value: metrics.writeAmplification,
-      tip: "(Items Written to SSTables) / (Logical Writes). Ideal is 1. Higher values mean more I/O for writes.",
+      tip: "(Items Written to SSTables + WAL Records) / (Logical Writes). Each write hits the WAL once and is flushed to L0 once, so about 2 is the practical minimum.",
+    },
+    {
+      label: "Logical Bytes Written",
+      value: metrics.logicalBytesWritten,
+      tip: "Bytes of the entries the user wrote: key + value + 8 bytes of sequence number and type. Deletes have no value.",
+    },
+    {
+      label: "Bytes Written to SSTables",
+      value: metrics.bytesWrittenToSSTables,
+      tip: "Bytes of every SSTable written by a flush or a compaction.",
+    },
+    {
+      label: "Write Amplification (Bytes)",
+      value: metrics.writeAmplificationBytes,
+      tip: "(Bytes Written to SSTables + WAL Bytes) / (Logical Bytes Written). Unlike the item count, a large value rewritten by compaction weighs more than a small one.",
+    },
+    {
+      label: "WAL Bytes Written",
+      value: metrics.walBytesWritten,
+      tip: "Bytes appended to the write-ahead log (header + key + value per record).",
+    },
+    {
+      label: "WAL Records Lost",
+      value: metrics.walRecordsLost,
+      tip: "Writes lost in simulated crashes because they were not yet fsynced. Raise the fsync interval to see this grow.",
+    },
+    {
+      label: "Background Flushes",
+      value: metrics.backgroundFlushes,
+      tip: "Immutable MemTables written to L0 by the flush scheduler as the clock ticks.",
+    },
+    {
+      label: "Writes Rejected",
+      value: metrics.writesRejected,
+      tip: "Writes still stopped when the stall timeout ran out: the MemTable was full with no room in the immutable queue, or L0 or the compaction debt was past its stop threshold.",
+    },
+    {
+      label: "Writes Slowed",
+      value: metrics.writesSlowed,
+      tip: "Writes delayed by the slowdown ticks because L0, the compaction debt or the immutable queue passed its slowdown threshold.",
+    },
+    {
+      label: "Writes Stopped",
+      value: metrics.writesStopped,
+      tip: "Writes that waited at a stop threshold until flushes and compactions caught up, then went through.",
+    },
+    {
+      label: "Write Stall Time (ticks)",
+      value: metrics.writeStallTicks,
+      tip: "Clock ticks that writes spent waiting in slowdowns and stops, on top of the one tick every write takes.",
+    },
+    {
+      label: "Compactions",
+      value: metrics.compactions,
+      tip: "Compaction jobs run by the selected strategy (merges, trivial moves and FIFO drops).",
+    },
+    {
+      label: "SSTables Dropped (FIFO)",
+      value: metrics.sstablesDropped,
+      tip: "SSTables deleted without being merged because the FIFO size budget was exceeded.",
+    },
+    {
+      label: "Space Amplification (SA)",
+      value: metrics.spaceAmplification,
+      tip: "(Stored Entries) / (Live Keys). Old versions and tombstones take space until compaction drops them. Ideal is 1.",
+    },
+    {
+      label: "Stored Entries",
+      value: metrics.storedEntries,
+      tip: "Every stored version and tombstone, in the MemTables and all SSTables.",
+    },
+    {
+      label: "Stored Bytes",
+      value: metrics.storedBytes,
+      tip: "Size of the stored entries, in the MemTables and all SSTables.",
+    },
+    {
+      label: "Live Keys",
+      value: metrics.liveKeys,
+      tip: "Distinct keys whose newest version is a value, not a tombstone.",
+    },
+    {
+      label: "Tombstones",
+      value: metrics.tombstones,
+      tip: "Stored delete markers. They can only be dropped once they reach a level with no older data below.",
+    },
+    {
+      label: "Range Deletes",
+      value: metrics.rangeDeletes,
+      tip: "'deleteRange' operations. Each writes a single range tombstone, however many keys it covers.",
+    },
+    {
+      label: "Range Tombstones",
+      value: metrics.rangeTombstones,
+      tip: "Stored range tombstone pieces. Compaction splits one across the output SSTables it spans, and drops it at the last level.",
+    },
+    {
+      label: "Merges",
+      value: metrics.merges,
+      tip: "'merge' operations. Each stores one operand instead of reading the value and writing it back.",
+    },
+    {
+      label: "Merge Operands Read",
+      value: metrics.mergeOperandsRead,
+      tip: "Operands reads and scans had to collect and apply to reach a value. Compaction folding them keeps this down.",
+    },
+    {
+      label: "Merge Operands Folded",
+      value: metrics.mergeOperandsFolded,
+      tip: "Operands compaction combined with the value below them, or with each other when no value was in the merge.",
+    },
+    {
+      label: "TTL Writes",
+      value: metrics.ttlWrites,
+      tip: "Puts written with a time to live. The value expires that many clock ticks later, like a session or cache entry.",
+    },
+    {
+      label: "Expired (Not Reclaimed)",
+      value: metrics.expiredEntries,
+      tip: "Stored entries past their expiry time. Reads skip them, but they take space until a compaction rewrites their SSTable: session stores with short TTLs and little compaction pay for this in space amplification.",
+    },
+    {
+      label: "Expired Entries Dropped",
+      value: metrics.expiredEntriesDropped,
+      tip: "Expired values compaction reclaimed. A tombstone stays in their place while older versions of the key may still exist below.",
+    },
+    {
+      label: "Obsolete Versions",
+      value: metrics.obsoleteVersions,
+      tip: "Stored entries shadowed by a newer version of the same key. Snapshots may still pin some of them.",
     },
     {
       label: "Logical Reads",
@@ -41,6 +172,56 @@ const PerformanceMetrics = ({ metrics }) => {
       value: metrics.readAmplificationSSTables,
       tip: "(SSTables Accessed) / (Logical Reads). Average SSTables checked per read. Ideal is low.",
     },
+    {
+      label: "Index / Data Block Reads",
+      value: `${metrics.indexBlockReads} / ${metrics.dataBlockReads}`,
+      tip: "Blocks loaded by point reads. Each SSTable checked costs one index block read; a data block is only read when the index says the key could be in it.",
+    },
+    {
+      label: "Read Amplification (Blocks)",
+      value: metrics.readAmplificationBlocks,
+      tip: "(Data Block Reads) / (Logical Reads). Average data blocks loaded per read.",
+    },
+    {
+      label: "Block Cache Hit Ratio",
+      value: metrics.blockCacheHitRatio,
+      tip: "(Cache Hits) / (Cache Hits + Misses), over every index and data block read by point reads and scans. Only misses read the SSTable file.",
+    },
+    {
+      label: "Block Cache Hits / Misses",
+      value: `${metrics.blockCacheHits} / ${metrics.blockCacheMisses}`,
+      tip: "Block reads served from the shared block cache, and those that had to load the block from its SSTable.",
+    },
+    {
+      label: "Block Cache Evictions",
+      value: metrics.blockCacheEvictions,
+      tip: "Blocks pushed out by the eviction policy to make room. Blocks of SSTables deleted by compaction are invalidated instead and not counted here.",
+    },
+    {
+      label: "Range Scans",
+      value: metrics.logicalScans,
+      tip: "Total 'scan' operations initiated by the user.",
+    },
+    {
+      label: "SSTables Accessed (Scan)",
+      value: metrics.sstablesAccessedForScan,
+      tip: "SSTables opened by range scans. Every table overlapping the range must be merged; Bloom filters cannot skip them.",
+    },
+    {
+      label: "Data Blocks Read (Scan)",
+      value: metrics.dataBlocksReadForScan,
+      tip: "Data blocks range scans loaded: only the blocks covering the keys each cursor passed over.",
+    },
+    {
+      label: "Bloom Filter Hits",
+      value: metrics.bloomFilterHits,
+      tip: "SSTable reads avoided because the Bloom filter said the key is definitely absent.",
+    },
+    {
+      label: "Bloom False Positive Rate",
+      value: metrics.bloomFalsePositiveRate,
+      tip: "(False Positives) / (False Positives + Filter Hits). Share of absent keys the filter failed to rule out.",
+    },
   ];
 
   if (!metrics) return null; // Don't render if metrics aren't available
@@ -79,6 +260,74 @@ const PerformanceMetrics = ({ metrics }) => {
               </p>
             </div>
           ))}
+          {metrics.levelStats && (
+            <div className="md:col-span-2 lg:col-span-3 overflow-x-auto">
+              <h4 className="text-sm font-medium text-gray-600 mb-1 flex items-center">
+                Space by Level
+                <Tooltip text="Target capacity is L0 Max SSTables x factor^n, or with byte limits L1 Max Bytes x factor^(n-1) below L0, as in the settings; the size-tiered and FIFO strategies do not compact by it.">
+                  <HelpCircle
+                    size={14}
+                    className="ml-1 text-gray-400 cursor-help"
+                  />
+                </Tooltip>
+              </h4>
+              <table className="w-full text-sm text-left text-gray-700">
+                <thead className="text-xs text-gray-500 uppercase bg-gray-50">
+                  <tr>
+                    <th className="px-2 py-1">Level</th>
+                    <th className="px-2 py-1">SSTables / Target</th>
+                    <th className="px-2 py-1">Entries / Target</th>
+                    <th className="px-2 py-1">Bytes / Target</th>
+                    <th className="px-2 py-1">Tombstones (Range)</th>
+                    <th className="px-2 py-1">Expired</th>
+                    <th className="px-2 py-1">Obsolete Versions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {metrics.levelStats.map((stats) => (
+                    <tr key={stats.level} className="border-t border-gray-200">
+                      <td className="px-2 py-1 font-medium">L{stats.level}</td>
+                      <td
+                        className={`px-2 py-1 ${
+                          stats.limit === "sstables" &&
+                          stats.sstables > stats.maxSSTables
+                            ? "text-red-600 font-semibold"
+                            : ""
+                        }`}
+                      >
+                        {stats.sstables} / {stats.maxSSTables}
+                      </td>
+                      <td className="px-2 py-1">
+                        {stats.entries} / {stats.maxEntries}
+                      </td>
+                      <td
+                        className={`px-2 py-1 ${
+                          stats.limit === "bytes" &&
+                          stats.bytes > stats.maxBytes
+                            ? "text-red-600 font-semibold"
+                            : ""
+                        }`}
+                      >
+                        {formatBytes(stats.bytes)} /{" "}
+                        {formatBytes(stats.maxBytes)}
+                      </td>
+                      <td className="px-2 py-1">
+                        {stats.tombstones} ({stats.rangeTombstones})
+                      </td>
+                      <td className="px-2 py-1">
+                        {stats.expiredEntries > 0
+                          ? `${stats.expiredEntries} (${formatBytes(
+                              stats.expiredBytes
+                            )})`
+                          : 0}
+                      </td>
+                      <td className="px-2 py-1">{stats.obsoleteVersions}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
         </div>
       )}
     </div>
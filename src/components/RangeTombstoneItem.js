@@ -0,0 +1,37 @@
+import React from "react";
+import { rangeTombstoneBytes } from "../core/sizing";
+
+// A range tombstone deletes every key in [start, end) written before it, so
+// it is drawn as a striped bar spanning the range rather than a single key.
+const RangeTombstoneItem = ({ tombstone }) => (
+  <div
+    className="px-2 py-1 border border-dashed border-red-500 rounded-md text-xs text-red-800 bg-[repeating-linear-gradient(135deg,var(--color-red-100),var(--color-red-100)_6px,var(--color-red-200)_6px,var(--color-red-200)_12px)]"
+    title={`Range tombstone: deletes every key from "${tombstone.start}" up to, but not including, "${tombstone.end}" written before #${tombstone.seq}`}
+  >
+    <span className="font-semibold font-mono break-all">
+      [{tombstone.start}, {tombstone.end})
+    </span>
+    <span className="italic"> (RANGE TOMBSTONE)</span>
+    <span className="ml-1 text-[10px] text-gray-500 font-mono">
+      #{tombstone.seq}
+    </span>
+    <span className="ml-1 text-[10px] text-gray-400 font-mono">
+      {rangeTombstoneBytes(tombstone)}B
+    </span>
+  </div>
+);
+
+// The range tombstones of a MemTable or SSTable, oldest start key first
+export const RangeTombstoneList = ({ rangeTombstones, className = "" }) =>
+  rangeTombstones?.length > 0 ? (
+    <div className={`flex flex-wrap gap-1 ${className}`}>
+      {rangeTombstones.map((tombstone) => (
+        <RangeTombstoneItem
+          key={`${tombstone.start}-${tombstone.end}-${tombstone.seq}`}
+          tombstone={tombstone}
+        />
+      ))}
+    </div>
+  ) : null;
+
+export default RangeTombstoneItem;
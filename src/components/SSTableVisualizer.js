@@ -1,24 +1,213 @@
 import React, { useState, useEffect } from "react";
 import { ChevronDown, ChevronRight } from "lucide-react";
 import DataItem from "./DataItem";
+import ScanBadge, { isScannedKey } from "./ScanBadge";
+import { RangeTombstoneList } from "./RangeTombstoneItem";
+import MergeOperandsBadge from "./MergeOperandsBadge";
+import { formatBytes } from "../core/sizing";
 
-const SSTableVisualizer = ({ sstable, readPathItem }) => {
+// One cell per filter bit; bits probed by the last read are outlined.
+const BloomFilterBits = ({ bloomFilter, probedBits = [] }) => (
+  <div className="ml-5 mb-1">
+    <div className="text-xs text-gray-500 mb-0.5">
+      Bloom filter ({bloomFilter.numBits} bits, {bloomFilter.hashCount} hashes)
+    </div>
+    <div className="flex flex-wrap gap-px">
+      {bloomFilter.bits.split("").map((bit, idx) => {
+        const probed = probedBits.includes(idx);
+        return (
+          <span
+            key={idx}
+            title={`bit ${idx}: ${bit}`}
+            className={`w-1.5 h-2.5 ${
+              bit === "1" ? "bg-indigo-500" : "bg-gray-200"
+            } ${
+              probed
+                ? bit === "1"
+                  ? "outline outline-2 outline-orange-500"
+                  : "outline outline-2 outline-sky-500"
+                : ""
+            }`}
+          />
+        );
+      })}
+    </div>
+  </div>
+);
+
+// The index block (first key of every data block) and the data blocks. The
+// blocks the last read or scan loaded are outlined, blocks resident in the
+// block cache are tagged; "R" marks restart points.
+const BlockLayout = ({
+  sstable,
+  readPathItem,
+  scanPathItem,
+  highlightKey,
+  selectedKey,
+  onSelectKey,
+  clock,
+}) => {
+  const readBlock = readPathItem ? readPathItem.block : undefined;
+  const cachedBlocks = sstable.cachedBlocks || [];
+  return (
+    <div className="pl-2 space-y-1">
+      <div className="flex flex-wrap items-center gap-1 text-[10px]">
+        <span
+          className={`px-1 rounded text-gray-600 ${
+            readPathItem && readPathItem.indexProbes !== undefined
+              ? "bg-yellow-200"
+              : "bg-gray-200"
+          }`}
+        >
+          Index block
+          {cachedBlocks.includes("index") && (
+            <span className="ml-1 text-emerald-700">(cached)</span>
+          )}
+        </span>
+        {sstable.blocks.map((block, idx) => (
+          <span
+            key={idx}
+            className={`px-1 font-mono border rounded ${
+              readBlock === idx
+                ? "border-yellow-500 bg-yellow-50"
+                : "border-gray-300 bg-white"
+            }`}
+          >
+            {block.firstKey} &rarr; #{idx}
+          </span>
+        ))}
+      </div>
+      {sstable.blocks.map((block, idx) => (
+        <div
+          key={idx}
+          className={`p-1 border rounded-md ${
+            readBlock === idx
+              ? "border-yellow-400 ring-2 ring-yellow-300"
+              : scanPathItem?.blocks?.includes(idx)
+              ? "border-teal-400 ring-1 ring-teal-300"
+              : "border-dashed border-gray-300"
+          }`}
+        >
+          <div className="text-[10px] text-gray-500 mb-0.5">
+            Block #{idx} [{block.firstKey} - {block.lastKey}],{" "}
+            {formatBytes(block.sizeBytes)}
+            {cachedBlocks.includes(idx) && (
+              <span className="ml-1 px-1 rounded bg-emerald-100 text-emerald-800">
+                cached
+              </span>
+            )}
+          </div>
+          <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-1">
+            {block.entries.map(
+              ({
+                entry: [key, value, seq, type, expiresAt],
+                restart,
+                sharedPrefix,
+              }) => (
+                <div
+                  key={`${key}-${seq}`}
+                  className="relative"
+                  title={
+                    restart
+                      ? "Restart point: the full key is stored"
+                      : `Prefix-compressed: shares ${sharedPrefix} characters with the previous key`
+                  }
+                >
+                  {restart && (
+                    <span className="absolute -top-1 -left-1 z-10 text-[8px] leading-none px-0.5 rounded bg-gray-600 text-white">
+                      R
+                    </span>
+                  )}
+                  <DataItem
+                    itemKey={key}
+                    itemValue={value}
+                    seq={seq}
+                    type={type}
+                    expiresAt={expiresAt}
+                    clock={clock}
+                    highlight={
+                      isScannedKey(scanPathItem, key) || key === highlightKey
+                    }
+                    selected={key === selectedKey}
+                    onSelect={onSelectKey}
+                  />
+                </div>
+              )
+            )}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const COMPACTION_ROLES = {
+  source: {
+    ring: "ring-2 ring-fuchsia-500",
+    label: "Compaction input",
+    badge: "bg-fuchsia-200 text-fuchsia-800",
+  },
+  target: {
+    ring: "ring-2 ring-orange-400",
+    label: "Overlapping target",
+    badge: "bg-orange-200 text-orange-800",
+  },
+  output: {
+    ring: "ring-2 ring-green-500",
+    label: "Compaction output",
+    badge: "bg-green-200 text-green-800",
+  },
+};
+
+const SSTableVisualizer = ({
+  sstable,
+  readPathItem,
+  scanPathItem,
+  compactionRole,
+  mergeKey,
+  selectedKey,
+  onSelectKey,
+  clock = 0,
+}) => {
   const [isOpen, setIsOpen] = useState(false);
   const [mounted, setMounted] = useState(false);
   useEffect(() => {
     const timer = setTimeout(() => setMounted(true), 10); // Stagger animation slightly
     return () => clearTimeout(timer);
   }, []);
+  // Open tables taking part in a played-back compaction so the merge cursor is visible
+  useEffect(() => {
+    if (compactionRole) setIsOpen(true);
+  }, [compactionRole]);
+  // Likewise for tables holding a copy of the inspected key
+  const hasSelectedKey =
+    Boolean(selectedKey) && sstable.data.some(([key]) => key === selectedKey);
+  useEffect(() => {
+    if (hasSelectedKey) setIsOpen(true);
+  }, [hasSelectedKey]);
+  const role = COMPACTION_ROLES[compactionRole];
 
   return (
     <div
       className={`p-3 border rounded-lg mb-2 shadow-sm relative transition-all duration-500 ease-in-out transform ${
         mounted ? "opacity-100 scale-100" : "opacity-0 scale-95"
       } ${
-        readPathItem?.status === "Checking"
+        role
+          ? role.ring
+          : readPathItem?.status === "Checking"
           ? "ring-2 ring-yellow-400 animate-pulse"
           : readPathItem?.status?.startsWith("Found")
           ? "ring-2 ring-green-400"
+          : readPathItem?.status === "Merge Operands"
+          ? "ring-2 ring-violet-400"
+          : readPathItem?.status === "Bloom false positive"
+          ? "ring-2 ring-orange-400"
+          : readPathItem?.status === "Skipped (Bloom)"
+          ? "ring-2 ring-sky-300 border-dashed"
+          : scanPathItem
+          ? "ring-2 ring-teal-400"
+          : hasSelectedKey
+          ? "ring-2 ring-pink-400"
           : "border-gray-300"
       } bg-gray-50`}
     >
@@ -35,42 +224,105 @@ const SSTableVisualizer = ({ sstable, readPathItem }) => {
         <span className="font-mono text-xs ml-1 mr-1 px-1 bg-gray-200 rounded">
           {sstable.id.substring(sstable.id.length - 5)}
         </span>{" "}
-        ({sstable.data.length} items)
+        ({sstable.data.length} items
+        {sstable.rangeTombstones?.length > 0 &&
+          `, ${sstable.rangeTombstones.length} range tombstones`}
+        , {formatBytes(sstable.sizeBytes)})
         {readPathItem && (
           <span
             className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
               readPathItem.status === "Found"
                 ? "bg-green-200 text-green-800"
-                : readPathItem.status === "Found (Tombstone)"
+                : readPathItem.status === "Found (Tombstone)" ||
+                  readPathItem.status === "Found (Range Tombstone)"
                 ? "bg-red-200 text-red-800"
+                : readPathItem.status === "Merge Operands" ||
+                  readPathItem.status === "Found (Merge Base)"
+                ? "bg-violet-200 text-violet-800"
+                : readPathItem.status === "Found (Expired)"
+                ? "bg-gray-300 text-gray-700"
                 : readPathItem.status === "Checking"
                 ? "bg-yellow-200 text-yellow-800"
+                : readPathItem.status === "Bloom false positive"
+                ? "bg-orange-200 text-orange-800"
+                : readPathItem.status === "Skipped (Bloom)"
+                ? "bg-sky-200 text-sky-800"
                 : "bg-gray-200 text-gray-800"
             }`}
           >
             {readPathItem.status}
           </span>
         )}
+        {readPathItem?.operands && (
+          <MergeOperandsBadge readPathItem={readPathItem} />
+        )}
+        {readPathItem?.indexProbes !== undefined && (
+          <span className="ml-2 text-xs text-gray-500">
+            {readPathItem.block === null
+              ? "index: no block can hold it"
+              : `index → block #${readPathItem.block}`}
+            {readPathItem.indexCache &&
+              ` (cache: index ${readPathItem.indexCache}${
+                readPathItem.dataCache
+                  ? `, block ${readPathItem.dataCache}`
+                  : ""
+              })`}
+          </span>
+        )}
+        {scanPathItem && <ScanBadge scanPathItem={scanPathItem} />}
+        {sstable.cachedBlocks?.length > 0 && (
+          <span
+            className="ml-2 text-xs px-1.5 py-0.5 rounded bg-emerald-100 text-emerald-800"
+            title="Blocks of this table resident in the block cache"
+          >
+            {sstable.cachedBlocks.length} cached
+          </span>
+        )}
+        {role && (
+          <span className={`ml-2 text-xs px-1.5 py-0.5 rounded ${role.badge}`}>
+            {role.label}
+          </span>
+        )}
+        {hasSelectedKey && (
+          <span className="ml-2 text-xs px-1.5 py-0.5 rounded bg-pink-200 text-pink-800">
+            Has &quot;{selectedKey}&quot;
+          </span>
+        )}
       </button>
       {sstable.minKey && sstable.maxKey && (
         <div className="text-xs text-gray-500 mb-1 ml-5">
-          Range: [{sstable.minKey} - {sstable.maxKey}]
+          Range: [{sstable.minKey} - {sstable.maxKey}
+          {sstable.maxKeyExclusive ? ")" : "]"}
         </div>
       )}
+      {sstable.bloomFilter && (
+        <BloomFilterBits
+          bloomFilter={sstable.bloomFilter}
+          probedBits={readPathItem?.bloomBits}
+        />
+      )}
       {isOpen && (
-        <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 gap-1 pl-2">
-          {sstable.data.length === 0 && (
-            <p className="text-xs text-gray-400 italic col-span-full">Empty</p>
-          )}
-          {sstable.data.map(([key, value]) => (
-            <DataItem
-              key={`${sstable.id}-${key}`}
-              itemKey={key}
-              itemValue={value}
-            />
-          ))}
-        </div>
+        <RangeTombstoneList
+          rangeTombstones={sstable.rangeTombstones}
+          className="pl-2 mb-1"
+        />
       )}
+      {isOpen &&
+        (sstable.data.length === 0 ? (
+          <p className="text-xs text-gray-400 italic pl-2">
+            {sstable.rangeTombstones?.length > 0 ? "No point entries" : "Empty"}
+          </p>
+        ) : (
+          <BlockLayout
+            sstable={sstable}
+            readPathItem={readPathItem}
+            scanPathItem={scanPathItem}
+            highlightKey={compactionRole ? mergeKey : null}
+            selectedKey={selectedKey}
+            onSelectKey={onSelectKey}
+            clock={clock}
+          />
+        ))}
     </div>
   );
 };
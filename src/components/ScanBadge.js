@@ -0,0 +1,25 @@
+import React from "react";
+
+// The scan records the keys each cursor passed, so this holds under any key order
+export const isScannedKey = (scanPathItem, key) =>
+  !!scanPathItem?.keys?.includes(key);
+
+// Shows the key range a source contributed to the last range scan.
+const ScanBadge = ({ scanPathItem }) => (
+  <span
+    className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
+      scanPathItem.keysReturned > 0
+        ? "bg-teal-200 text-teal-800"
+        : "bg-gray-200 text-gray-700"
+    }`}
+  >
+    Scan{" "}
+    {scanPathItem.range
+      ? `[${scanPathItem.range[0]} - ${scanPathItem.range[1]}]`
+      : "(no keys in range)"}
+    : {scanPathItem.keysReturned} returned / {scanPathItem.keysRead} read
+    {scanPathItem.cacheHits + scanPathItem.cacheMisses > 0 &&
+      `, blocks ${scanPathItem.cacheHits} cached / ${scanPathItem.cacheMisses} loaded`}
+  </span>
+);
+export default ScanBadge;
@@ -0,0 +1,175 @@
+import React, { useState, useRef, useEffect } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  FolderOpen,
+  Download,
+  Upload,
+  Link2,
+  BookOpen,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+import { EXAMPLE_SCENARIOS } from "../core/scenario";
+import { downloadFile } from "../utils/download";
+
+const ScenarioPanel = ({
+  onExport,
+  onImportFile,
+  onShareLink,
+  onLoadExample,
+  error,
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [name, setName] = useState("My scenario");
+  const [exampleId, setExampleId] = useState(EXAMPLE_SCENARIOS[0].id);
+  const [message, setMessage] = useState(null); // { type: "error" | "success", text }
+  const fileInputRef = useRef(null);
+  const shownMessage = message || (error && { type: "error", text: error });
+  const example = EXAMPLE_SCENARIOS.find((e) => e.id === exampleId);
+
+  useEffect(() => {
+    if (error) setIsOpen(true); // A broken share link should not fail silently
+  }, [error]);
+
+  // Each handler reports its own outcome; errors carry a user-facing message
+  const attempt = async (action, successText) => {
+    try {
+      await action();
+      setMessage({ type: "success", text: successText });
+    } catch (err) {
+      setMessage({ type: "error", text: err.message });
+    }
+  };
+
+  const handleExport = () =>
+    attempt(() => {
+      const scenario = onExport(name);
+      downloadFile(
+        `${name.trim().replace(/[^\w-]+/g, "_") || "scenario"}.json`,
+        JSON.stringify(scenario, null, 2),
+        "application/json"
+      );
+    }, `Exported "${name}".`);
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // Allow picking the same file again
+    if (!file) return;
+    attempt(async () => {
+      const loadedName = onImportFile(await file.text());
+      setName(loadedName);
+    }, `Loaded ${file.name}.`);
+  };
+
+  const handleShare = () =>
+    attempt(
+      () => onShareLink(name),
+      "Share link copied to the clipboard (history is not included)."
+    );
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left text-xl font-semibold text-gray-700 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <FolderOpen size={20} className="mr-2 text-amber-600" /> Scenarios
+      </button>
+      {isOpen && (
+        <div className="mt-3 grid grid-cols-1 md:grid-cols-2 gap-6">
+          <div className="space-y-2">
+            <h3 className="text-md font-medium text-gray-600 flex items-center">
+              Save & Share
+              <Tooltip text="A scenario file holds the tree, its config, the undo/redo history and the last read. Links hold everything except the history.">
+                <HelpCircle
+                  size={14}
+                  className="ml-1 text-gray-400 cursor-help"
+                />
+              </Tooltip>
+            </h3>
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Scenario name"
+              className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+            />
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={handleExport}
+                className="px-4 py-2 bg-amber-500 text-white rounded-md hover:bg-amber-600 flex items-center justify-center transition-colors"
+              >
+                <Download size={18} className="mr-2" /> Export JSON
+              </button>
+              <button
+                onClick={() => fileInputRef.current?.click()}
+                className="px-4 py-2 bg-amber-500 text-white rounded-md hover:bg-amber-600 flex items-center justify-center transition-colors"
+              >
+                <Upload size={18} className="mr-2" /> Import JSON
+              </button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleFileChange}
+                className="hidden"
+              />
+              <button
+                onClick={handleShare}
+                className="px-4 py-2 bg-amber-500 text-white rounded-md hover:bg-amber-600 flex items-center justify-center transition-colors"
+              >
+                <Link2 size={18} className="mr-2" /> Copy Share Link
+              </button>
+            </div>
+          </div>
+          <div className="space-y-2">
+            <h3 className="text-md font-medium text-gray-600">
+              Example Scenarios
+            </h3>
+            <select
+              value={exampleId}
+              onChange={(e) => setExampleId(e.target.value)}
+              className="w-full p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700 bg-white"
+            >
+              {EXAMPLE_SCENARIOS.map((e) => (
+                <option key={e.id} value={e.id}>
+                  {e.name}
+                </option>
+              ))}
+            </select>
+            <p className="text-sm text-gray-500">{example.description}</p>
+            <button
+              onClick={() =>
+                attempt(
+                  () => onLoadExample(exampleId),
+                  `Loaded "${example.name}".`
+                )
+              }
+              className="px-4 py-2 bg-amber-500 text-white rounded-md hover:bg-amber-600 flex items-center justify-center transition-colors"
+            >
+              <BookOpen size={18} className="mr-2" /> Load Example
+            </button>
+          </div>
+          {shownMessage && (
+            <p
+              className={`md:col-span-2 text-sm p-2 rounded-md ${
+                shownMessage.type === "error"
+                  ? "bg-red-50 text-red-700 border border-red-200"
+                  : "bg-green-50 text-green-700 border border-green-200"
+              }`}
+            >
+              {shownMessage.text}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default ScenarioPanel;
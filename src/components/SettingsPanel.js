@@ -6,45 +6,94 @@ import {
   HelpCircle,
 } from "lucide-react";
 import Tooltip from "./Tooltip";
+import { DEFAULT_LSM_CONFIG, CONFIG_LIMITS } from "../constants";
 import {
-  MEMTABLE_DEFAULT_MAX_SIZE,
-  L0_DEFAULT_MAX_SSTABLES,
-  LEVEL_MAX_SSTABLES_FACTOR,
-  SSTABLE_DEFAULT_MAX_ITEMS,
-  MAX_LEVELS,
-} from "../constants";
+  COMPACTION_STRATEGIES,
+  COMPACTION_SCHEDULING,
+} from "../core/compaction";
+import { BLOCK_CACHE_POLICIES } from "../core/block_cache";
+import { MEMTABLE_IMPLEMENTATIONS } from "../core/memtable";
+import { KEY_COMPARATORS, confirmCustomComparator } from "../core/comparator";
+import { SIZE_LIMIT_UNITS } from "../core/sizing";
+import { MERGE_OPERATORS } from "../core/merge_operator";
 
-const SettingsPanel = ({ initialConfig, onSave, onResetDefault }) => {
+const SettingsPanel = ({
+  initialConfig,
+  onSave,
+  onResetDefault,
+  onCheckKeyOrdering,
+}) => {
   const [config, setConfig] = useState(initialConfig);
   const [isOpen, setIsOpen] = useState(false);
+  const [comparatorError, setComparatorError] = useState(null);
+  const [orderingCheck, setOrderingCheck] = useState(null); // Result of the last check
+  const selectedSizeUnit =
+    SIZE_LIMIT_UNITS[config.sizeLimitUnit] ||
+    SIZE_LIMIT_UNITS[DEFAULT_LSM_CONFIG.sizeLimitUnit];
+  const selectedComparator =
+    KEY_COMPARATORS[config.keyComparator] ||
+    KEY_COMPARATORS[DEFAULT_LSM_CONFIG.keyComparator];
+  const selectedStrategy =
+    COMPACTION_STRATEGIES[config.compactionStrategy] ||
+    COMPACTION_STRATEGIES[DEFAULT_LSM_CONFIG.compactionStrategy];
+  const selectedScheduling =
+    COMPACTION_SCHEDULING[config.compactionScheduling] ||
+    COMPACTION_SCHEDULING[DEFAULT_LSM_CONFIG.compactionScheduling];
+  const selectedMemtable =
+    MEMTABLE_IMPLEMENTATIONS[config.memtableImplementation] ||
+    MEMTABLE_IMPLEMENTATIONS[DEFAULT_LSM_CONFIG.memtableImplementation];
+  const selectedCachePolicy =
+    BLOCK_CACHE_POLICIES[config.blockCachePolicy] ||
+    BLOCK_CACHE_POLICIES[DEFAULT_LSM_CONFIG.blockCachePolicy];
+  const selectedMergeOperator =
+    MERGE_OPERATORS[config.mergeOperator] ||
+    MERGE_OPERATORS[DEFAULT_LSM_CONFIG.mergeOperator];
 
   useEffect(() => {
     setConfig(initialConfig);
   }, [initialConfig]);
 
+  // Choices such as the compaction strategy are kept as their name
+  const handleSelectChange = (e) => {
+    const { name, value } = e.target;
+    setConfig((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCustomComparatorChange = (e) => {
+    const { value } = e.target;
+    setConfig((prev) => ({ ...prev, customComparator: value }));
+    setComparatorError(null);
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
-    // Ensure positive integers, provide a default if parsing fails or value is too low
+    // Ensure integers within the field's bounds, provide the minimum if parsing fails or value is too low
     const parsedValue = parseInt(value, 10);
+    const { min = 1, max = Infinity } = CONFIG_LIMITS[name] || {};
     setConfig((prev) => ({
       ...prev,
-      [name]: parsedValue > 0 ? parsedValue : 1,
+      [name]: parsedValue >= min ? Math.min(parsedValue, max) : min,
     }));
   };
 
   const handleSave = () => {
+    // Saving here is the only way custom comparator code gets to run. One that
+    // does not parse or is not a total order is refused.
+    try {
+      if (config.keyComparator === "custom") {
+        confirmCustomComparator(config.customComparator);
+      }
+    } catch (error) {
+      setComparatorError(error.message);
+      return;
+    }
+    setComparatorError(null);
     onSave(config);
     setIsOpen(false);
   };
 
   const handleResetDefault = () => {
-    const defaultConfigValues = {
-      memtableMaxSize: MEMTABLE_DEFAULT_MAX_SIZE,
-      l0MaxSSTables: L0_DEFAULT_MAX_SSTABLES,
-      levelMaxSSTablesFactor: LEVEL_MAX_SSTABLES_FACTOR,
-      sstableMaxItems: SSTABLE_DEFAULT_MAX_ITEMS,
-      maxLevels: MAX_LEVELS,
-    };
+    const defaultConfigValues = { ...DEFAULT_LSM_CONFIG };
     setConfig(defaultConfigValues);
     onSave(defaultConfigValues); // Save and apply defaults
     setIsOpen(false);
@@ -69,12 +118,188 @@ const SettingsPanel = ({ initialConfig, onSave, onResetDefault }) => {
           <h3 className="text-lg font-semibold mb-3 text-gray-700">
             LSM Tree Configuration
           </h3>
+          {[
+            {
+              name: "compactionStrategy",
+              label: "Compaction Strategy",
+              options: COMPACTION_STRATEGIES,
+              selected: selectedStrategy,
+            },
+            {
+              name: "compactionScheduling",
+              label: "Compaction Scheduling",
+              options: COMPACTION_SCHEDULING,
+              selected: selectedScheduling,
+            },
+            {
+              name: "memtableImplementation",
+              label: "MemTable Implementation",
+              options: MEMTABLE_IMPLEMENTATIONS,
+              selected: selectedMemtable,
+            },
+            {
+              name: "blockCachePolicy",
+              label: "Block Cache Eviction",
+              options: BLOCK_CACHE_POLICIES,
+              selected: selectedCachePolicy,
+            },
+            {
+              name: "sizeLimitUnit",
+              label: "Size Limits In",
+              options: SIZE_LIMIT_UNITS,
+              selected: selectedSizeUnit,
+            },
+            {
+              name: "mergeOperator",
+              label: "Merge Operator",
+              options: MERGE_OPERATORS,
+              selected: selectedMergeOperator,
+            },
+            {
+              name: "keyComparator",
+              label: "Key Order",
+              options: KEY_COMPARATORS,
+              selected: selectedComparator,
+            },
+          ].map((item) => (
+            <div key={item.name} className="mb-4 flex flex-col">
+              <label
+                htmlFor={item.name}
+                className="text-sm font-medium text-gray-600 mb-1 flex items-center"
+              >
+                {item.label}
+                <Tooltip text={item.selected.description}>
+                  <HelpCircle
+                    size={14}
+                    className="ml-1 text-gray-400 cursor-help"
+                  />
+                </Tooltip>
+              </label>
+              <select
+                id={item.name}
+                name={item.name}
+                value={item.selected.name}
+                onChange={handleSelectChange}
+                className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700 bg-white"
+              >
+                {Object.values(item.options).map((option) => (
+                  <option key={option.name} value={option.name}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+          {selectedComparator.name === "custom" && (
+            <div className="mb-4 flex flex-col">
+              <label
+                htmlFor="customComparator"
+                className="text-sm font-medium text-gray-600 mb-1"
+              >
+                Custom Comparator
+              </label>
+              <div className="flex items-center font-mono text-sm text-gray-500">
+                (a, b) =&gt;
+                <input
+                  type="text"
+                  id="customComparator"
+                  name="customComparator"
+                  value={config.customComparator}
+                  onChange={handleCustomComparatorChange}
+                  spellCheck={false}
+                  className="ml-2 flex-1 p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+                />
+              </div>
+            </div>
+          )}
+          {comparatorError && (
+            <p className="mb-4 text-sm p-2 rounded-md bg-red-50 text-red-700 border border-red-200">
+              {comparatorError}
+            </p>
+          )}
+          <div className="mb-4 flex items-center gap-2 text-sm">
+            <button
+              onClick={() => setOrderingCheck(onCheckKeyOrdering())}
+              className="px-3 py-1 bg-gray-200 text-gray-700 rounded-md hover:bg-gray-300 transition-colors"
+            >
+              Check key order
+            </button>
+            {orderingCheck &&
+              (orderingCheck.problems.length === 0 ? (
+                <span className="text-green-700">
+                  All {orderingCheck.keysChecked} keys are sorted and readable
+                  under {orderingCheck.comparator}.
+                </span>
+              ) : (
+                <span className="text-red-700">
+                  {orderingCheck.problems.length} problem(s):{" "}
+                  {orderingCheck.problems[0]}
+                </span>
+              ))}
+          </div>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
             {[
               {
                 name: "memtableMaxSize",
                 label: "MemTable Max Size",
-                tip: "Max items in MemTable before flush.",
+                tip: "Max items in MemTable before it becomes immutable.",
+                unit: "entries",
+              },
+              {
+                name: "memtableMaxBytes",
+                label: "MemTable Max Bytes",
+                tip: "Bytes of entries (every version kept) in the MemTable before it becomes immutable.",
+                unit: "bytes",
+              },
+              {
+                name: "maxImmutableMemtables",
+                label: "Max Immutable MemTables",
+                tip: "Full MemTables that may wait for a background flush. When the queue is full, writes stop.",
+              },
+              {
+                name: "immutableMemtablesSlowdownTrigger",
+                label: "Immutable MemTables Slowdown",
+                tip: "Writes are slowed down once this many immutable MemTables wait for a flush.",
+              },
+              {
+                name: "flushTicks",
+                label: "Flush Duration (ticks)",
+                tip: "Clock ticks a background flush takes. Each write advances the clock by one tick.",
+              },
+              {
+                name: "compactionBytesPerTick",
+                label: "Compaction Bytes per Tick",
+                tip: "How fast a background compaction reads and rewrites its input. Only used with background scheduling.",
+              },
+              {
+                name: "l0SlowdownWritesTrigger",
+                label: "L0 Slowdown Trigger",
+                tip: "Writes are slowed down once L0 holds this many SSTables. Not used by FIFO, which keeps every table in L0.",
+              },
+              {
+                name: "l0StopWritesTrigger",
+                label: "L0 Stop Trigger",
+                tip: "Writes stop once L0 holds this many SSTables, until compaction drains it.",
+              },
+              {
+                name: "pendingCompactionSlowdownBytes",
+                label: "Compaction Debt Slowdown (bytes)",
+                tip: "Writes are slowed down once the bytes compaction still has to rewrite reach this.",
+              },
+              {
+                name: "pendingCompactionStopBytes",
+                label: "Compaction Debt Stop (bytes)",
+                tip: "Writes stop once the bytes compaction still has to rewrite reach this.",
+              },
+              {
+                name: "writeSlowdownTicks",
+                label: "Slowdown Delay (ticks)",
+                tip: "Extra clock ticks a write waits while writes are slowed down, up to 1000.",
+              },
+              {
+                name: "writeStallTimeoutTicks",
+                label: "Stall Timeout (ticks)",
+                tip: "Ticks a stopped write waits for the background work to catch up before it is rejected, up to 1000.",
               },
               {
                 name: "l0MaxSSTables",
@@ -90,37 +315,98 @@ const SettingsPanel = ({ initialConfig, onSave, onResetDefault }) => {
                 name: "sstableMaxItems",
                 label: "SSTable Max Items",
                 tip: "Max items per SSTable created during compaction.",
+                unit: "entries",
+              },
+              {
+                name: "sstableMaxBytes",
+                label: "SSTable Max Bytes",
+                tip: "Target size of each SSTable created during compaction.",
+                unit: "bytes",
+              },
+              {
+                name: "levelBaseMaxBytes",
+                label: "L1 Max Bytes",
+                tip: "Bytes L1 may hold before it is compacted into L2. Each deeper level may hold Level Max SSTables Factor times more.",
+                unit: "bytes",
+              },
+              {
+                name: "sstableBlockSize",
+                label: "SSTable Block Size",
+                tip: "Entries per data block. A point read loads one index block plus at most one data block per SSTable.",
+              },
+              {
+                name: "sstableRestartInterval",
+                label: "Block Restart Interval",
+                tip: "Entries between restart points in a block. Keys in between are prefix-compressed against the previous key.",
+              },
+              {
+                name: "blockCacheCapacity",
+                label: "Block Cache Capacity (blocks)",
+                tip: "Index and data blocks the shared block cache holds, counted in blocks rather than entries or bytes. Reads and scans served from the cache skip the SSTable file. 0 turns the cache off.",
               },
               {
                 name: "maxLevels",
                 label: "Max Levels",
-                tip: "Total number of levels (L0 to L(N-1)). Min 2.",
-              },
-            ].map((item) => (
-              <div key={item.name} className="flex flex-col">
-                <label
-                  htmlFor={item.name}
-                  className="text-sm font-medium text-gray-600 mb-1 flex items-center"
-                >
-                  {item.label}
-                  <Tooltip text={item.tip}>
-                    <HelpCircle
-                      size={14}
-                      className="ml-1 text-gray-400 cursor-help"
-                    />
-                  </Tooltip>
-                </label>
-                <input
-                  type="number"
-                  id={item.name}
-                  name={item.name}
-                  value={config[item.name]}
-                  onChange={handleChange}
-                  min="1" // MaxLevels min should be 2 if there's L0 and L1
-                  className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700"
-                />
-              </div>
-            ))}
+                tip: "Total number of levels (L0 to L(N-1)). Min 2, max 20.",
+              },
+              {
+                name: "bloomBitsPerKey",
+                label: "Bloom Bits per Key",
+                tip: "Bloom filter bits allocated per key in each new SSTable, up to 64. More bits, fewer false positives.",
+              },
+              {
+                name: "bloomHashCount",
+                label: "Bloom Hash Count",
+                tip: "Hash functions per key, up to 32. Optimal is about 0.69 x bits per key.",
+              },
+              {
+                name: "walSyncInterval",
+                label: "WAL fsync Interval",
+                tip: "fsync the WAL after every N records. Records after the last fsync are lost on crash.",
+              },
+              {
+                name: "walSegmentMaxRecords",
+                label: "WAL Segment Max Records",
+                tip: "Records per WAL segment file before a new segment is started.",
+              },
+              {
+                name: "metricsSampleInterval",
+                label: "Metrics Sample Interval",
+                tip: "Record a sample for the metrics charts every N operations.",
+              },
+              // Parameters of the selected compaction strategy only
+              ...selectedStrategy.params,
+            ]
+              // Only the limits of the selected size unit apply
+              .filter(
+                (item) => !item.unit || item.unit === selectedSizeUnit.name
+              )
+              .map((item) => (
+                <div key={item.name} className="flex flex-col">
+                  <label
+                    htmlFor={item.name}
+                    className="text-sm font-medium text-gray-600 mb-1 flex items-center"
+                  >
+                    {item.label}
+                    <Tooltip text={item.tip}>
+                      <HelpCircle
+                        size={14}
+                        className="ml-1 text-gray-400 cursor-help"
+                      />
+                    </Tooltip>
+                  </label>
+                  <input
+                    type="number"
+                    id={item.name}
+                    name={item.name}
+                    value={config[item.name]}
+                    onChange={handleChange}
+                    min={CONFIG_LIMITS[item.name]?.min ?? 1} // MaxLevels min should be 2 if there's L0 and L1
+                    max={CONFIG_LIMITS[item.name]?.max}
+                    className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700"
+                  />
+                </div>
+              ))}
           </div>
           <div className="mt-4 flex space-x-2">
             <button
@@ -0,0 +1,89 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight, Camera, X, HelpCircle } from "lucide-react";
+import Tooltip from "./Tooltip";
+import { TOMBSTONE } from "../constants";
+
+const SnapshotsPanel = ({ snapshots, lastSequence, onTake, onRelease }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  if (!snapshots) return null;
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left font-semibold text-gray-700 mb-2 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <Camera size={18} className="mr-2 text-cyan-600" /> Snapshots (
+        {snapshots.length} live)
+      </button>
+      {isOpen && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>Latest sequence number: {lastSequence}</span>
+            <Tooltip text="A snapshot pins versions that newer writes have shadowed, so compaction cannot drop them.">
+              <HelpCircle size={14} className="text-gray-400 cursor-help" />
+            </Tooltip>
+          </div>
+          {snapshots.length === 0 && (
+            <p className="text-sm text-gray-500 italic">No live snapshots.</p>
+          )}
+          {snapshots.map((snapshot) => (
+            <div
+              key={snapshot.id}
+              className="border border-cyan-200 rounded-md bg-cyan-50 p-2 text-xs"
+            >
+              <div className="flex items-center justify-between">
+                <span className="font-semibold text-cyan-800">
+                  Snapshot #{snapshot.id} @ seq {snapshot.seq}
+                  <span className="ml-1 font-normal text-gray-500">
+                    ({snapshot.createdAt})
+                  </span>
+                </span>
+                <button
+                  onClick={() => onRelease(snapshot.id)}
+                  className="text-gray-500 hover:text-red-600"
+                  title="Release snapshot"
+                >
+                  <X size={14} />
+                </button>
+              </div>
+              {snapshot.pinned.length === 0 ? (
+                <p className="text-gray-500 italic mt-1">
+                  Pins nothing: no key has changed since it was taken.
+                </p>
+              ) : (
+                <ul className="mt-1 space-y-0.5 font-mono text-gray-700">
+                  {snapshot.pinned.map((version) => (
+                    <li key={`${version.key}-${version.seq}`}>
+                      {version.key}=
+                      {version.value === TOMBSTONE
+                        ? "(TOMBSTONE)"
+                        : version.value}{" "}
+                      #{version.seq}
+                      <span className="text-gray-400">
+                        {" "}
+                        in {version.location}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          ))}
+          <button
+            onClick={onTake}
+            className="w-full px-4 py-2 bg-cyan-500 text-white rounded-md hover:bg-cyan-600 flex items-center justify-center transition-colors"
+          >
+            <Camera size={18} className="mr-2" /> Take Snapshot
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+export default SnapshotsPanel;
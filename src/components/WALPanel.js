@@ -0,0 +1,138 @@
+import React, { useState } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  ScrollText,
+  ZapOff,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+import { TOMBSTONE } from "../constants";
+
+// A range delete logs its start key as the key and its end key as the value;
+// a put with a TTL logs the tick it expires at
+const formatRecord = (record) =>
+  record.op === "delete"
+    ? `del ${record.key}`
+    : record.op === "merge"
+    ? `merge ${record.key} ${record.value}`
+    : record.op === "deleteRange"
+    ? `delrange [${record.key}, ${record.value})`
+    : `put ${record.key}=${record.value === TOMBSTONE ? "" : record.value}${
+        record.expiresAt != null ? ` ttl→t=${record.expiresAt}` : ""
+      }`;
+
+const WALPanel = ({ wal, lastRecovery, onCrash }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  if (!wal) return null;
+
+  // Group records by segment (log file) so rotation boundaries are visible
+  const segments = [];
+  wal.records.forEach((record) => {
+    const current = segments[segments.length - 1];
+    if (current && current.id === record.segment) current.records.push(record);
+    else segments.push({ id: record.segment, records: [record] });
+  });
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left font-semibold text-gray-700 mb-2 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <ScrollText size={18} className="mr-2 text-orange-600" /> Write-Ahead
+        Log ({wal.records.length} records)
+      </button>
+      {isOpen && (
+        <div className="space-y-3">
+          <div className="flex items-center justify-between text-xs text-gray-500">
+            <span>
+              fsync every {wal.syncInterval} record(s), {wal.segmentMaxRecords}{" "}
+              records per segment
+            </span>
+            <Tooltip text="Records below a dashed fsync line are in the OS cache only and are lost on crash.">
+              <HelpCircle size={14} className="text-gray-400 cursor-help" />
+            </Tooltip>
+          </div>
+          {segments.length === 0 && (
+            <p className="text-sm text-gray-500 italic">
+              Empty. The log is truncated after every MemTable flush.
+            </p>
+          )}
+          {segments.map((segment) => (
+            <div
+              key={segment.id}
+              className="border border-orange-200 rounded-md bg-orange-50 p-2"
+            >
+              <div className="text-xs font-semibold text-orange-800 mb-1">
+                Segment {String(segment.id).padStart(6, "0")}.log
+              </div>
+              {segment.records.map((record) => (
+                <div key={record.lsn}>
+                  <div
+                    className={`flex justify-between text-xs font-mono px-1 rounded ${
+                      record.synced
+                        ? "text-gray-700"
+                        : "text-orange-700 bg-orange-100 italic"
+                    }`}
+                  >
+                    <span>
+                      #{record.lsn} {formatRecord(record)}
+                    </span>
+                    <span className="text-gray-400">
+                      {record.bytes} B{record.synced ? "" : " (unsynced)"}
+                    </span>
+                  </div>
+                  {record.syncBoundary && (
+                    <div className="border-t border-dashed border-orange-400 my-0.5 text-[10px] text-orange-500 text-right">
+                      fsync
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+          <button
+            onClick={onCrash}
+            className="w-full px-4 py-2 bg-orange-500 text-white rounded-md hover:bg-orange-600 flex items-center justify-center transition-colors"
+          >
+            <ZapOff size={18} className="mr-2" /> Simulate Crash
+          </button>
+          {lastRecovery && (
+            <div className="text-xs border-t border-gray-200 pt-2">
+              <h4 className="font-semibold text-gray-700 mb-1">
+                Last Recovery
+              </h4>
+              {lastRecovery.steps.length === 0 && (
+                <p className="text-gray-500 italic">Nothing to replay.</p>
+              )}
+              <ol className="space-y-0.5 font-mono text-gray-700">
+                {lastRecovery.steps.map((step, idx) => (
+                  <li key={step.lsn}>
+                    {idx + 1}. replay #{step.lsn} (seg {step.segment}){" "}
+                    {formatRecord(step)} &rarr; MemTable has {step.memtableSize}{" "}
+                    keys
+                  </li>
+                ))}
+              </ol>
+              {lastRecovery.lost.length > 0 && (
+                <p className="mt-1 text-red-700">
+                  Lost (never fsynced):{" "}
+                  {lastRecovery.lost
+                    .map((record) => `#${record.lsn} ${formatRecord(record)}`)
+                    .join(", ")}
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default WALPanel;
@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  ChevronDown,
+  ChevronRight,
+  Activity,
+  Play,
+  Pause,
+  Square,
+  FastForward,
+  HelpCircle,
+} from "lucide-react";
+import Tooltip from "./Tooltip";
+import WorkloadGenerator, { WORKLOAD_DISTRIBUTIONS } from "../core/workload";
+import { DEFAULT_WORKLOAD_CONFIG } from "../constants";
+
+const FIELDS = [
+  {
+    name: "readRatio",
+    label: "Read %",
+    tip: "Relative weight of point reads (get).",
+    min: 0,
+  },
+  {
+    name: "writeRatio",
+    label: "Write %",
+    tip: "Relative weight of writes (put).",
+    min: 0,
+  },
+  {
+    name: "deleteRatio",
+    label: "Delete %",
+    tip: "Relative weight of deletes.",
+    min: 0,
+  },
+  {
+    name: "scanRatio",
+    label: "Scan %",
+    tip: "Relative weight of range scans.",
+    min: 0,
+  },
+  {
+    name: "keyCount",
+    label: "Key Count",
+    tip: "Size of the key space: key0 to key(N-1).",
+  },
+  {
+    name: "valueSize",
+    label: "Value Size",
+    tip: "Characters per generated value.",
+  },
+  {
+    name: "scanLength",
+    label: "Scan Length",
+    tip: "Keys covered by each generated scan.",
+  },
+  {
+    name: "seed",
+    label: "Random Seed",
+    tip: "The same seed and settings replay exactly the same operations.",
+    min: 0,
+  },
+  {
+    name: "opsPerSecond",
+    label: "Ops / Second",
+    tip: "Speed of live mode. The tree is re-rendered after every operation.",
+  },
+  {
+    name: "batchOps",
+    label: "Batch Size (N)",
+    tip: "Operations executed by 'Run N Ops', rendering only once at the end.",
+  },
+];
+
+// Live mode never runs faster than one render every 20 ms
+const MIN_TICK_MS = 20;
+
+const WorkloadPanel = ({ onRunOps, onCommit }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [config, setConfig] = useState({ ...DEFAULT_WORKLOAD_CONFIG });
+  const [status, setStatus] = useState("idle"); // idle | running | paused
+  const [progress, setProgress] = useState(null); // { opsRun, counts }
+  const generatorRef = useRef(null);
+  const uncommittedRef = useRef(0); // Ops run since the last history entry
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    const field = FIELDS.find((f) => f.name === name);
+    const parsedValue = parseInt(value, 10);
+    const min = field.min ?? 1;
+    setConfig((prev) => ({
+      ...prev,
+      [name]: parsedValue >= min ? parsedValue : min,
+    }));
+  };
+
+  const runOps = (count) => {
+    const generator = generatorRef.current;
+    onRunOps(generator, count);
+    uncommittedRef.current += count;
+    setProgress({ opsRun: generator.opsRun, counts: { ...generator.counts } });
+  };
+
+  // One history entry per run, not per operation
+  const commit = () => {
+    if (uncommittedRef.current > 0) {
+      onCommit({
+        ops: uncommittedRef.current,
+        distribution: generatorRef.current.config.distribution,
+      });
+      uncommittedRef.current = 0;
+    }
+  };
+
+  useEffect(() => {
+    if (status !== "running") return undefined;
+    const delay = Math.max(MIN_TICK_MS, 1000 / config.opsPerSecond);
+    const perTick = Math.max(
+      1,
+      Math.round((config.opsPerSecond * delay) / 1000)
+    );
+    const timer = setTimeout(() => runOps(perTick), delay);
+    return () => clearTimeout(timer);
+  });
+
+  const handleStart = () => {
+    generatorRef.current = new WorkloadGenerator(config);
+    uncommittedRef.current = 0;
+    setProgress({ opsRun: 0, counts: { ...generatorRef.current.counts } });
+    setStatus("running");
+  };
+
+  const handlePause = () => {
+    setStatus("paused");
+    commit();
+  };
+
+  const handleStop = () => {
+    setStatus("idle");
+    commit();
+    generatorRef.current = null;
+  };
+
+  // Bulk mode: continues a paused run, or starts a fresh one
+  const handleRunBatch = () => {
+    if (!generatorRef.current || status === "idle") {
+      generatorRef.current = new WorkloadGenerator(config);
+      uncommittedRef.current = 0;
+    }
+    runOps(config.batchOps);
+    commit();
+    if (status === "idle") generatorRef.current = null;
+  };
+
+  const selected =
+    WORKLOAD_DISTRIBUTIONS[config.distribution] ||
+    WORKLOAD_DISTRIBUTIONS[DEFAULT_WORKLOAD_CONFIG.distribution];
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left text-xl font-semibold text-gray-700 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <Activity size={20} className="mr-2 text-rose-600" /> Workload Generator
+        {status !== "idle" && (
+          <span
+            className={`ml-2 text-xs px-1.5 py-0.5 rounded ${
+              status === "running"
+                ? "bg-green-200 text-green-800 animate-pulse"
+                : "bg-yellow-200 text-yellow-800"
+            }`}
+          >
+            {status === "running" ? "Running" : "Paused"}
+          </span>
+        )}
+      </button>
+      {isOpen && (
+        <div className="mt-3 space-y-4">
+          <div className="flex flex-col">
+            <label
+              htmlFor="workloadDistribution"
+              className="text-sm font-medium text-gray-600 mb-1 flex items-center"
+            >
+              Key Distribution
+              <Tooltip text={selected.description}>
+                <HelpCircle
+                  size={14}
+                  className="ml-1 text-gray-400 cursor-help"
+                />
+              </Tooltip>
+            </label>
+            <select
+              id="workloadDistribution"
+              value={config.distribution}
+              onChange={(e) =>
+                setConfig((prev) => ({ ...prev, distribution: e.target.value }))
+              }
+              disabled={status !== "idle"}
+              className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700 bg-white"
+            >
+              {Object.entries(WORKLOAD_DISTRIBUTIONS).map(([name, dist]) => (
+                <option key={name} value={name}>
+                  {dist.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-5 gap-3">
+            {FIELDS.map((item) => (
+              <div key={item.name} className="flex flex-col">
+                <label
+                  htmlFor={`workload-${item.name}`}
+                  className="text-sm font-medium text-gray-600 mb-1 flex items-center"
+                >
+                  {item.label}
+                  <Tooltip text={item.tip}>
+                    <HelpCircle
+                      size={14}
+                      className="ml-1 text-gray-400 cursor-help"
+                    />
+                  </Tooltip>
+                </label>
+                <input
+                  type="number"
+                  id={`workload-${item.name}`}
+                  name={item.name}
+                  value={config[item.name]}
+                  onChange={handleChange}
+                  min={item.min ?? 1}
+                  // Speed may change mid-run; the workload itself may not
+                  disabled={status !== "idle" && item.name !== "opsPerSecond"}
+                  className="p-2 border border-gray-300 rounded-md focus:ring-blue-500 focus:border-blue-500 text-gray-700 disabled:bg-gray-100"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {status === "running" ? (
+              <button
+                onClick={handlePause}
+                className="px-4 py-2 bg-yellow-500 text-white rounded-md hover:bg-yellow-600 flex items-center justify-center transition-colors"
+              >
+                <Pause size={18} className="mr-2" /> Pause
+              </button>
+            ) : (
+              <button
+                onClick={() =>
+                  status === "paused" ? setStatus("running") : handleStart()
+                }
+                className="px-4 py-2 bg-green-500 text-white rounded-md hover:bg-green-600 flex items-center justify-center transition-colors"
+              >
+                <Play size={18} className="mr-2" />{" "}
+                {status === "paused" ? "Resume" : "Start Live"}
+              </button>
+            )}
+            <button
+              onClick={handleStop}
+              disabled={status === "idle"}
+              className="px-4 py-2 bg-gray-500 text-white rounded-md hover:bg-gray-600 disabled:bg-gray-300 flex items-center justify-center transition-colors"
+            >
+              <Square size={18} className="mr-2" /> Stop
+            </button>
+            <button
+              onClick={handleRunBatch}
+              disabled={status === "running"}
+              className="px-4 py-2 bg-rose-500 text-white rounded-md hover:bg-rose-600 disabled:bg-gray-400 flex items-center justify-center transition-colors"
+            >
+              <FastForward size={18} className="mr-2" /> Run {config.batchOps}{" "}
+              Ops
+            </button>
+          </div>
+          {progress && (
+            <p className="text-sm text-gray-600">
+              {progress.opsRun} ops run: {progress.counts.get} gets,{" "}
+              {progress.counts.put} puts, {progress.counts.delete} deletes,{" "}
+              {progress.counts.scan} scans.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default WorkloadPanel;
@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import { ChevronDown, ChevronRight, Gauge } from "lucide-react";
+import { formatBytes } from "../core/sizing";
+
+const CONDITION_STYLES = {
+  stop: ["Stopped", "bg-red-200 text-red-800"],
+  slowdown: ["Slowed down", "bg-amber-200 text-amber-800"],
+  flowing: ["Flowing", "bg-green-200 text-green-800"],
+};
+
+const OUTCOME_STYLES = {
+  delayed: "text-amber-700",
+  stopped: "text-orange-700",
+  rejected: "text-red-700",
+};
+
+// A bar filled up to the stop threshold, with a tick at the slowdown one
+const StallGauge = ({ label, value, display, slowdown, stop }) => {
+  const fill = Math.min(1, value / stop);
+  return (
+    <div>
+      <div className="flex justify-between text-xs text-gray-600">
+        <span>{label}</span>
+        <span className="font-mono">{display}</span>
+      </div>
+      <div className="relative h-2 bg-gray-200 rounded">
+        <div
+          className={`h-2 rounded ${
+            value >= stop
+              ? "bg-red-500"
+              : value >= slowdown
+              ? "bg-amber-500"
+              : "bg-green-500"
+          }`}
+          style={{ width: `${fill * 100}%` }}
+        />
+        {slowdown < stop && (
+          <div
+            className="absolute top-0 h-2 w-px bg-gray-600"
+            style={{ left: `${(slowdown / stop) * 100}%` }}
+            title="Slowdown threshold"
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+const WriteStallPanel = ({
+  writeStall,
+  writeStalls,
+  compactionJob,
+  config,
+}) => {
+  const [isOpen, setIsOpen] = useState(true);
+  if (!writeStall) return null;
+  const [conditionLabel, conditionStyle] =
+    CONDITION_STYLES[writeStall.condition || "flowing"];
+
+  return (
+    <div className="p-4 bg-white shadow-md rounded-lg mb-6">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="w-full text-left font-semibold text-gray-700 mb-2 flex items-center"
+      >
+        {isOpen ? (
+          <ChevronDown size={20} className="mr-1" />
+        ) : (
+          <ChevronRight size={20} className="mr-1" />
+        )}
+        <Gauge size={18} className="mr-2 text-amber-600" /> Write Stalls
+        <span
+          className={`ml-auto text-xs px-1.5 py-0.5 rounded ${conditionStyle}`}
+        >
+          {conditionLabel}
+        </span>
+      </button>
+      {isOpen && (
+        <div className="space-y-3">
+          {writeStall.reasons.length > 0 && (
+            <ul className="text-xs text-gray-700 list-disc ml-4">
+              {writeStall.reasons.map((reason) => (
+                <li key={reason}>{reason}</li>
+              ))}
+            </ul>
+          )}
+          <div className="space-y-2">
+            <StallGauge
+              label="L0 SSTables"
+              value={writeStall.l0Files}
+              display={`${writeStall.l0Files} / ${config.l0StopWritesTrigger}`}
+              slowdown={config.l0SlowdownWritesTrigger}
+              stop={config.l0StopWritesTrigger}
+            />
+            <StallGauge
+              label="Compaction debt"
+              value={writeStall.pendingCompactionBytes}
+              display={`${formatBytes(
+                writeStall.pendingCompactionBytes
+              )} / ${formatBytes(config.pendingCompactionStopBytes)}`}
+              slowdown={config.pendingCompactionSlowdownBytes}
+              stop={config.pendingCompactionStopBytes}
+            />
+            <StallGauge
+              label="Immutable MemTables"
+              value={writeStall.immutableMemtables}
+              display={`${writeStall.immutableMemtables} / ${config.maxImmutableMemtables}`}
+              slowdown={config.immutableMemtablesSlowdownTrigger}
+              stop={config.maxImmutableMemtables}
+            />
+          </div>
+          <p className="text-xs text-gray-600">
+            {config.compactionScheduling !== "background"
+              ? "Compactions run inline, so only flushes fall behind."
+              : compactionJob
+              ? `Background compaction of L${compactionJob.job.sourceLevel}: ${
+                  compactionJob.totalTicks - compactionJob.remainingTicks
+                } / ${compactionJob.totalTicks} ticks (${formatBytes(
+                  compactionJob.bytes
+                )}).`
+              : "No background compaction running."}
+          </p>
+          {writeStalls.length === 0 ? (
+            <p className="text-sm text-gray-500 italic">
+              No write has stalled yet.
+            </p>
+          ) : (
+            <ol className="space-y-1 text-xs max-h-40 overflow-y-auto">
+              {[...writeStalls].reverse().map((stall) => (
+                <li
+                  key={`${stall.op}-${stall.clock}`}
+                  className="p-1 border border-gray-200 rounded-md bg-gray-50"
+                >
+                  <span className="font-mono text-gray-500">
+                    op {stall.op}, t={stall.clock}
+                  </span>{" "}
+                  <span
+                    className={`font-semibold ${OUTCOME_STYLES[stall.outcome]}`}
+                  >
+                    {stall.outcome} {stall.ticks} ticks
+                  </span>
+                  <div className="text-gray-600">{stall.reason}</div>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+export default WriteStallPanel;
@@ -1,6 +1,128 @@
 export const MEMTABLE_DEFAULT_MAX_SIZE = 5;
+export const MEMTABLE_DEFAULT_MAX_BYTES = 128; // MemTable budget when limits are in bytes
+export const MEMTABLE_DEFAULT_IMPLEMENTATION = "map"; // "map" (sorted at flush) or "skiplist"
+export const SKIPLIST_MAX_HEIGHT = 6; // Tallest tower a skip list MemTable builds
 export const L0_DEFAULT_MAX_SSTABLES = 3;
 export const LEVEL_MAX_SSTABLES_FACTOR = 4;
 export const SSTABLE_DEFAULT_MAX_ITEMS = 10;
+export const SSTABLE_DEFAULT_MAX_BYTES = 256; // Target SSTable size when limits are in bytes
+export const LEVEL_BASE_DEFAULT_MAX_BYTES = 1024; // L1 budget in bytes; deeper levels grow by the level factor
+export const SIZE_LIMIT_DEFAULT_UNIT = "entries"; // "entries" or "bytes"
+export const ENTRY_OVERHEAD_BYTES = 8; // Sequence number (7) + type (1) stored with every entry
+export const TTL_TIMESTAMP_BYTES = 4; // Expiry time stored with an entry written with a TTL
+export const SSTABLE_DEFAULT_BLOCK_SIZE = 4; // Entries per data block (all versions of a key share a block)
+export const SSTABLE_DEFAULT_RESTART_INTERVAL = 2; // Entries between restart points inside a block
+export const KEY_COMPARATOR_DEFAULT = "bytewise"; // Key order: bytewise, numeric, caseInsensitive, locale or custom
+export const CUSTOM_COMPARATOR_DEFAULT = "a.length - b.length"; // Expression over keys a and b (shorter keys first)
 export const TOMBSTONE = "__DELETED__";
+export const MERGE_OPERATOR_DEFAULT = "add"; // Merge operator: add, append, max or union
+// Type tag of an internal key: [userKey, value, seq, type], plus expiresAt
+// (a clock tick) when the entry was written with a TTL
+export const ENTRY_TYPES = { PUT: "put", DELETE: "delete", MERGE: "merge" };
 export const MAX_LEVELS = 5; // Added MAX_LEVELS constant
+export const LSM_STATE_SCHEMA_VERSION = 12; // Bump when LSMTree.serialize() changes shape
+export const BLOCK_CACHE_DEFAULT_CAPACITY = 8; // Blocks (index or data) the shared block cache holds
+export const BLOCK_CACHE_DEFAULT_POLICY = "lru"; // Eviction policy: "lru" or "clock"
+export const BLOOM_DEFAULT_BITS_PER_KEY = 10;
+export const BLOOM_DEFAULT_HASH_COUNT = 3;
+export const COMPACTION_DEFAULT_STRATEGY = "leveled";
+export const TIERED_DEFAULT_MIN_RUNS = 4; // Runs in a tier before they are merged
+export const TIERED_DEFAULT_SIZE_RATIO = 2; // Max largest/smallest size within a merged tier
+export const FIFO_DEFAULT_MAX_ENTRIES = 40; // Total entries kept before the oldest tables are dropped
+export const FIFO_DEFAULT_MAX_BYTES = 1024; // FIFO budget when limits are in bytes
+export const WAL_DEFAULT_SYNC_INTERVAL = 1; // fsync after every N records (1 = every write is durable)
+export const WAL_DEFAULT_SEGMENT_MAX_RECORDS = 4; // Records per WAL segment file before rotation
+export const WAL_RECORD_HEADER_BYTES = 13; // LSN (8) + type (1) + key/value lengths (2 + 2)
+export const IMMUTABLE_MEMTABLES_DEFAULT_MAX = 2; // Full MemTables waiting for a background flush
+export const FLUSH_DEFAULT_TICKS = 1; // Simulated clock ticks one background flush takes
+export const COMPACTION_DEFAULT_SCHEDULING = "inline"; // "inline" (instant) or "background" (on the clock)
+export const COMPACTION_DEFAULT_BYTES_PER_TICK = 64; // Background compaction speed
+export const L0_SLOWDOWN_WRITES_TRIGGER = 8; // L0 SSTables at which writes are slowed down
+export const L0_STOP_WRITES_TRIGGER = 12; // L0 SSTables at which writes stop
+export const PENDING_COMPACTION_SLOWDOWN_BYTES = 4096; // Compaction debt at which writes are slowed down
+export const PENDING_COMPACTION_STOP_BYTES = 16384; // Compaction debt at which writes stop
+export const IMMUTABLE_MEMTABLES_SLOWDOWN_TRIGGER = 2; // Immutable MemTables at which writes are slowed down
+export const WRITE_SLOWDOWN_DEFAULT_TICKS = 1; // Extra ticks a write waits while writes are slowed down
+export const WRITE_STALL_DEFAULT_TIMEOUT_TICKS = 5; // Ticks a stopped write waits before it is rejected
+export const WRITE_STALLS_MAX = 20; // Recent write stalls kept for the stall indicator
+export const COMPACTION_TRACES_MAX = 10; // Recent compactions kept for step-by-step playback
+export const HISTORY_MAX_ENTRIES = 100; // Operations kept on the undo/redo timeline
+export const HISTORY_MAX_BYTES = 16 * 1024 * 1024; // Serialized tree states kept on the timeline, in total
+export const COMMAND_REPEAT_MAX = 1000; // Most runs one console repeat may do; they run synchronously on the main thread, so this keeps a single command to about a second
+export const SCENARIO_FORMAT = "lsm-tree-scenario"; // Marks exported scenario files
+export const SCENARIO_VERSION = 1; // Bump when the scenario file layout changes
+export const ZIPFIAN_CONSTANT = 0.99; // Skew of the zipfian key distribution (YCSB default)
+export const METRICS_DEFAULT_SAMPLE_INTERVAL = 1; // Take a metrics sample every N operations
+export const METRICS_SAMPLES_MAX = 300; // Samples (and compaction events) kept for the charts
+export const KEY_LINEAGE_MAX_EVENTS = 10; // Provenance events kept per key, newest last
+export const KEY_LINEAGE_MAX_KEYS = 100; // Keys with recorded provenance; the least recently changed go first
+export const COMPARISON_FORMAT = "lsm-tree-comparison"; // Marks exported comparison reports
+export const COMPARISON_VERSION = 1; // Bump when the report layout changes
+
+// Default settings of the synthetic workload generator
+export const DEFAULT_WORKLOAD_CONFIG = {
+  readRatio: 50, // Op mix, in relative weights
+  writeRatio: 40,
+  deleteRatio: 5,
+  scanRatio: 5,
+  distribution: "zipfian",
+  keyCount: 100,
+  valueSize: 4,
+  scanLength: 5, // Keys covered by each generated scan
+  seed: 42,
+  opsPerSecond: 10, // Live mode speed
+  batchOps: 500, // "Run N ops" mode
+};
+
+// Default configuration used by the app and by "Reset to Defaults"
+export const DEFAULT_LSM_CONFIG = {
+  memtableMaxSize: MEMTABLE_DEFAULT_MAX_SIZE,
+  memtableImplementation: MEMTABLE_DEFAULT_IMPLEMENTATION,
+  sizeLimitUnit: SIZE_LIMIT_DEFAULT_UNIT,
+  memtableMaxBytes: MEMTABLE_DEFAULT_MAX_BYTES,
+  keyComparator: KEY_COMPARATOR_DEFAULT,
+  customComparator: CUSTOM_COMPARATOR_DEFAULT,
+  mergeOperator: MERGE_OPERATOR_DEFAULT,
+  l0MaxSSTables: L0_DEFAULT_MAX_SSTABLES,
+  levelMaxSSTablesFactor: LEVEL_MAX_SSTABLES_FACTOR,
+  sstableMaxItems: SSTABLE_DEFAULT_MAX_ITEMS,
+  sstableMaxBytes: SSTABLE_DEFAULT_MAX_BYTES,
+  levelBaseMaxBytes: LEVEL_BASE_DEFAULT_MAX_BYTES,
+  sstableBlockSize: SSTABLE_DEFAULT_BLOCK_SIZE,
+  sstableRestartInterval: SSTABLE_DEFAULT_RESTART_INTERVAL,
+  blockCacheCapacity: BLOCK_CACHE_DEFAULT_CAPACITY,
+  blockCachePolicy: BLOCK_CACHE_DEFAULT_POLICY,
+  maxLevels: MAX_LEVELS,
+  bloomBitsPerKey: BLOOM_DEFAULT_BITS_PER_KEY,
+  bloomHashCount: BLOOM_DEFAULT_HASH_COUNT,
+  compactionStrategy: COMPACTION_DEFAULT_STRATEGY,
+  tieredMinRuns: TIERED_DEFAULT_MIN_RUNS,
+  tieredSizeRatio: TIERED_DEFAULT_SIZE_RATIO,
+  fifoMaxEntries: FIFO_DEFAULT_MAX_ENTRIES,
+  fifoMaxBytes: FIFO_DEFAULT_MAX_BYTES,
+  walSyncInterval: WAL_DEFAULT_SYNC_INTERVAL,
+  walSegmentMaxRecords: WAL_DEFAULT_SEGMENT_MAX_RECORDS,
+  maxImmutableMemtables: IMMUTABLE_MEMTABLES_DEFAULT_MAX,
+  flushTicks: FLUSH_DEFAULT_TICKS,
+  compactionScheduling: COMPACTION_DEFAULT_SCHEDULING,
+  compactionBytesPerTick: COMPACTION_DEFAULT_BYTES_PER_TICK,
+  l0SlowdownWritesTrigger: L0_SLOWDOWN_WRITES_TRIGGER,
+  l0StopWritesTrigger: L0_STOP_WRITES_TRIGGER,
+  pendingCompactionSlowdownBytes: PENDING_COMPACTION_SLOWDOWN_BYTES,
+  pendingCompactionStopBytes: PENDING_COMPACTION_STOP_BYTES,
+  immutableMemtablesSlowdownTrigger: IMMUTABLE_MEMTABLES_SLOWDOWN_TRIGGER,
+  writeSlowdownTicks: WRITE_SLOWDOWN_DEFAULT_TICKS,
+  writeStallTimeoutTicks: WRITE_STALL_DEFAULT_TIMEOUT_TICKS,
+  metricsSampleInterval: METRICS_DEFAULT_SAMPLE_INTERVAL,
+};
+
+// Bounds of the numeric settings, enforced in Settings and on every restore.
+// A numeric setting not listed here must be a whole number of at least 1.
+export const CONFIG_LIMITS = {
+  blockCacheCapacity: { min: 0 }, // 0 turns the block cache off
+  maxLevels: { min: 1, max: 20 }, // Every level is allocated up front
+  bloomBitsPerKey: { min: 1, max: 64 }, // Each Bloom filter allocates this many bits per key
+  bloomHashCount: { min: 1, max: 32 }, // Hashes computed per key on every insert and probe
+  writeSlowdownTicks: { min: 1, max: 1000 }, // Waited out tick by tick on each slowed write
+  writeStallTimeoutTicks: { min: 1, max: 1000 }, // Waited out tick by tick on each stopped write
+};
@@ -0,0 +1,126 @@
+import { BLOCK_CACHE_DEFAULT_POLICY } from "../constants";
+
+// Eviction policies the cache can run with
+export const BLOCK_CACHE_POLICIES = {
+  lru: {
+    name: "lru",
+    label: "LRU",
+    description:
+      "Least recently used: every hit moves the block to the front, and the block at the back is evicted.",
+  },
+  clock: {
+    name: "clock",
+    label: "CLOCK",
+    description:
+      "Second chance: hits only set a reference bit. The hand sweeps the slots, clearing set bits, and evicts the first block whose bit is already clear.",
+  },
+};
+
+// Shared cache of SSTable blocks, in front of every read and scan. A block is
+// identified by its table id and either a data block index or "index" for the
+// table's index block. Capacity is counted in blocks; a capacity of 0 turns
+// the cache off.
+class BlockCache {
+  constructor(capacity, policy = BLOCK_CACHE_DEFAULT_POLICY) {
+    this.capacity = capacity;
+    this.policy = BLOCK_CACHE_POLICIES[policy]
+      ? policy
+      : BLOCK_CACHE_DEFAULT_POLICY;
+    // LRU: least recently used first. CLOCK: slots in hand order.
+    this.entries = []; // { tableId, block, referenced }
+    this.hand = 0; // CLOCK only: the slot the next sweep starts at
+  }
+
+  _find(tableId, block) {
+    return this.entries.findIndex(
+      (entry) => entry.tableId === tableId && entry.block === block
+    );
+  }
+
+  has(tableId, block) {
+    return this._find(tableId, block) !== -1;
+  }
+
+  // Reads a block through the cache, loading it on a miss.
+  // Returns whether it was a hit and the entry evicted to make room, if any.
+  access(tableId, block) {
+    const idx = this._find(tableId, block);
+    if (idx !== -1) {
+      const entry = this.entries[idx];
+      if (this.policy === "lru") {
+        this.entries.splice(idx, 1);
+        this.entries.push(entry);
+      } else {
+        entry.referenced = true;
+      }
+      return { hit: true, evicted: null };
+    }
+    if (this.capacity === 0) return { hit: false, evicted: null };
+
+    const entry = { tableId, block, referenced: true };
+    if (this.entries.length < this.capacity) {
+      this.entries.push(entry);
+      return { hit: false, evicted: null };
+    }
+    if (this.policy === "lru") {
+      const evicted = this.entries.shift();
+      this.entries.push(entry);
+      return { hit: false, evicted };
+    }
+    // Terminates within two sweeps: the first one clears every bit it passes
+    while (this.entries[this.hand].referenced) {
+      this.entries[this.hand].referenced = false;
+      this.hand = (this.hand + 1) % this.entries.length;
+    }
+    const evicted = this.entries[this.hand];
+    this.entries[this.hand] = entry;
+    this.hand = (this.hand + 1) % this.entries.length;
+    return { hit: false, evicted };
+  }
+
+  // Drops every block of a table that no longer exists. Returns how many were cached.
+  invalidateTable(tableId) {
+    let removed = 0;
+    for (let idx = this.entries.length - 1; idx >= 0; idx--) {
+      if (this.entries[idx].tableId !== tableId) continue;
+      this.entries.splice(idx, 1);
+      if (idx < this.hand) this.hand--;
+      removed++;
+    }
+    if (this.hand >= this.entries.length) this.hand = 0;
+    return removed;
+  }
+
+  clear() {
+    const removed = this.entries.length;
+    this.entries = [];
+    this.hand = 0;
+    return removed;
+  }
+
+  getDataForViz() {
+    return {
+      capacity: this.capacity,
+      policy: this.policy,
+      hand: this.hand,
+      entries: this.entries.map((entry) => ({ ...entry })),
+    };
+  }
+
+  serialize() {
+    return {
+      entries: this.entries.map((entry) => ({ ...entry })),
+      hand: this.hand,
+    };
+  }
+
+  static deserialize(blob, capacity, policy) {
+    const cache = new BlockCache(capacity, policy);
+    cache.entries = (blob?.entries || [])
+      .slice(0, capacity)
+      .map((entry) => ({ ...entry }));
+    cache.hand = blob?.hand < cache.entries.length ? blob.hand : 0;
+    return cache;
+  }
+}
+export default BlockCache;
@@ -0,0 +1,56 @@
+import { fnv1a } from "../utils";
+
+class BloomFilter {
+  constructor(numBits, hashCount, bits = null) {
+    this.numBits = Math.max(1, numBits);
+    this.hashCount = Math.max(1, hashCount);
+    this.bits = bits ? [...bits] : Array(this.numBits).fill(0);
+  }
+
+  // Size the filter for a set of keys, like a real SSTable builder does.
+  static fromKeys(keys, bitsPerKey, hashCount) {
+    const filter = new BloomFilter(keys.length * bitsPerKey, hashCount);
+    keys.forEach((key) => filter.add(key));
+    return filter;
+  }
+
+  // Kirsch-Mitzenmacher double hashing: position_i = h1 + i * h2 (mod m)
+  getBitPositions(key) {
+    const str = String(key);
+    const h1 = fnv1a(str);
+    const h2 = (fnv1a(str, 0x5bd1e995) | 1) >>> 0; // Odd, so probes don't collapse
+    const positions = [];
+    for (let i = 0; i < this.hashCount; i++) {
+      positions.push((h1 + i * h2) % this.numBits);
+    }
+    return positions;
+  }
+
+  add(key) {
+    this.getBitPositions(key).forEach((pos) => {
+      this.bits[pos] = 1;
+    });
+  }
+
+  // false means "definitely absent"; true means "maybe present"
+  mightContain(key) {
+    return this.getBitPositions(key).every((pos) => this.bits[pos] === 1);
+  }
+
+  serialize() {
+    return {
+      numBits: this.numBits,
+      hashCount: this.hashCount,
+      bits: this.bits.join(""),
+    };
+  }
+
+  static deserialize(blob) {
+    return new BloomFilter(
+      blob.numBits,
+      blob.hashCount,
+      blob.bits.split("").map(Number)
+    );
+  }
+}
+export default BloomFilter;
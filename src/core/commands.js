@@ -0,0 +1,282 @@
+import { TOMBSTONE, COMMAND_REPEAT_MAX } from "../constants";
+
+const formatValue = (value) =>
+  value === undefined
+    ? "(not found)"
+    : value === TOMBSTONE
+    ? "(deleted)"
+    : JSON.stringify(value);
+
+const parseCount = (arg, what) => {
+  const count = parseInt(arg, 10);
+  if (!/^\d+$/.test(arg || "") || count < 1) {
+    throw new Error(`${what} must be a positive integer, got "${arg ?? ""}".`);
+  }
+  return count;
+};
+
+const requireArgs = (args, count, usage) => {
+  if (args.length < count) throw new Error(`Usage: ${usage}`);
+};
+
+// put/delete/merge/deleteRange only log a rejected write, so compare the counter to surface it
+const runWrite = (tree, write) => {
+  const rejectedBefore = tree.metrics.writesRejected;
+  write();
+  if (tree.metrics.writesRejected > rejectedBefore) {
+    const stall = tree.writeStalls[tree.writeStalls.length - 1];
+    throw new Error(`Write rejected: writes are stopped. ${stall.reason}`);
+  }
+  return `OK (seq ${tree.lastSequence})`;
+};
+
+// Every console command. `run` gets the tree and the whitespace-split arguments,
+// and returns the line of output to show (or throws an Error).
+export const COMMANDS = {
+  put: {
+    usage: "put <key> <value...>",
+    description: "Write a key. The value is the rest of the line.",
+    run(tree, args) {
+      requireArgs(args, 2, this.usage);
+      const [key, ...valueParts] = args;
+      return runWrite(tree, () => tree.put(key, valueParts.join(" ")));
+    },
+  },
+  putttl: {
+    usage: "putttl <key> <ttl> <value...>",
+    description:
+      "Write a key that expires ttl clock ticks from now. The value is the rest of the line.",
+    aliases: ["setex"],
+    run(tree, args) {
+      requireArgs(args, 3, this.usage);
+      const [key, ttlArg, ...valueParts] = args;
+      const ttl = parseCount(ttlArg, "TTL");
+      return runWrite(tree, () => tree.put(key, valueParts.join(" "), { ttl }));
+    },
+  },
+  del: {
+    usage: "del <key>",
+    description: "Delete a key by writing a tombstone.",
+    aliases: ["delete"],
+    run(tree, args) {
+      requireArgs(args, 1, this.usage);
+      return runWrite(tree, () => tree.delete(args[0]));
+    },
+  },
+  merge: {
+    usage: "merge <key> <operand...>",
+    description:
+      "Store a merge operand (the rest of the line); reads apply it with the tree's merge operator.",
+    run(tree, args) {
+      requireArgs(args, 2, this.usage);
+      const [key, ...operandParts] = args;
+      const operand = operandParts.join(" ");
+      const error = tree.mergeOperator.validate(operand);
+      if (error) throw new Error(error);
+      return runWrite(tree, () => tree.merge(key, operand));
+    },
+  },
+  delrange: {
+    usage: "delrange <start> <end>",
+    description:
+      "Delete every key from start up to, but not including, end with one range tombstone.",
+    aliases: ["deleterange"],
+    run(tree, args) {
+      requireArgs(args, 2, this.usage);
+      const [startKey, endKey] = args;
+      if (tree.compareKeys(startKey, endKey) >= 0) {
+        throw new Error(`Start key "${startKey}" must be before "${endKey}".`);
+      }
+      return runWrite(tree, () => tree.deleteRange(startKey, endKey));
+    },
+  },
+  get: {
+    usage: "get <key>",
+    description: "Read the newest visible value of a key.",
+    run(tree, args) {
+      requireArgs(args, 1, this.usage);
+      const { value, seq, path, operands, expired, expiresAt } = tree.get(
+        args[0]
+      );
+      return `${expired ? "(expired)" : formatValue(value)} (${
+        seq !== undefined ? `seq ${seq}, ` : ""
+      }${operands ? `${operands.length} operand(s) merged, ` : ""}${
+        expiresAt !== undefined
+          ? `${expired ? "expired" : "expires"} at t=${expiresAt}, `
+          : ""
+      }${path.length} component(s) checked)`;
+    },
+  },
+  scan: {
+    usage: "scan [start] [end] [limit]",
+    description: "Range scan. Use - for an unbounded start or end.",
+    run(tree, args) {
+      const bound = (arg) => (arg === undefined || arg === "-" ? "" : arg);
+      const limit = args[2] !== undefined ? parseCount(args[2], "limit") : 0;
+      const { results } = tree.scan(bound(args[0]), bound(args[1]), {
+        limit,
+      });
+      if (results.length === 0) return "(no keys)";
+      return `${results
+        .map(([key, value]) => `${key}=${formatValue(value)}`)
+        .join(", ")} (${results.length} keys)`;
+    },
+  },
+  compact: {
+    usage: "compact [L<level>]",
+    description: "Manually compact a level (L0 by default).",
+    run(tree, args) {
+      const level = parseInt((args[0] || "L0").replace(/^L/i, ""), 10);
+      if (Number.isNaN(level) || level < 0 || level >= tree.levels.length) {
+        throw new Error(
+          `No such level "${args[0]}". Levels are L0 to L${
+            tree.levels.length - 1
+          }.`
+        );
+      }
+      const before = tree.metrics.compactions;
+      tree.compact(level);
+      const ran = tree.metrics.compactions - before;
+      return ran > 0
+        ? `${ran} compaction(s) ran.`
+        : `Nothing to compact in L${level}.`;
+    },
+  },
+  flush: {
+    usage: "flush",
+    description: "Flush the active and immutable MemTables to L0.",
+    run(tree) {
+      return tree.flushMemTable() ? "Flushed." : "MemTable is empty.";
+    },
+  },
+  tick: {
+    usage: "tick [n]",
+    description: "Advance the simulated clock by n ticks (default 1).",
+    run(tree, args) {
+      tree.tick(args[0] !== undefined ? parseCount(args[0], "n") : 1);
+      return `t=${tree.clock}`;
+    },
+  },
+  snapshot: {
+    usage: "snapshot",
+    description: "Take a read snapshot at the current sequence number.",
+    run(tree) {
+      const snapshot = tree.getSnapshot();
+      return `Snapshot #${snapshot.id} at seq ${snapshot.seq}.`;
+    },
+  },
+  release: {
+    usage: "release <snapshot id>",
+    description: "Release a snapshot.",
+    run(tree, args) {
+      requireArgs(args, 1, this.usage);
+      const id = parseCount(args[0], "snapshot id");
+      if (!tree.snapshots.some((s) => s.id === id)) {
+        throw new Error(`No live snapshot #${id}.`);
+      }
+      tree.releaseSnapshot(id);
+      return `Released snapshot #${id}.`;
+    },
+  },
+  crash: {
+    usage: "crash",
+    description: "Simulate a crash and recover from the WAL.",
+    run(tree) {
+      const { steps, lost } = tree.simulateCrash();
+      return `Recovered ${steps.length} records, lost ${lost.length}.`;
+    },
+  },
+  check: {
+    usage: "check",
+    description:
+      "Check that all data is sorted by the key comparator and every key is readable.",
+    run(tree) {
+      const { comparator, keysChecked, problems } = tree.checkKeyOrdering();
+      if (problems.length > 0) {
+        throw new Error(
+          `${problems.length} problem(s) under ${comparator}. First: ${problems[0]}`
+        );
+      }
+      return `OK: ${keysChecked} keys in order under ${comparator}.`;
+    },
+  },
+  repeat: {
+    usage: "repeat <n> <command...>",
+    description: `Run a command n times (at most ${COMMAND_REPEAT_MAX}). {i} in it is replaced by 0, 1, ..., n-1.`,
+    run(tree, args) {
+      requireArgs(args, 2, this.usage);
+      const count = parseCount(args[0], "n");
+      if (count > COMMAND_REPEAT_MAX) {
+        throw new Error(
+          `n must be at most ${COMMAND_REPEAT_MAX}, got ${count}. Usage: ${this.usage}`
+        );
+      }
+      const [name, ...rest] = args.slice(1);
+      const command = findCommand(name);
+      if (command === COMMANDS.repeat) {
+        throw new Error("repeat cannot be nested.");
+      }
+      for (let i = 0; i < count; i++) {
+        command.run(
+          tree,
+          rest.map((arg) => arg.replace(/\{i\}/g, String(i)))
+        );
+      }
+      return `Ran "${args.slice(1).join(" ")}" ${count} times.`;
+    },
+  },
+  help: {
+    usage: "help",
+    description: "List the available commands.",
+    run() {
+      return Object.values(COMMANDS)
+        .map((command) => command.usage)
+        .join(" | ");
+    },
+  },
+};
+
+const findCommand = (name) => {
+  const lower = (name || "").toLowerCase();
+  const entry = Object.entries(COMMANDS).find(
+    ([commandName, command]) =>
+      commandName === lower || (command.aliases || []).includes(lower)
+  );
+  if (!entry) throw new Error(`Unknown command "${name}". Try "help".`);
+  return entry[1];
+};
+
+// Commands (and aliases) that start with what has been typed so far
+export const completeCommand = (input) => {
+  const [prefix, ...rest] = input.trimStart().split(/\s+/);
+  if (rest.length > 0) return []; // Only the command name is completed
+  return Object.entries(COMMANDS)
+    .flatMap(([name, command]) =>
+      [name, ...(command.aliases || [])].map((alias) => ({
+        name: alias,
+        usage: command.usage,
+        description: command.description,
+      }))
+    )
+    .filter((command) => command.name.startsWith(prefix.toLowerCase()));
+};
+
+// Runs a script line by line. Blank lines and # comments are skipped; an error
+// on one line is reported and the script carries on with the next.
+export const runScript = (tree, script) =>
+  script
+    .split("\n")
+    .map((line, idx) => ({ lineNumber: idx + 1, input: line.trim() }))
+    .filter(({ input }) => input !== "" && !input.startsWith("#"))
+    .map(({ lineNumber, input }) => {
+      const [name, ...args] = input.split(/\s+/);
+      try {
+        return {
+          lineNumber,
+          input,
+          output: findCommand(name).run(tree, args),
+        };
+      } catch (error) {
+        return { lineNumber, input, error: error.message };
+      }
+    });
@@ -0,0 +1,392 @@
+import {
+  COMPACTION_DEFAULT_STRATEGY,
+  TIERED_DEFAULT_MIN_RUNS,
+  TIERED_DEFAULT_SIZE_RATIO,
+  FIFO_DEFAULT_MAX_ENTRIES,
+  FIFO_DEFAULT_MAX_BYTES,
+} from "../constants";
+
+// A compaction strategy decides *what* to compact; LSMTree._runCompaction() does the work.
+// Strategies return a job (or null when nothing needs compacting):
+// {
+//   sourceLevel, targetLevel,
+//   inputs: SSTables taken from sourceLevel, newest first,
+//   overlapping: SSTables taken from targetLevel (older than every input),
+//   action: "merge" | "move" | "drop",
+//   dropTombstones: true when no older data for these keys can exist below the output,
+//   singleOutput: write one SSTable instead of splitting by sstableMaxItems,
+//   reason: human readable explanation for the log,
+// }
+// pendingCompactionBytes(tree) estimates the compaction debt: the bytes that
+// still have to be compacted before every level is within its limits.
+
+// When the jobs a strategy picks are run
+export const COMPACTION_SCHEDULING = {
+  inline: {
+    name: "inline",
+    label: "Inline (instant)",
+    description:
+      "Compactions run to completion right after the write that triggered them, so L0 never backs up.",
+  },
+  background: {
+    name: "background",
+    label: "Background (on the clock)",
+    description:
+      "One compaction at a time runs in the background and takes ticks in proportion to the bytes it reads. Meanwhile L0 and the compaction debt can grow until writes are slowed down or stopped.",
+  },
+};
+
+const countEntries = (tables) =>
+  tables.reduce((sum, table) => sum + table.data.length, 0);
+
+const countBytes = (tables) =>
+  tables.reduce((sum, table) => sum + table.sizeBytes, 0);
+
+// Size of a run as the configured limits count it
+const runSize = (tree, table) =>
+  tree.config.sizeLimitUnit === "bytes" ? table.sizeBytes : table.data.length;
+
+const findOverlapping = (sourceTables, targetTables) =>
+  targetTables.filter((targetTable) =>
+    sourceTables.some(
+      (table) =>
+        table.minKey &&
+        table.maxKey &&
+        targetTable.overlaps(table.minKey, table.maxKey)
+    )
+  );
+
+// Ln_max = L0_max * factor^n. This is a very simplified sizing strategy.
+export const maxSSTablesForLevel = (config, levelIdx) =>
+  levelIdx === 0
+    ? config.l0MaxSSTables
+    : config.l0MaxSSTables * Math.pow(config.levelMaxSSTablesFactor, levelIdx);
+
+// With byte limits, as max_bytes_for_level_base and its multiplier in RocksDB:
+// L1_max = base, Ln_max = base * factor^(n-1). L0 has no byte limit.
+export const maxBytesForLevel = (config, levelIdx) =>
+  levelIdx === 0
+    ? null
+    : config.levelBaseMaxBytes *
+      Math.pow(config.levelMaxSSTablesFactor, levelIdx - 1);
+
+// How full a level is against its target capacity; over 1 means it needs compacting
+const levelScore = (tree, levelIdx) => {
+  const tables = tree.levels[levelIdx];
+  if (tree.config.sizeLimitUnit === "bytes" && levelIdx > 0) {
+    return countBytes(tables) / maxBytesForLevel(tree.config, levelIdx);
+  }
+  return tables.length / maxSSTablesForLevel(tree.config, levelIdx);
+};
+
+// Why a level is over its target capacity, or null if it is not
+const levelOverflow = (tree, levelIdx) => {
+  const tables = tree.levels[levelIdx];
+  if (tree.config.sizeLimitUnit === "bytes" && levelIdx > 0) {
+    const bytes = countBytes(tables);
+    const maxBytes = maxBytesForLevel(tree.config, levelIdx);
+    return bytes > maxBytes
+      ? `L${levelIdx} holds ${bytes} bytes, over its limit of ${maxBytes}.`
+      : null;
+  }
+  const maxSSTablesInLevel = maxSSTablesForLevel(tree.config, levelIdx);
+  return tables.length > maxSSTablesInLevel
+    ? `L${levelIdx} has ${tables.length} SSTables, over its limit of ${maxSSTablesInLevel}.`
+    : null;
+};
+
+// Leveled: L0 is flushed into L1 as a whole, then the first table of Ln is merged
+// with the tables it overlaps in Ln+1. Every level below L0 is one sorted run.
+const leveled = {
+  name: "leveled",
+  label: "Leveled (RocksDB / LevelDB)",
+  description:
+    "One sorted run per level below L0. Low read and space amplification, higher write amplification.",
+  params: [],
+
+  isSortedRun: (levelIdx) => levelIdx > 0,
+  l0StallsWrites: true,
+
+  // All of L0 once it is over its limit, and whatever L1+ holds over theirs
+  pendingCompactionBytes(tree) {
+    return tree.levels.slice(0, -1).reduce((sum, tables, levelIdx) => {
+      if (levelIdx === 0) {
+        return (
+          sum +
+          (tables.length > maxSSTablesForLevel(tree.config, 0)
+            ? countBytes(tables)
+            : 0)
+        );
+      }
+      if (tree.config.sizeLimitUnit === "bytes") {
+        return (
+          sum +
+          Math.max(
+            0,
+            countBytes(tables) - maxBytesForLevel(tree.config, levelIdx)
+          )
+        );
+      }
+      return (
+        sum +
+        countBytes(tables.slice(maxSSTablesForLevel(tree.config, levelIdx)))
+      );
+    }, 0);
+  },
+
+  // The level furthest over its limit goes first, as RocksDB's compaction
+  // score does. Otherwise a backed-up L0 would keep L1 from ever draining.
+  pickCompaction(tree) {
+    let best = null;
+    for (let i = 0; i < tree.config.maxLevels - 1; i++) {
+      const reason = levelOverflow(tree, i);
+      const score = levelScore(tree, i);
+      if (reason && (!best || score > best.score)) {
+        best = { levelIdx: i, reason, score };
+      }
+    }
+    return best ? this.pickLevel(tree, best.levelIdx, best.reason) : null;
+  },
+
+  pickManualCompaction(tree, levelIdx) {
+    if (levelIdx >= tree.config.maxLevels - 1) {
+      tree._addLog(
+        `Cannot compact L${levelIdx} as it's the last configured level.`
+      );
+      return null;
+    }
+    if (tree.levels[levelIdx].length === 0) {
+      tree._addLog(`L${levelIdx} is empty. No compaction needed.`);
+      return null;
+    }
+    return this.pickLevel(tree, levelIdx, "Compaction requested manually.");
+  },
+
+  pickLevel(tree, levelIdx, reason) {
+    const targetLevel = levelIdx + 1;
+    // L0 tables overlap each other, so all of them go down together.
+    // For Ln (n>0) pick the first table, as the original model did.
+    const inputs =
+      levelIdx === 0
+        ? [...tree.levels[0]].reverse()
+        : [tree.levels[levelIdx][0]];
+    return {
+      action: "merge",
+      sourceLevel: levelIdx,
+      targetLevel,
+      inputs,
+      overlapping: findOverlapping(inputs, tree.levels[targetLevel]),
+      dropTombstones: targetLevel === tree.config.maxLevels - 1,
+      singleOutput: false,
+      reason,
+    };
+  },
+};
+
+// Size-tiered: each level is a tier of overlapping runs. Once a tier holds enough
+// similarly sized runs, its oldest runs are merged into one run in the next tier.
+// Tiers stay ordered by age (every run in tier n+1 is older than every run in tier n).
+const sizeTiered = {
+  name: "sizeTiered",
+  label: "Size-Tiered (Cassandra / ScyllaDB)",
+  description:
+    "Merges similarly sized runs within a tier. Low write amplification, higher read and space amplification.",
+  params: [
+    {
+      name: "tieredMinRuns",
+      label: "Tier Min Runs",
+      tip: "Runs a tier must hold before they are merged into one (min 2).",
+      defaultValue: TIERED_DEFAULT_MIN_RUNS,
+    },
+    {
+      name: "tieredSizeRatio",
+      label: "Tier Size Ratio",
+      tip: "Runs are merged only if largest <= ratio x smallest; otherwise the oldest run moves down untouched.",
+      defaultValue: TIERED_DEFAULT_SIZE_RATIO,
+    },
+  ],
+
+  isSortedRun: () => false,
+  l0StallsWrites: true,
+
+  // The runs of every tier that has enough of them to be merged
+  pendingCompactionBytes(tree) {
+    const minRuns = Math.max(2, tree.config.tieredMinRuns);
+    return tree.levels.reduce(
+      (sum, tier) => sum + (tier.length >= minRuns ? countBytes(tier) : 0),
+      0
+    );
+  },
+
+  pickCompaction(tree) {
+    const minRuns = Math.max(2, tree.config.tieredMinRuns);
+    for (let i = 0; i < tree.config.maxLevels; i++) {
+      const tier = tree.levels[i];
+      if (tier.length < minRuns) continue;
+      const isLastTier = i === tree.config.maxLevels - 1;
+      const window = isLastTier ? tier : tier.slice(0, minRuns); // Oldest runs
+      const sizes = window.map((table) => Math.max(1, runSize(tree, table)));
+      if (
+        !isLastTier &&
+        Math.max(...sizes) > Math.min(...sizes) * tree.config.tieredSizeRatio
+      ) {
+        return this.moveDown(
+          tree,
+          i,
+          `Runs in tier ${i} differ in size by more than ${tree.config.tieredSizeRatio}x.`
+        );
+      }
+      return this.mergeRuns(
+        tree,
+        i,
+        window,
+        `Tier ${i} has ${tier.length} runs (min ${minRuns}).`
+      );
+    }
+    return null;
+  },
+
+  pickManualCompaction(tree, levelIdx) {
+    const tier = tree.levels[levelIdx];
+    if (!tier || tier.length === 0) {
+      tree._addLog(`Tier ${levelIdx} is empty. No compaction needed.`);
+      return null;
+    }
+    const isLastTier = levelIdx === tree.config.maxLevels - 1;
+    if (tier.length === 1) {
+      if (isLastTier) {
+        tree._addLog(`Tier ${levelIdx} is already a single run.`);
+        return null;
+      }
+      return this.moveDown(tree, levelIdx, "Compaction requested manually.");
+    }
+    return this.mergeRuns(
+      tree,
+      levelIdx,
+      tier,
+      "Compaction requested manually."
+    );
+  },
+
+  mergeRuns(tree, levelIdx, runs, reason) {
+    const isLastTier = levelIdx === tree.config.maxLevels - 1;
+    const targetLevel = isLastTier ? levelIdx : levelIdx + 1;
+    // The merged runs are the oldest in their tier; nothing older exists if
+    // every deeper tier is empty (or we are merging within the last tier).
+    const deeperTiersEmpty = tree.levels
+      .slice(levelIdx + 1)
+      .every((tier) => tier.length === 0);
+    return {
+      action: "merge",
+      sourceLevel: levelIdx,
+      targetLevel,
+      inputs: [...runs].reverse(),
+      overlapping: [],
+      dropTombstones:
+        deeperTiersEmpty && runs.length === tree.levels[levelIdx].length,
+      singleOutput: true,
+      reason,
+    };
+  },
+
+  moveDown(tree, levelIdx, reason) {
+    return {
+      action: "move",
+      sourceLevel: levelIdx,
+      targetLevel: levelIdx + 1,
+      inputs: [tree.levels[levelIdx][0]],
+      overlapping: [],
+      reason,
+    };
+  },
+};
+
+// FIFO: tables are never merged. Once the total size exceeds the budget,
+// the oldest tables are deleted outright. Only suitable for data that expires.
+const fifo = {
+  name: "fifo",
+  label: "FIFO (time-series / cache)",
+  description:
+    "Never merges. Drops the oldest SSTables once the total size exceeds the budget. Old data is lost.",
+  params: [
+    {
+      name: "fifoMaxEntries",
+      label: "FIFO Max Entries",
+      tip: "Total entries across all SSTables before the oldest tables are dropped.",
+      defaultValue: FIFO_DEFAULT_MAX_ENTRIES,
+      unit: "entries",
+    },
+    {
+      name: "fifoMaxBytes",
+      label: "FIFO Max Bytes",
+      tip: "Total bytes across all SSTables before the oldest tables are dropped.",
+      defaultValue: FIFO_DEFAULT_MAX_BYTES,
+      unit: "bytes",
+    },
+  ],
+
+  isSortedRun: () => false,
+  // Every table stays in L0 until it is dropped, so a long L0 is no backlog
+  l0StallsWrites: false,
+
+  // Dropping a table rewrites nothing
+  pendingCompactionBytes: () => 0,
+
+  // The budget as { limit, unit }, in the configured size unit
+  budget(tree) {
+    return tree.config.sizeLimitUnit === "bytes"
+      ? { limit: tree.config.fifoMaxBytes, unit: "bytes" }
+      : { limit: tree.config.fifoMaxEntries, unit: "entries" };
+  },
+
+  pickCompaction(tree) {
+    const { limit, unit } = this.budget(tree);
+    let total = tree.levels.reduce(
+      (sum, level) =>
+        sum + (unit === "bytes" ? countBytes(level) : countEntries(level)),
+      0
+    );
+    if (total <= limit) return null;
+    const inputs = [];
+    for (const table of tree.levels[0]) {
+      if (total <= limit) break;
+      inputs.push(table);
+      total -= runSize(tree, table);
+    }
+    if (inputs.length === 0) return null;
+    return {
+      action: "drop",
+      sourceLevel: 0,
+      targetLevel: 0,
+      inputs,
+      overlapping: [],
+      reason: `SSTables hold more than the FIFO budget of ${limit} ${unit}.`,
+    };
+  },
+
+  pickManualCompaction(tree) {
+    const job = this.pickCompaction(tree);
+    if (!job) {
+      const { limit, unit } = this.budget(tree);
+      tree._addLog(
+        `SSTables are within the FIFO budget of ${limit} ${unit}. Nothing to drop.`
+      );
+    }
+    return job;
+  },
+};
+
+export const COMPACTION_STRATEGIES = { leveled, sizeTiered, fifo };
+
+export const getCompactionStrategy = (name) =>
+  COMPACTION_STRATEGIES[name] ||
+  COMPACTION_STRATEGIES[COMPACTION_DEFAULT_STRATEGY];
+
+// Default values for every strategy's own parameters, keyed by config name
+export const getCompactionParamDefaults = () =>
+  Object.values(COMPACTION_STRATEGIES).reduce((defaults, strategy) => {
+    strategy.params.forEach((param) => {
+      defaults[param.name] = param.defaultValue;
+    });
+    return defaults;
+  }, {});
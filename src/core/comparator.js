@@ -0,0 +1,165 @@
+import { bytewiseCompare } from "../utils";
+import { KEY_COMPARATOR_DEFAULT } from "../constants";
+
+// Keys that parse as finite numbers, compared by value
+const asNumber = (key) => {
+  const number = Number(key);
+  return key.trim() !== "" && Number.isFinite(number) ? number : null;
+};
+
+// Key orders the tree can be configured with. Keys are still matched with ===,
+// so a comparator may only return 0 for identical keys: every coarser order
+// breaks its ties bytewise.
+export const KEY_COMPARATORS = {
+  bytewise: {
+    name: "bytewise",
+    label: "Bytewise (RocksDB default)",
+    description:
+      'Plain string order by character code: "B" < "a" and "10" < "9".',
+    compare: bytewiseCompare,
+  },
+  numeric: {
+    name: "numeric",
+    label: "Numeric",
+    description:
+      'Keys that are numbers sort by value, so "9" < "10", and come before every other key. Other keys sort bytewise.',
+    compare: (a, b) => {
+      const x = asNumber(a);
+      const y = asNumber(b);
+      if (x !== null && y !== null) return x - y || bytewiseCompare(a, b);
+      if (x !== null) return -1;
+      if (y !== null) return 1;
+      return bytewiseCompare(a, b);
+    },
+  },
+  caseInsensitive: {
+    name: "caseInsensitive",
+    label: "Case-insensitive",
+    description:
+      'Letters sort without regard to case, so "a" < "B" < "c". Keys differing only in case stay distinct, uppercase first.',
+    compare: (a, b) =>
+      bytewiseCompare(a.toLowerCase(), b.toLowerCase()) ||
+      bytewiseCompare(a, b),
+  },
+  locale: {
+    name: "locale",
+    label: "Locale (localeCompare)",
+    description:
+      "The browser's locale-aware string order. Trees saved before key order was configurable were sorted this way.",
+    compare: (a, b) => a.localeCompare(b) || bytewiseCompare(a, b),
+  },
+  custom: {
+    name: "custom",
+    label: "Custom expression",
+    description:
+      "A JavaScript expression over the keys a and b: negative when a sorts first, positive when b does. Ties are broken bytewise.",
+    compare: null, // Compiled from config.customComparator
+  },
+};
+
+// Keys a comparator is tried on before the tree accepts it
+const SAMPLE_KEYS = [
+  "a",
+  "B",
+  "b",
+  "A1",
+  "a10",
+  "a9",
+  "10",
+  "9",
+  "-1",
+  "1e3",
+  "key",
+  "Key",
+  "key_2",
+  "ä",
+  "z",
+  " ",
+];
+
+// Rejects comparators that are not a total order on the sample keys, since
+// binary searches and merges silently go wrong with those.
+export const validateComparator = (compare) => {
+  for (const a of SAMPLE_KEYS) {
+    for (const b of SAMPLE_KEYS) {
+      const ab = Math.sign(compare(a, b));
+      if (a === b && ab !== 0) {
+        throw new Error(
+          `Comparator must return 0 for equal keys, but compare("${a}", "${a}") does not.`
+        );
+      }
+      if (ab !== -Math.sign(compare(b, a)) || (ab === 0 && a !== b)) {
+        throw new Error(
+          `Comparator is not antisymmetric: compare("${a}", "${b}") and compare("${b}", "${a}") disagree.`
+        );
+      }
+      for (const c of SAMPLE_KEYS) {
+        if (ab < 0 && compare(b, c) < 0 && compare(a, c) >= 0) {
+          throw new Error(
+            `Comparator is not transitive: "${a}" < "${b}" < "${c}", but not "${a}" < "${c}".`
+          );
+        }
+      }
+    }
+  }
+  return compare;
+};
+
+// Custom comparator sources the user confirmed in the settings panel during
+// this session. Only these are ever compiled: a config restored from
+// localStorage, a scenario file or a share link could otherwise run any code.
+const confirmedSources = new Set();
+
+const compileCustomComparator = (source) => {
+  let userCompare;
+  try {
+    userCompare = new Function("a", "b", `"use strict"; return (${source});`);
+  } catch (err) {
+    throw new Error(`Custom comparator does not parse: ${err.message}`);
+  }
+  const compare = (a, b) => {
+    let result;
+    try {
+      result = userCompare(a, b);
+    } catch (err) {
+      throw new Error(
+        `Custom comparator failed on "${a}" and "${b}": ${err.message}`
+      );
+    }
+    // Anything but a number (a function, a string, NaN) is a mistake, not a tie
+    if (typeof result !== "number" || !Number.isFinite(result)) {
+      throw new Error(
+        `Custom comparator must return a finite number, but returned ${
+          typeof result === "function" ? "a function" : String(result)
+        } for "${a}" and "${b}". Write an expression over a and b, not a function.`
+      );
+    }
+    return Math.sign(result) || bytewiseCompare(a, b);
+  };
+  return validateComparator(compare);
+};
+
+// The explicit path for custom code: compiles and validates the source the
+// user entered, and lets trees use it from then on. Throws if it is invalid.
+export const confirmCustomComparator = (source) => {
+  const compare = compileCustomComparator(source);
+  confirmedSources.add(source);
+  return compare;
+};
+
+// The compare function a tree config asks for. Throws if a custom one is
+// invalid or was never confirmed in the settings panel.
+export const getKeyComparator = (config) => {
+  if (config.keyComparator === "custom") {
+    if (!confirmedSources.has(config.customComparator)) {
+      throw new Error(
+        `This tree uses the custom key comparator "${config.customComparator}", which was not run because it came from saved or shared state. Enter it under Settings > Key Comparator and save to use it.`
+      );
+    }
+    return compileCustomComparator(config.customComparator);
+  }
+  return (
+    KEY_COMPARATORS[config.keyComparator] ||
+    KEY_COMPARATORS[KEY_COMPARATOR_DEFAULT]
+  ).compare;
+};
@@ -0,0 +1,140 @@
+import LSMTree from "./lsm_tree";
+import { COMPACTION_STRATEGIES } from "./compaction";
+import { COMPARISON_FORMAT, COMPARISON_VERSION } from "../constants";
+
+// Metrics shown side by side, in this order. Derived rates come first since
+// they are what a comparison is usually about.
+export const COMPARED_METRICS = [
+  { name: "writeAmplification", label: "Write Amplification" },
+  { name: "writeAmplificationBytes", label: "Write Amplification (Bytes)" },
+  { name: "readAmplificationSSTables", label: "Read Amplification" },
+  { name: "spaceAmplification", label: "Space Amplification" },
+  { name: "bloomFalsePositiveRate", label: "Bloom False Positive Rate" },
+  { name: "blockCacheHitRatio", label: "Block Cache Hit Ratio" },
+  { name: "logicalWrites", label: "Logical Writes" },
+  { name: "logicalReads", label: "Logical Reads" },
+  { name: "itemsWrittenToSSTables", label: "Items Written to SSTables" },
+  { name: "bytesWrittenToSSTables", label: "Bytes Written to SSTables" },
+  { name: "sstablesAccessedForRead", label: "SSTables Accessed (Read)" },
+  { name: "compactions", label: "Compactions" },
+  { name: "memtableRotations", label: "MemTable Rotations" },
+  { name: "writesRejected", label: "Writes Rejected" },
+  { name: "writeStallTicks", label: "Write Stall Time (ticks)" },
+  { name: "storedEntries", label: "Stored Entries" },
+  { name: "storedBytes", label: "Stored Bytes" },
+  { name: "liveKeys", label: "Live Keys" },
+  { name: "tombstones", label: "Tombstones" },
+  { name: "obsoleteVersions", label: "Obsolete Versions" },
+];
+
+// A short description of how a variant's config differs from a base config
+export const describeConfigDiff = (config, baseConfig) => {
+  const changed = Object.keys(config).filter(
+    (name) => config[name] !== baseConfig[name]
+  );
+  if (changed.length === 0) return "same as current settings";
+  return changed
+    .map((name) =>
+      name === "compactionStrategy"
+        ? COMPACTION_STRATEGIES[config[name]]?.label || config[name]
+        : `${name}=${config[name]}`
+    )
+    .join(", ");
+};
+
+// Several trees with different configs, all fed the same operations. Every
+// tree starts empty when the comparison starts, so they stay comparable.
+class TreeComparison {
+  constructor(variants) {
+    if (!Array.isArray(variants) || variants.length < 2) {
+      throw new Error("A comparison needs at least two configurations.");
+    }
+    this.variants = variants.map(({ label, config }, idx) => ({
+      id: idx + 1,
+      label: label || `Config ${idx + 1}`,
+      tree: new LSMTree(config),
+    }));
+    this.operations = 0;
+  }
+
+  get trees() {
+    return this.variants.map((variant) => variant.tree);
+  }
+
+  // Mirrors one operation, in the shape the page records in the history.
+  // Reads ignore snapshots, since each tree hands out its own snapshot ids.
+  apply(op) {
+    this.trees.forEach((tree) => {
+      switch (op.type) {
+        case "put":
+          tree.put(op.key, op.value, op.ttl ? { ttl: op.ttl } : undefined);
+          break;
+        case "delete":
+          tree.delete(op.key);
+          break;
+        case "merge":
+          tree.merge(op.key, op.operand);
+          break;
+        case "deleteRange":
+          tree.deleteRange(op.startKey, op.endKey);
+          break;
+        case "get":
+          tree.get(op.key);
+          break;
+        case "scan":
+          tree.scan(op.startKey, op.endKey, {
+            limit: op.limit,
+            reverse: op.reverse,
+          });
+          break;
+        case "compact":
+          if (op.level < tree.levels.length) tree.compact(op.level);
+          break;
+        case "tick":
+          tree.tick(op.ticks);
+          break;
+        default:
+          throw new Error(`Cannot mirror a "${op.type}" operation.`);
+      }
+    });
+    this.operations++;
+  }
+
+  // Counts operations that were applied to the trees directly (the workload)
+  countOperations(count) {
+    this.operations += count;
+  }
+
+  getState() {
+    return {
+      operations: this.operations,
+      variants: this.variants.map(({ id, label, tree }) => ({
+        id,
+        label,
+        state: tree.getState(),
+      })),
+    };
+  }
+
+  // The configs and the compared metrics, for sharing the outcome of a run
+  getReport() {
+    return {
+      format: COMPARISON_FORMAT,
+      version: COMPARISON_VERSION,
+      createdAt: new Date().toISOString(),
+      operations: this.operations,
+      variants: this.variants.map(({ label, tree }) => {
+        const metrics = tree.getMetrics();
+        return {
+          label,
+          config: { ...tree.config },
+          metrics: Object.fromEntries(
+            COMPARED_METRICS.map(({ name }) => [name, metrics[name]])
+          ),
+        };
+      }),
+    };
+  }
+}
+
+export default TreeComparison;
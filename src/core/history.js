@@ -0,0 +1,176 @@
+import LSMTree from "./lsm_tree";
+import { HISTORY_MAX_ENTRIES, HISTORY_MAX_BYTES } from "../constants";
+
+// Human-readable label for a recorded operation
+export const describeOperation = (op) => {
+  switch (op.type) {
+    case "init":
+      return "Initial state";
+    case "put":
+      return `put ${op.key}=${op.value}${op.ttl ? ` ttl=${op.ttl}` : ""}`;
+    case "delete":
+      return `delete ${op.key}`;
+    case "merge":
+      return `merge ${op.key} ${op.operand}`;
+    case "deleteRange":
+      return `delete range [${op.startKey}, ${op.endKey})`;
+    case "get":
+      return `get ${op.key}${
+        op.snapshotId ? ` @snapshot #${op.snapshotId}` : ""
+      }`;
+    case "scan":
+      return `scan [${op.startKey || "-inf"}, ${op.endKey || "+inf"}]`;
+    case "compact":
+      return `compact L${op.level}`;
+    case "tick":
+      return `tick +${op.ticks}`;
+    case "snapshot":
+      return "take snapshot";
+    case "release":
+      return `release snapshot #${op.snapshotId}`;
+    case "crash":
+      return "crash + recovery";
+    case "workload":
+      return `workload: ${op.ops} ops (${op.distribution})`;
+    case "console": {
+      const lines = op.commands.length;
+      return lines === 1 ? `> ${op.commands[0]}` : `script (${lines} commands)`;
+    }
+    case "import":
+      return `load scenario "${op.name}"`;
+    case "reset":
+      return "reset / config change";
+    default:
+      return op.type;
+  }
+};
+
+// A linear timeline of operations, each paired with the full serialized tree it
+// produced. Recording after an undo or a jump drops the redo entries, so the
+// timeline branches from the restored point like an editor's undo stack.
+// Reads are not recorded. The oldest entries go once there are more than
+// maxEntries, or their states add up to more than maxBytes.
+class OperationHistory {
+  constructor(maxEntries = HISTORY_MAX_ENTRIES, maxBytes = HISTORY_MAX_BYTES) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.entries = []; // { id, op, label, time, state }
+    this.cursor = -1; // Index of the entry the live tree corresponds to
+    this.nextId = 1;
+  }
+
+  record(op, tree) {
+    this.entries = this.entries.slice(0, this.cursor + 1);
+    this.entries.push({
+      id: this.nextId++,
+      op,
+      label: describeOperation(op),
+      time: new Date().toLocaleTimeString(),
+      // Stored as a string so later mutations of the live tree cannot leak in
+      state: JSON.stringify(tree.serialize()),
+    });
+    this._trim();
+    this.cursor = this.entries.length - 1;
+  }
+
+  // Sizes are counted in characters of the serialized state; the newest entry
+  // always stays, however large
+  _trim() {
+    let bytes = this.entries.reduce(
+      (sum, entry) => sum + entry.state.length,
+      0
+    );
+    while (
+      this.entries.length > 1 &&
+      (this.entries.length > this.maxEntries || bytes > this.maxBytes)
+    ) {
+      bytes -= this.entries.shift().state.length;
+    }
+  }
+
+  canUndo() {
+    return this.cursor > 0;
+  }
+
+  canRedo() {
+    return this.cursor < this.entries.length - 1;
+  }
+
+  undo() {
+    return this.canUndo() ? this.jumpTo(this.cursor - 1) : null;
+  }
+
+  redo() {
+    return this.canRedo() ? this.jumpTo(this.cursor + 1) : null;
+  }
+
+  // Returns a fresh, fully working tree as it was right after entry `index`.
+  // Throws, leaving the cursor where it was, if the entry cannot be restored.
+  jumpTo(index) {
+    if (index < 0 || index >= this.entries.length) return null;
+    const tree = LSMTree.deserialize(JSON.parse(this.entries[index].state));
+    this.cursor = index;
+    return tree;
+  }
+
+  serialize() {
+    return {
+      entries: this.entries.map(({ id, op, label, time, state }) => ({
+        id,
+        op,
+        label,
+        time,
+        state: JSON.parse(state),
+      })),
+      cursor: this.cursor,
+      nextId: this.nextId,
+    };
+  }
+
+  static deserialize(
+    blob,
+    maxEntries = HISTORY_MAX_ENTRIES,
+    maxBytes = HISTORY_MAX_BYTES
+  ) {
+    if (!blob || !Array.isArray(blob.entries)) {
+      throw new Error("Cannot restore history: entries must be a list.");
+    }
+    const history = new OperationHistory(maxEntries, maxBytes);
+    history.entries = blob.entries.slice(-maxEntries).map((entry, idx) => {
+      if (!entry || typeof entry.state !== "object" || !entry.op?.type) {
+        throw new Error(
+          `Cannot restore history: entry ${idx + 1} is malformed.`
+        );
+      }
+      return {
+        id: entry.id,
+        op: entry.op,
+        label: entry.label || describeOperation(entry.op),
+        time: entry.time || "",
+        state: JSON.stringify(entry.state),
+      };
+    });
+    history._trim();
+    // The cursor counts from the first saved entry, which may have been dropped
+    const dropped = blob.entries.length - history.entries.length;
+    history.cursor = Math.min(
+      Math.max(
+        (blob.cursor ?? blob.entries.length - 1) - dropped,
+        Math.min(0, history.entries.length - 1)
+      ),
+      history.entries.length - 1
+    );
+    history.nextId =
+      blob.nextId ??
+      Math.max(0, ...history.entries.map((entry) => entry.id || 0)) + 1;
+    return history;
+  }
+
+  getState() {
+    return {
+      entries: this.entries.map(({ id, label, time }) => ({ id, label, time })),
+      cursor: this.cursor,
+    };
+  }
+}
+export default OperationHistory;
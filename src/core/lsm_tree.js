@@ -1,38 +1,278 @@
-import MemTable from "./memtable";
+import MemTable, { MEMTABLE_IMPLEMENTATIONS } from "./memtable";
 import SSTable from "./sstable";
-import { generateSSTableId } from "../utils";
+import WriteAheadLog from "./wal";
+import BlockCache, { BLOCK_CACHE_POLICIES } from "./block_cache";
 import {
+  generateSSTableId,
+  internalEntryComparator,
+  collapseVersions,
+  isExpired,
+  rangeTombstoneSeq,
+  clipRangeTombstones,
+  mergeRangeTombstones,
+} from "../utils";
+import { migrateState, validateState } from "./migrations";
+import { KEY_COMPARATORS, getKeyComparator } from "./comparator";
+import {
+  MERGE_OPERATORS,
+  getMergeOperator,
+  mergeBase,
+  foldMergeOperands,
+} from "./merge_operator";
+import {
+  COMPACTION_STRATEGIES,
+  COMPACTION_SCHEDULING,
+  getCompactionStrategy,
+  getCompactionParamDefaults,
+  maxSSTablesForLevel,
+  maxBytesForLevel,
+} from "./compaction";
+import {
+  SIZE_LIMIT_UNITS,
+  entryBytes,
+  entriesBytes,
+  rangeTombstoneBytes,
+  rangeTombstonesBytes,
+  memtableMaxBytes,
+} from "./sizing";
+import {
+  LSM_STATE_SCHEMA_VERSION,
   TOMBSTONE,
+  ENTRY_TYPES,
   MEMTABLE_DEFAULT_MAX_SIZE,
+  MEMTABLE_DEFAULT_MAX_BYTES,
+  MEMTABLE_DEFAULT_IMPLEMENTATION,
+  KEY_COMPARATOR_DEFAULT,
+  CUSTOM_COMPARATOR_DEFAULT,
+  MERGE_OPERATOR_DEFAULT,
   L0_DEFAULT_MAX_SSTABLES,
   LEVEL_MAX_SSTABLES_FACTOR,
   SSTABLE_DEFAULT_MAX_ITEMS,
+  SSTABLE_DEFAULT_MAX_BYTES,
+  LEVEL_BASE_DEFAULT_MAX_BYTES,
+  SIZE_LIMIT_DEFAULT_UNIT,
+  SSTABLE_DEFAULT_BLOCK_SIZE,
+  SSTABLE_DEFAULT_RESTART_INTERVAL,
+  BLOCK_CACHE_DEFAULT_CAPACITY,
+  BLOCK_CACHE_DEFAULT_POLICY,
   MAX_LEVELS,
+  BLOOM_DEFAULT_BITS_PER_KEY,
+  BLOOM_DEFAULT_HASH_COUNT,
+  COMPACTION_DEFAULT_STRATEGY,
+  WAL_DEFAULT_SYNC_INTERVAL,
+  WAL_DEFAULT_SEGMENT_MAX_RECORDS,
+  IMMUTABLE_MEMTABLES_DEFAULT_MAX,
+  FLUSH_DEFAULT_TICKS,
+  COMPACTION_DEFAULT_SCHEDULING,
+  COMPACTION_DEFAULT_BYTES_PER_TICK,
+  L0_SLOWDOWN_WRITES_TRIGGER,
+  L0_STOP_WRITES_TRIGGER,
+  PENDING_COMPACTION_SLOWDOWN_BYTES,
+  PENDING_COMPACTION_STOP_BYTES,
+  IMMUTABLE_MEMTABLES_SLOWDOWN_TRIGGER,
+  WRITE_SLOWDOWN_DEFAULT_TICKS,
+  WRITE_STALL_DEFAULT_TIMEOUT_TICKS,
+  WRITE_STALLS_MAX,
+  COMPACTION_TRACES_MAX,
+  METRICS_DEFAULT_SAMPLE_INTERVAL,
+  METRICS_SAMPLES_MAX,
+  KEY_LINEAGE_MAX_EVENTS,
+  KEY_LINEAGE_MAX_KEYS,
 } from "../constants";
 
+// Fill in defaults for any missing config values
+const buildConfig = (config = {}) => ({
+  memtableMaxSize: config.memtableMaxSize || MEMTABLE_DEFAULT_MAX_SIZE,
+  memtableImplementation: MEMTABLE_IMPLEMENTATIONS[
+    config.memtableImplementation
+  ]
+    ? config.memtableImplementation
+    : MEMTABLE_DEFAULT_IMPLEMENTATION,
+  sizeLimitUnit: SIZE_LIMIT_UNITS[config.sizeLimitUnit]
+    ? config.sizeLimitUnit
+    : SIZE_LIMIT_DEFAULT_UNIT,
+  memtableMaxBytes: config.memtableMaxBytes || MEMTABLE_DEFAULT_MAX_BYTES,
+  keyComparator: KEY_COMPARATORS[config.keyComparator]
+    ? config.keyComparator
+    : KEY_COMPARATOR_DEFAULT,
+  customComparator: config.customComparator || CUSTOM_COMPARATOR_DEFAULT,
+  mergeOperator: MERGE_OPERATORS[config.mergeOperator]
+    ? config.mergeOperator
+    : MERGE_OPERATOR_DEFAULT,
+  l0MaxSSTables: config.l0MaxSSTables || L0_DEFAULT_MAX_SSTABLES,
+  levelMaxSSTablesFactor:
+    config.levelMaxSSTablesFactor || LEVEL_MAX_SSTABLES_FACTOR,
+  sstableMaxItems: config.sstableMaxItems || SSTABLE_DEFAULT_MAX_ITEMS,
+  sstableMaxBytes: config.sstableMaxBytes || SSTABLE_DEFAULT_MAX_BYTES,
+  levelBaseMaxBytes: config.levelBaseMaxBytes || LEVEL_BASE_DEFAULT_MAX_BYTES,
+  sstableBlockSize: config.sstableBlockSize || SSTABLE_DEFAULT_BLOCK_SIZE,
+  sstableRestartInterval:
+    config.sstableRestartInterval || SSTABLE_DEFAULT_RESTART_INTERVAL,
+  // 0 is a valid capacity: no cache
+  blockCacheCapacity: config.blockCacheCapacity ?? BLOCK_CACHE_DEFAULT_CAPACITY,
+  blockCachePolicy: BLOCK_CACHE_POLICIES[config.blockCachePolicy]
+    ? config.blockCachePolicy
+    : BLOCK_CACHE_DEFAULT_POLICY,
+  maxLevels: config.maxLevels || MAX_LEVELS,
+  bloomBitsPerKey: config.bloomBitsPerKey || BLOOM_DEFAULT_BITS_PER_KEY,
+  bloomHashCount: config.bloomHashCount || BLOOM_DEFAULT_HASH_COUNT,
+  walSyncInterval: config.walSyncInterval || WAL_DEFAULT_SYNC_INTERVAL,
+  walSegmentMaxRecords:
+    config.walSegmentMaxRecords || WAL_DEFAULT_SEGMENT_MAX_RECORDS,
+  maxImmutableMemtables:
+    config.maxImmutableMemtables || IMMUTABLE_MEMTABLES_DEFAULT_MAX,
+  flushTicks: config.flushTicks || FLUSH_DEFAULT_TICKS,
+  compactionScheduling: COMPACTION_SCHEDULING[config.compactionScheduling]
+    ? config.compactionScheduling
+    : COMPACTION_DEFAULT_SCHEDULING,
+  compactionBytesPerTick:
+    config.compactionBytesPerTick || COMPACTION_DEFAULT_BYTES_PER_TICK,
+  l0SlowdownWritesTrigger:
+    config.l0SlowdownWritesTrigger || L0_SLOWDOWN_WRITES_TRIGGER,
+  l0StopWritesTrigger: config.l0StopWritesTrigger || L0_STOP_WRITES_TRIGGER,
+  pendingCompactionSlowdownBytes:
+    config.pendingCompactionSlowdownBytes || PENDING_COMPACTION_SLOWDOWN_BYTES,
+  pendingCompactionStopBytes:
+    config.pendingCompactionStopBytes || PENDING_COMPACTION_STOP_BYTES,
+  immutableMemtablesSlowdownTrigger:
+    config.immutableMemtablesSlowdownTrigger ||
+    IMMUTABLE_MEMTABLES_SLOWDOWN_TRIGGER,
+  writeSlowdownTicks: config.writeSlowdownTicks || WRITE_SLOWDOWN_DEFAULT_TICKS,
+  writeStallTimeoutTicks:
+    config.writeStallTimeoutTicks || WRITE_STALL_DEFAULT_TIMEOUT_TICKS,
+  metricsSampleInterval:
+    config.metricsSampleInterval || METRICS_DEFAULT_SAMPLE_INTERVAL,
+  compactionStrategy: COMPACTION_STRATEGIES[config.compactionStrategy]
+    ? config.compactionStrategy
+    : COMPACTION_DEFAULT_STRATEGY,
+  // Each strategy's own parameters; kept for all strategies so switching back restores them
+  ...Object.fromEntries(
+    Object.entries(getCompactionParamDefaults()).map(([name, value]) => [
+      name,
+      config[name] || value,
+    ])
+  ),
+});
+
+const createMetrics = () => ({
+  logicalWrites: 0,
+  rangeDeletes: 0, // deleteRange calls, also counted as logical writes
+  merges: 0, // merge calls, each storing one operand; also logical writes
+  ttlWrites: 0, // Puts with a TTL
+  expiredEntriesDropped: 0, // Expired entries compaction reclaimed
+  mergeOperandsRead: 0, // Operands reads collected and applied
+  mergeOperandsFolded: 0, // Operands compaction combined into another entry
+  logicalBytesWritten: 0, // Bytes of the entries the user wrote
+  itemsWrittenToSSTables: 0,
+  bytesWrittenToSSTables: 0, // By flushes and compactions
+  logicalReads: 0,
+  sstablesAccessedForRead: 0,
+  indexBlockReads: 0, // One per SSTable a read gets past the Bloom filter of
+  dataBlockReads: 0, // Data blocks a read had to load after the index lookup
+  memtableLookupsForRead: 0,
+  bloomFilterChecks: 0,
+  bloomFilterHits: 0, // Filter said "definitely absent", table read avoided
+  bloomFalsePositives: 0, // Filter said "maybe", but the key was not there
+  logicalScans: 0,
+  sstablesAccessedForScan: 0,
+  dataBlocksReadForScan: 0,
+  blockCacheHits: 0, // Block reads (index or data) served from the block cache
+  blockCacheMisses: 0, // Block reads that had to go to the SSTable file
+  blockCacheEvictions: 0, // Blocks pushed out to make room
+  blockCacheInvalidations: 0, // Blocks dropped because their SSTable was deleted
+  compactions: 0,
+  sstablesDropped: 0, // Deleted without being merged (FIFO)
+  walRecordsWritten: 0,
+  walBytesWritten: 0,
+  walSyncs: 0,
+  crashRecoveries: 0,
+  walRecordsLost: 0, // Appended but not yet fsynced when the crash hit
+  memtableRotations: 0,
+  backgroundFlushes: 0,
+  writesRejected: 0, // Still stopped when the write stall timed out
+  writesSlowed: 0, // Delayed because a slowdown threshold was reached
+  writesStopped: 0, // Waited at a stop threshold, then went through
+  writeStallTicks: 0, // Clock ticks writes spent waiting in stalls
+});
+
+// A table as the visualizers and compaction playback draw it
+const sstableForViz = (sstable, cachedBlocks) => ({
+  id: sstable.id,
+  level: sstable.level,
+  data: sstable.getDataForViz(),
+  minKey: sstable.minKey,
+  maxKey: sstable.maxKey,
+  maxKeyExclusive: sstable.maxKeyExclusive,
+  rangeTombstones: sstable.rangeTombstones,
+  sizeBytes: sstable.sizeBytes,
+  bloomFilter: sstable.bloomFilter.serialize(),
+  blocks: sstable.getBlocksForViz(),
+  cachedBlocks,
+});
+
+// Playback tables are saved without what can be rebuilt from the data
+// (blocks, Bloom filter, key range), which is most of their size
+const serializeTraceTables = (tables) =>
+  tables &&
+  tables.map(({ id, level, index, data, rangeTombstones, cachedBlocks }) => ({
+    id,
+    level,
+    index,
+    data,
+    rangeTombstones,
+    cachedBlocks,
+  }));
+
 class LSMTree {
   constructor(config = {}) {
-    this.config = {
-      memtableMaxSize: config.memtableMaxSize || MEMTABLE_DEFAULT_MAX_SIZE,
-      l0MaxSSTables: config.l0MaxSSTables || L0_DEFAULT_MAX_SSTABLES,
-      levelMaxSSTablesFactor:
-        config.levelMaxSSTablesFactor || LEVEL_MAX_SSTABLES_FACTOR,
-      sstableMaxItems: config.sstableMaxItems || SSTABLE_DEFAULT_MAX_ITEMS,
-      maxLevels: config.maxLevels || MAX_LEVELS,
-    };
-    this.memtable = new MemTable(this.config.memtableMaxSize);
+    this._init(config);
+    this._addLog("LSM Tree initialized.");
+  }
+
+  // State shared by a new tree and reset(). An invalid custom comparator
+  // throws before anything is touched.
+  _init(configParams) {
+    const config = buildConfig(configParams);
+    this.compareKeys = getKeyComparator(config);
+    this.config = config;
+    this.compactionStrategy = getCompactionStrategy(
+      this.config.compactionStrategy
+    );
+    this.mergeOperator = getMergeOperator(this.config.mergeOperator);
+    this.memtable = new MemTable(
+      this.config.memtableMaxSize,
+      1,
+      this._memtableOptions()
+    ); // Active MemTable
+    this.immutableMemtables = []; // Full MemTables waiting to be flushed, oldest first
+    this.nextMemtableId = 2;
+    this.clock = 0; // Simulated time, in ticks
+    this.flushJob = null; // Background flush in progress: { memtableId, startedAt, remainingTicks }
+    this.compactionJob = null; // Background compaction in progress: { job, bytes, startedAt, totalTicks, remainingTicks }
+    this.writeStalls = []; // Recent stalled writes, oldest first
+    this.wal = new WriteAheadLog(
+      this.config.walSyncInterval,
+      this.config.walSegmentMaxRecords
+    );
+    this.lastRecovery = null;
+    this.blockCache = new BlockCache(
+      this.config.blockCacheCapacity,
+      this.config.blockCachePolicy
+    );
+    this.compactionTraces = []; // Recent compactions as playable steps, oldest first
+    this.nextCompactionId = 1;
+    this.operationCount = 0; // User-visible operations run so far, the x-axis of the charts
+    this.metricsSamples = []; // Oldest first: { op, clock, writeAmplification, ... }
+    this.compactionEvents = []; // Oldest first: { op, clock, action, sourceLevel, targetLevel }
+    this.keyLineage = new Map(); // key -> provenance events, oldest first
+    this.lastSequence = 0; // Every write gets the next sequence number
+    this.snapshots = []; // Live snapshots: { id, seq, createdAt }
+    this.nextSnapshotId = 1;
     this.levels = Array(this.config.maxLevels)
       .fill(null)
       .map(() => []); // L0, L1, ..., Ln
     this.log = [];
-    this.metrics = {
-      logicalWrites: 0,
-      itemsWrittenToSSTables: 0,
-      logicalReads: 0,
-      sstablesAccessedForRead: 0,
-      memtableLookupsForRead: 0,
-    };
-    this._addLog("LSM Tree initialized.");
+    this.metrics = createMetrics();
   }
 
   _addLog(message) {
@@ -40,31 +280,53 @@ class LSMTree {
     if (this.log.length > 100) this.log.pop(); // Keep log size manageable
   }
 
-  put(key, value) {
+  // With a ttl (in clock ticks) the value expires that many ticks after the
+  // write: reads stop seeing it, and the next compaction of its SSTable drops it.
+  put(key, value, { ttl } = {}) {
     if (!key) {
       this._addLog("Write failed: Key cannot be empty.");
       return;
     }
-    if (this.memtable.isFull()) {
-      this._addLog("MemTable is full, attempting to flush first.");
-      this.flushMemTable();
-    }
-    if (this.memtable.isFull()) {
-      // Check again after potential flush
+    if (ttl !== undefined && !(Number.isInteger(ttl) && ttl > 0)) {
       this._addLog(
-        "Write failed: MemTable is still full. Compaction might be needed or L0 is at capacity and cannot be compacted further."
+        `Write failed: TTL must be a positive number of ticks, got "${ttl}".`
       );
       return;
     }
+    this._advanceClock(1); // Every write takes one tick of simulated time
+    if (!this._admitWrite("Write")) {
+      this._recordOperation(); // A rejected write still took its ticks
+      return;
+    }
 
-    const logMsg = this.memtable.put(key, value);
+    const seq = ++this.lastSequence;
+    const expiresAt = ttl !== undefined ? this.clock + ttl : null;
+    this._appendToWal("put", key, value, seq, expiresAt);
+    const logMsg = this.memtable.put(
+      key,
+      value,
+      seq,
+      ENTRY_TYPES.PUT,
+      this._liveSnapshotSeqs(),
+      expiresAt
+    );
     this._addLog(logMsg);
+    this._traceWrite(seq);
     this.metrics.logicalWrites++;
+    if (expiresAt !== null) this.metrics.ttlWrites++;
+    this.metrics.logicalBytesWritten += entryBytes([
+      key,
+      value,
+      seq,
+      ENTRY_TYPES.PUT,
+      expiresAt,
+    ]);
 
     if (this.memtable.isFull()) {
-      this.flushMemTable(); // This might trigger compactions if L0 gets full
+      this._rotateMemtable(); // The background flush persists it on a later tick
     }
     this.triggerCompactionIfNeeded(); // Check all levels after a put that might have flushed.
+    this._recordOperation();
   }
 
   delete(key) {
@@ -72,254 +334,1238 @@ class LSMTree {
       this._addLog("Delete failed: Key cannot be empty.");
       return;
     }
+    this._advanceClock(1);
+    if (!this._admitWrite("Delete")) {
+      this._recordOperation();
+      return;
+    }
+    const seq = ++this.lastSequence;
+    this._appendToWal("delete", key, undefined, seq);
+    const logMsg = this.memtable.delete(key, seq, this._liveSnapshotSeqs()); // Uses put with TOMBSTONE
+    this._addLog(logMsg);
+    this._traceWrite(seq);
+    this.metrics.logicalWrites++; // Deletes are also logical writes
+    this.metrics.logicalBytesWritten += entryBytes([key, TOMBSTONE]);
+
     if (this.memtable.isFull()) {
-      this._addLog("MemTable is full, attempting to flush first.");
-      this.flushMemTable();
+      this._rotateMemtable();
     }
+    this.triggerCompactionIfNeeded();
+    this._recordOperation();
+  }
+
+  // Read-modify-write without the read: the operand is stored as a merge
+  // record, and reads and compactions apply it with the tree's merge operator
+  merge(key, operand) {
+    if (!key) {
+      this._addLog("Merge failed: Key cannot be empty.");
+      return;
+    }
+    const error = this.mergeOperator.validate(operand);
+    if (error) {
+      this._addLog(
+        `Merge failed: ${error} The ${this.mergeOperator.label} operator cannot apply it.`
+      );
+      return;
+    }
+    this._advanceClock(1);
+    if (!this._admitWrite("Merge")) {
+      this._recordOperation();
+      return;
+    }
+    const seq = ++this.lastSequence;
+    this._appendToWal("merge", key, operand, seq);
+    this._addLog(
+      this.memtable.merge(key, operand, seq, this._liveSnapshotSeqs())
+    );
+    this._traceWrite(seq);
+    this.metrics.logicalWrites++;
+    this.metrics.merges++;
+    this.metrics.logicalBytesWritten += entryBytes([key, operand]);
+
     if (this.memtable.isFull()) {
-      // Check again
+      this._rotateMemtable();
+    }
+    this.triggerCompactionIfNeeded();
+    this._recordOperation();
+  }
+
+  // Deletes every key in [startKey, endKey) with a single range tombstone,
+  // however many keys the range holds. Reads and scans compare its sequence
+  // number with the point entries it covers; compaction drops what it deletes.
+  deleteRange(startKey, endKey) {
+    if (!startKey || !endKey) {
+      this._addLog("Range delete failed: Start and end keys cannot be empty.");
+      return;
+    }
+    if (this.compareKeys(startKey, endKey) >= 0) {
       this._addLog(
-        "Delete failed: MemTable is still full. Compaction might be needed."
+        `Range delete failed: start key "${startKey}" must be before end key "${endKey}".`
       );
       return;
     }
-    const logMsg = this.memtable.delete(key); // Uses put with TOMBSTONE
-    this._addLog(logMsg);
-    this.metrics.logicalWrites++; // Deletes are also logical writes
+    this._advanceClock(1);
+    if (!this._admitWrite("Range delete")) {
+      this._recordOperation();
+      return;
+    }
+    const seq = ++this.lastSequence;
+    this._appendToWal("deleteRange", startKey, endKey, seq);
+    this._addLog(this.memtable.deleteRange(startKey, endKey, seq));
+    this.metrics.logicalWrites++;
+    this.metrics.rangeDeletes++;
+    this.metrics.logicalBytesWritten += rangeTombstoneBytes({
+      start: startKey,
+      end: endKey,
+    });
 
     if (this.memtable.isFull()) {
-      this.flushMemTable();
+      this._rotateMemtable();
+    }
+    this.triggerCompactionIfNeeded();
+    this._recordOperation();
+  }
+
+  // A full active MemTable can only be swapped out if the immutable queue has room
+  _makeRoomForWrite() {
+    if (!this.memtable.isFull()) return true;
+    this._addLog("MemTable is full, switching to a new one first.");
+    return this._rotateMemtable();
+  }
+
+  // Whether writes are slowed down or stopped right now, and why. As in
+  // RocksDB, the triggers are the L0 file count, the compaction debt and the
+  // immutable MemTables waiting for a flush.
+  getWriteStallState() {
+    const { config } = this;
+    const l0Files = this.levels[0].length;
+    const pendingCompactionBytes =
+      this.compactionStrategy.pendingCompactionBytes(this);
+    const immutableMemtables = this.immutableMemtables.length;
+    const stops = [];
+    const slowdowns = [];
+    if (
+      this.memtable.isFull() &&
+      immutableMemtables >= config.maxImmutableMemtables
+    ) {
+      stops.push(
+        `MemTable #${this.memtable.id} is full and ${immutableMemtables} immutable MemTables wait for a flush (max ${config.maxImmutableMemtables}).`
+      );
+    } else if (immutableMemtables >= config.immutableMemtablesSlowdownTrigger) {
+      slowdowns.push(
+        `${immutableMemtables} immutable MemTables wait for a flush (slowdown at ${config.immutableMemtablesSlowdownTrigger}).`
+      );
+    }
+    if (this.compactionStrategy.l0StallsWrites) {
+      if (l0Files >= config.l0StopWritesTrigger) {
+        stops.push(
+          `L0 has ${l0Files} SSTables (stop at ${config.l0StopWritesTrigger}).`
+        );
+      } else if (l0Files >= config.l0SlowdownWritesTrigger) {
+        slowdowns.push(
+          `L0 has ${l0Files} SSTables (slowdown at ${config.l0SlowdownWritesTrigger}).`
+        );
+      }
+    }
+    if (pendingCompactionBytes >= config.pendingCompactionStopBytes) {
+      stops.push(
+        `Compaction debt is ${pendingCompactionBytes} bytes (stop at ${config.pendingCompactionStopBytes}).`
+      );
+    } else if (
+      pendingCompactionBytes >= config.pendingCompactionSlowdownBytes
+    ) {
+      slowdowns.push(
+        `Compaction debt is ${pendingCompactionBytes} bytes (slowdown at ${config.pendingCompactionSlowdownBytes}).`
+      );
+    }
+    return {
+      condition:
+        stops.length > 0 ? "stop" : slowdowns.length > 0 ? "slowdown" : null,
+      reasons: stops.length > 0 ? stops : slowdowns,
+      l0Files,
+      pendingCompactionBytes,
+      immutableMemtables,
+    };
+  }
+
+  // Lets a write in, making it wait on the clock first if writes are stalled:
+  // writeSlowdownTicks extra ticks while slowed down, and tick by tick while
+  // stopped until the background work catches up. A write still stopped after
+  // writeStallTimeoutTicks is rejected. Every stall is recorded with its reason.
+  _admitWrite(opLabel) {
+    this._makeRoomForWrite();
+    let stall = this.getWriteStallState();
+    if (!stall.condition) return true;
+    let worst = stall;
+    let ticks = 0;
+    if (stall.condition === "slowdown") {
+      ticks += this._waitForBackgroundWork(this.config.writeSlowdownTicks);
+      stall = this.getWriteStallState();
+    }
+    let stoppedTicks = 0;
+    while (
+      stall.condition === "stop" &&
+      stoppedTicks < this.config.writeStallTimeoutTicks
+    ) {
+      worst = stall;
+      stoppedTicks += this._waitForBackgroundWork(1);
+      stall = this.getWriteStallState();
+    }
+    ticks += stoppedTicks;
+    const rejected = stall.condition === "stop";
+    const outcome = rejected
+      ? "rejected"
+      : worst.condition === "stop"
+      ? "stopped"
+      : "delayed";
+    this.metrics.writeStallTicks += ticks;
+    if (outcome === "rejected") this.metrics.writesRejected++;
+    else if (outcome === "stopped") this.metrics.writesStopped++;
+    else this.metrics.writesSlowed++;
+    this.writeStalls.push({
+      op: this.operationCount + 1,
+      clock: this.clock,
+      condition: worst.condition,
+      reason: worst.reasons.join(" "),
+      ticks,
+      outcome,
+    });
+    if (this.writeStalls.length > WRITE_STALLS_MAX) this.writeStalls.shift();
+    if (rejected) {
+      this._addLog(
+        `${opLabel} failed: writes are still stopped after ${ticks} ticks. ${stall.reasons.join(
+          " "
+        )} Advance the clock to let the background work catch up.`
+      );
+      return false;
+    }
+    this._addLog(
+      `${opLabel} ${
+        outcome === "stopped" ? "was stopped" : "was slowed down"
+      } for ${ticks} ticks: ${worst.reasons.join(" ")}`
+    );
+    return true;
+  }
+
+  // Advances the clock while a write waits, letting flushes and compactions run
+  _waitForBackgroundWork(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this._advanceClock(1);
+      this.triggerCompactionIfNeeded();
+      this._makeRoomForWrite();
     }
+    return ticks;
+  }
+
+  // Provenance of every stored version, so the key inspector can tell where a
+  // copy came from. Events carry the version's seq and a readable description.
+  // The map is kept in order of the latest event, so once it holds too many
+  // keys the one that changed least recently is forgotten first.
+  _recordLineage(key, event) {
+    const events = this.keyLineage.get(key) || [];
+    this.keyLineage.delete(key);
+    this.keyLineage.set(key, events);
+    events.push({ ...event, clock: this.clock });
+    if (events.length > KEY_LINEAGE_MAX_EVENTS) events.shift();
+    if (this.keyLineage.size > KEY_LINEAGE_MAX_KEYS) {
+      this.keyLineage.delete(this.keyLineage.keys().next().value);
+    }
+  }
+
+  // A write lands in the active MemTable and may replace versions no snapshot
+  // needs. The MemTable reports both sides of its latest put, so there is no
+  // second lookup.
+  _traceWrite(seq) {
+    const location = `MemTable #${this.memtable.id}`;
+    const { key, previousVersions, versions } = this.memtable.lastWrite;
+    const [entry] = versions;
+    this._recordLineage(key, {
+      type: "write",
+      seq,
+      to: location,
+      description: `${
+        entry[3] === ENTRY_TYPES.DELETE
+          ? "Tombstone"
+          : entry[3] === ENTRY_TYPES.MERGE
+          ? "Merge operand"
+          : "Value"
+      } written to ${location}${
+        entry[4] != null ? `, expiring at t=${entry[4]}` : ""
+      }.`,
+    });
+    previousVersions
+      .filter((version) => !versions.includes(version))
+      .forEach((version) =>
+        this._recordLineage(key, {
+          type: "drop",
+          seq: version[2],
+          from: location,
+          reason: "overwritten",
+          description: `Overwritten in ${location} by #${seq}.`,
+        })
+      );
+  }
+
+  // Freezes the active MemTable into the immutable queue and starts a fresh one
+  // with its own WAL segment. Returns false if the queue is already full.
+  _rotateMemtable({
+    force = false,
+    walLsn = this.wal.lastLsn(),
+    rotateWal = true,
+  } = {}) {
+    if (
+      !force &&
+      this.immutableMemtables.length >= this.config.maxImmutableMemtables
+    ) {
+      return false;
+    }
+    const frozen = this.memtable;
+    frozen.walLsn = walLsn; // Its records can go once it is flushed
+    this.immutableMemtables.push(frozen);
+    this.memtable = new MemTable(
+      this.config.memtableMaxSize,
+      this.nextMemtableId++,
+      this._memtableOptions()
+    );
+    if (rotateWal) this.wal.rotate();
+    this.metrics.memtableRotations++;
+    this._addLog(
+      `MemTable #${frozen.id} is now immutable (${this.immutableMemtables.length} queued for flush). New active MemTable #${this.memtable.id}.`
+    );
+    return true;
+  }
+
+  // Advances the simulated clock; the background flush scheduler runs once per tick
+  tick(ticks = 1) {
+    this._advanceClock(ticks);
+    this._addLog(`Clock advanced to t=${this.clock}.`);
     this.triggerCompactionIfNeeded();
+    this._recordOperation();
+  }
+
+  _advanceClock(ticks) {
+    for (let i = 0; i < ticks; i++) {
+      this.clock++;
+      this._runFlushScheduler();
+      this._runCompactionScheduler();
+    }
+  }
+
+  // One background flush at a time, oldest immutable MemTable first
+  _runFlushScheduler() {
+    if (!this.flushJob && this.immutableMemtables.length > 0) {
+      const oldest = this.immutableMemtables[0];
+      this.flushJob = {
+        memtableId: oldest.id,
+        startedAt: this.clock,
+        remainingTicks: this.config.flushTicks,
+      };
+      this._addLog(`Background flush of MemTable #${oldest.id} started.`);
+    }
+    if (!this.flushJob) return;
+    this.flushJob.remainingTicks--;
+    if (this.flushJob.remainingTicks <= 0) {
+      this.flushJob = null;
+      this._flushOldestImmutable();
+      this.metrics.backgroundFlushes++;
+    }
+  }
+
+  // The record must be in the log before the MemTable changes
+  _appendToWal(op, key, value, seq, expiresAt = null) {
+    const { record, synced } = this.wal.append(op, key, value, seq, expiresAt);
+    this.metrics.walRecordsWritten++;
+    this.metrics.walBytesWritten += record.bytes;
+    if (synced) this.metrics.walSyncs++;
+  }
+
+  // Throws away the MemTable (and any WAL records that were never fsynced),
+  // then rebuilds the MemTable by replaying the durable WAL records in order.
+  simulateCrash() {
+    this._addLog(
+      "Simulating crash: the active and all immutable MemTables are lost."
+    );
+    const { replay, lost } = this.wal.crash();
+    this.memtable = new MemTable(
+      this.config.memtableMaxSize,
+      this.nextMemtableId++,
+      this._memtableOptions()
+    );
+    this.immutableMemtables = [];
+    this.flushJob = null; // The background flush dies with the process
+    if (this.compactionJob) {
+      // Its output was never installed, so its inputs are still in place
+      this._addLog("The background compaction in progress was abandoned.");
+      this.compactionJob = null;
+    }
+    // So does the block cache: reads after recovery start cold
+    const cachedBlocks = this.blockCache.clear();
+    if (cachedBlocks > 0) {
+      this._addLog(`Block cache lost ${cachedBlocks} cached blocks.`);
+    }
+    if (this.snapshots.length > 0) {
+      // Snapshots live in the process's memory, so they do not survive either
+      this._addLog(`${this.snapshots.length} live snapshots were released.`);
+      this.snapshots = [];
+    }
+    lost
+      .filter(
+        (record) => record.seq !== undefined && record.op !== "deleteRange"
+      )
+      .forEach((record) =>
+        this._recordLineage(record.key, {
+          type: "drop",
+          seq: record.seq,
+          from: "WAL",
+          reason: "lost",
+          description: `Lost in a crash: WAL record #${record.lsn} was never fsynced.`,
+        })
+      );
+    if (lost.length > 0) {
+      this._addLog(
+        `${lost.length} WAL records were not fsynced and are lost: ${lost
+          .map((record) => `#${record.lsn}`)
+          .join(", ")}.`
+      );
+    }
+    // Each WAL segment belonged to one MemTable: rebuild them one per segment,
+    // queueing all but the newest as immutable again.
+    let previousRecord = null;
+    const steps = replay.map((record) => {
+      if (
+        previousRecord &&
+        (previousRecord.segment !== record.segment || this.memtable.isFull())
+      ) {
+        this._rotateMemtable({
+          force: true,
+          walLsn: previousRecord.lsn,
+          rotateWal: false,
+        });
+      }
+      previousRecord = record;
+      // Records logged before sequence numbers existed get a fresh one
+      const seq = record.seq ?? ++this.lastSequence;
+      if (record.op === "deleteRange") {
+        this.memtable.deleteRange(record.key, record.value, seq);
+      } else {
+        if (record.op === "delete") this.memtable.delete(record.key, seq);
+        else if (record.op === "merge") {
+          this.memtable.merge(record.key, record.value, seq);
+        } else {
+          this.memtable.put(
+            record.key,
+            record.value,
+            seq,
+            ENTRY_TYPES.PUT,
+            [],
+            record.expiresAt ?? null
+          );
+        }
+        this._recordLineage(record.key, {
+          type: "recover",
+          seq,
+          to: `MemTable #${this.memtable.id}`,
+          description: `Replayed from WAL record #${record.lsn} into MemTable #${this.memtable.id}.`,
+        });
+      }
+      return {
+        lsn: record.lsn,
+        seq,
+        segment: record.segment,
+        op: record.op,
+        key: record.key,
+        value: record.value,
+        memtableId: this.memtable.id,
+        memtableSize: this.memtable.data.size,
+      };
+    });
+    this.wal.rotate(); // New writes go to a fresh segment
+    this.metrics.crashRecoveries++;
+    this.metrics.walRecordsLost += lost.length;
+    this.lastRecovery = {
+      steps,
+      lost: lost.map(({ lsn, segment, op, key, value }) => ({
+        lsn,
+        segment,
+        op,
+        key,
+        value,
+      })),
+    };
+    this._addLog(
+      `Recovery complete: replayed ${steps.length} WAL records into ${
+        this.immutableMemtables.length + 1
+      } MemTables.`
+    );
+    return this.lastRecovery;
+  }
+
+  // Pins the current sequence number: reads through the snapshot keep seeing
+  // the tree as it is now, and compaction keeps the versions it needs.
+  getSnapshot() {
+    const snapshot = {
+      id: this.nextSnapshotId++,
+      seq: this.lastSequence,
+      createdAt: new Date().toLocaleTimeString(),
+    };
+    this.snapshots.push(snapshot);
+    this._addLog(`Snapshot #${snapshot.id} taken at seq ${snapshot.seq}.`);
+    return { ...snapshot };
+  }
+
+  releaseSnapshot(snapshotId) {
+    const before = this.snapshots.length;
+    this.snapshots = this.snapshots.filter((s) => s.id !== snapshotId);
+    if (this.snapshots.length < before) {
+      this._addLog(
+        `Snapshot #${snapshotId} released. Versions only it needed can now be compacted away.`
+      );
+    }
   }
 
-  get(key) {
+  // The active MemTable shadows the immutable ones, and newer immutables shadow older ones
+  _memtablesNewestFirst() {
+    return [
+      { memtable: this.memtable, component: "MemTable", id: "memtable" },
+      ...[...this.immutableMemtables].reverse().map((memtable) => ({
+        memtable,
+        component: `Immutable MemTable #${memtable.id}`,
+        id: `imm-${memtable.id}`,
+      })),
+    ];
+  }
+
+  _liveSnapshotSeqs() {
+    return this.snapshots.map((snapshot) => snapshot.seq);
+  }
+
+  get(key, options) {
+    const result = this._get(key, options);
+    if (result.path.length > 0) this._recordOperation(); // Rejected reads are not sampled
+    return result;
+  }
+
+  _get(key, { snapshot } = {}) {
     if (!key) {
       this._addLog("Read failed: Key cannot be empty.");
       return { value: undefined, path: [] };
     }
+    if (snapshot && !this.snapshots.some((s) => s.id === snapshot.id)) {
+      // Compaction may already have dropped what a released snapshot could see
+      this._addLog(`Read failed: Snapshot #${snapshot.id} has been released.`);
+      return { value: undefined, path: [] };
+    }
+    const snapshotSeq = snapshot ? snapshot.seq : Infinity;
 
     let path = []; // To trace the read path for visualization
     this._addLog(`Searching for key "${key}"...`);
     this.metrics.logicalReads++;
 
-    // 1. Check MemTable
-    path.push({ component: "MemTable", id: "memtable", status: "Checking" });
-    this.metrics.memtableLookupsForRead++;
-    let value = this.memtable.get(key);
-    if (value !== undefined) {
-      if (value === TOMBSTONE) {
-        this._addLog(`Key "${key}" found in MemTable as TOMBSTONE.`);
-        path[path.length - 1].status = "Found (Tombstone)";
-        return { value: TOMBSTONE, path };
+    // Merge operands collected so far, newest first. They are applied once a
+    // put, a delete or a range tombstone below them settles the base value.
+    const operands = [];
+    // An expired value (expired set to its expiry time) reads as a tombstone.
+    const settle = (
+      where,
+      base,
+      baseSeq,
+      { rangeTombstone = false, expired = null, expiresAt = null } = {}
+    ) => {
+      const item = path[path.length - 1];
+      if (operands.length === 0) {
+        if (rangeTombstone) {
+          this._addLog(
+            `Key "${key}" is deleted by a range tombstone in ${where} (seq ${baseSeq}).`
+          );
+          item.status = "Found (Range Tombstone)";
+          return { value: TOMBSTONE, seq: baseSeq, path, rangeTombstone };
+        }
+        if (expired !== null) {
+          this._addLog(
+            `Key "${key}" found in ${where}, but it expired at t=${expired} (seq ${baseSeq}).`
+          );
+          item.status = "Found (Expired)";
+          return {
+            value: TOMBSTONE,
+            seq: baseSeq,
+            path,
+            expired: true,
+            expiresAt: expired,
+          };
+        }
+        if (base === TOMBSTONE) {
+          this._addLog(
+            `Key "${key}" found in ${where} as TOMBSTONE (seq ${baseSeq}).`
+          );
+          item.status = "Found (Tombstone)";
+          return { value: TOMBSTONE, seq: baseSeq, path };
+        }
+        this._addLog(
+          `Key "${key}" found in ${where}. Value: "${base}" (seq ${baseSeq}${
+            expiresAt !== null ? `, expires at t=${expiresAt}` : ""
+          }).`
+        );
+        item.status = "Found";
+        return {
+          value: base,
+          seq: baseSeq,
+          path,
+          ...(expiresAt !== null && { expiresAt }),
+        };
+      }
+      const baseValue =
+        base === TOMBSTONE || expired !== null ? undefined : base;
+      const value = this.mergeOperator.merge(
+        baseValue,
+        [...operands].reverse().map(({ operand }) => operand)
+      );
+      this.metrics.mergeOperandsRead += operands.length;
+      this._addLog(
+        `Key "${key}": applied ${operands.length} merge operand(s) to ${
+          baseValue !== undefined
+            ? `"${baseValue}" (seq ${baseSeq}) from ${where}`
+            : expired !== null
+            ? `nothing (expired at t=${expired} in ${where})`
+            : baseSeq !== undefined
+            ? `nothing (deleted at seq ${baseSeq} in ${where})`
+            : "nothing (no older value)"
+        }. Value: "${value}".`
+      );
+      if (baseSeq !== undefined) item.status = "Found (Merge Base)";
+      return {
+        value,
+        seq: operands[0].seq,
+        path,
+        operands,
+        base:
+          baseSeq !== undefined
+            ? {
+                value: baseValue,
+                seq: baseSeq,
+                ...(expired !== null && { expiresAt: expired }),
+              }
+            : null,
+      };
+    };
+    // Walks one source's visible versions of the key, newest first. A range
+    // tombstone covering the key deletes the versions older than it; every
+    // older source is older still, so the read stops here either way.
+    const visit = (where, versions, rangeSeq) => {
+      const item = path[path.length - 1];
+      for (const version of versions) {
+        const [, value, seq, type, expiresAt = null] = version;
+        if (seq < rangeSeq) break;
+        if (type !== ENTRY_TYPES.MERGE) {
+          return settle(where, value, seq, {
+            expired: isExpired(version, this.clock) ? expiresAt : null,
+            expiresAt,
+          });
+        }
+        operands.push({ operand: value, seq, component: item.component });
+        item.operands = [...(item.operands || []), { operand: value, seq }];
+        item.status = "Merge Operands";
+      }
+      return rangeSeq >= 0
+        ? settle(where, TOMBSTONE, rangeSeq, { rangeTombstone: true })
+        : null;
+    };
+
+    // 1. Check the active MemTable, then the immutable ones from newest to oldest
+    for (const { memtable, component, id } of this._memtablesNewestFirst()) {
+      path.push({ component, id, status: "Checking" });
+      this.metrics.memtableLookupsForRead++;
+      const result = visit(
+        component,
+        memtable.getVersions(key, snapshotSeq),
+        memtable.rangeTombstoneSeq(key, snapshotSeq)
+      );
+      if (result) return result;
+      if (path[path.length - 1].status === "Checking") {
+        path[path.length - 1].status = memtable.data.has(key)
+          ? "Not Visible (Snapshot)"
+          : "Not Found";
       }
-      this._addLog(`Key "${key}" found in MemTable. Value: "${value}".`);
-      path[path.length - 1].status = "Found";
-      return { value, path };
     }
-    path[path.length - 1].status = "Not Found";
 
     // 2. Check SSTables, from L0 to deeper levels
     for (let i = 0; i < this.levels.length; i++) {
-      const levelSSTables = this.levels[i];
-      // For L0, search newest to oldest (last element to first because new SSTables are pushed)
-      // For L1+, tables are non-overlapping, order doesn't strictly matter for correctness of finding the key,
+      // For L0 (and any level of overlapping runs), search newest to oldest
+      // (last element to first because new SSTables are pushed).
+      // For sorted-run levels, tables are non-overlapping, order doesn't strictly matter for correctness of finding the key,
       // but specific search strategies (e.g. using min/max keys) would be used in real systems.
-      // Here, we'll search in the order they are stored for L1+ (which should be sorted by minKey).
-      const tablesToSearch =
-        i === 0 ? [...levelSSTables].reverse() : levelSSTables;
+      // Here, we'll search in the order they are stored (which should be sorted by minKey).
+      const tablesToSearch = this._tablesNewestFirst(i);
 
       for (const sstable of tablesToSearch) {
         // Optimization: If L > 0 and key is outside sstable's range, skip.
-        if (
-          i > 0 &&
-          sstable.minKey &&
-          sstable.maxKey &&
-          (key < sstable.minKey || key > sstable.maxKey)
-        ) {
+        if (i > 0 && sstable.minKey && !sstable.coversKey(key)) {
           // path.push({ component: `L${i} SSTable`, id: sstable.id, status: 'Skipped (Out of Range)' });
           continue; // Skip this SSTable
         }
+        const where = `SSTable ${sstable.id} (L${i})`;
+
+        // Range tombstones are not in the Bloom filter, so they come first
+        const rangeSeq = sstable.rangeTombstoneSeq(key, snapshotSeq);
+
+        // Consult the in-memory Bloom filter before touching the table's data
+        const bloomBits = sstable.bloomFilter.getBitPositions(key);
+        this.metrics.bloomFilterChecks++;
+        if (!sstable.mightContain(key)) {
+          if (rangeSeq >= 0) {
+            path.push({
+              component: `L${i} SSTable`,
+              id: sstable.id,
+              status: "Checking",
+              bloomBits,
+            });
+            return visit(where, [], rangeSeq);
+          }
+          this.metrics.bloomFilterHits++;
+          path.push({
+            component: `L${i} SSTable`,
+            id: sstable.id,
+            status: "Skipped (Bloom)",
+            bloomBits,
+          });
+          continue;
+        }
 
+        // The index block says which data block could hold the key, if any
+        const lookup = sstable.lookup(key, snapshotSeq);
         path.push({
           component: `L${i} SSTable`,
           id: sstable.id,
           status: "Checking",
+          bloomBits,
+          block: lookup.blockIdx,
+          indexProbes: lookup.indexProbes,
+          restart: lookup.restart,
+          entriesScanned: lookup.entriesScanned,
+          indexCache: this._readBlock(sstable, "index"),
+          dataCache:
+            lookup.blockIdx === null
+              ? null
+              : this._readBlock(sstable, lookup.blockIdx),
         });
         this.metrics.sstablesAccessedForRead++;
-        value = sstable.get(key); // Assumes sstable.get uses binary search or similar
-        if (value !== undefined) {
-          if (value === TOMBSTONE) {
-            this._addLog(
-              `Key "${key}" found in SSTable ${sstable.id} (L${i}) as TOMBSTONE.`
-            );
-            path[path.length - 1].status = "Found (Tombstone)";
-            return { value: TOMBSTONE, path };
-          }
-          this._addLog(
-            `Key "${key}" found in SSTable ${sstable.id} (L${i}). Value: "${value}".`
-          );
-          path[path.length - 1].status = "Found";
-          return { value, path };
+        this.metrics.indexBlockReads++;
+        if (lookup.blockIdx !== null) this.metrics.dataBlockReads++;
+        const result = visit(where, lookup.versions, rangeSeq);
+        if (result) return result;
+        if (lookup.versions.length > 0) continue; // Only merge operands here
+        if (lookup.keyExists) {
+          // The key is here, but every version is newer than the snapshot
+          path[path.length - 1].status = "Not Visible (Snapshot)";
+          continue;
         }
-        path[path.length - 1].status = "Not Found";
+        this.metrics.bloomFalsePositives++;
+        this._addLog(
+          `Bloom filter of ${where} gave a false positive for "${key}".`
+        );
+        path[path.length - 1].status = "Bloom false positive";
       }
     }
 
+    // Operands with no older value anywhere apply to nothing
+    if (operands.length > 0) return settle("the tree", undefined, undefined);
     this._addLog(`Key "${key}" not found in any SSTable.`);
     return { value: undefined, path }; // Key not found anywhere
   }
 
-  flushMemTable() {
-    if (this.memtable.data.size === 0) {
-      this._addLog("MemTable is empty, nothing to flush.");
-      return false; // Indicate no flush happened
+  // Range scan over [startKey, endKey] (either bound may be empty for "unbounded").
+  // Every source that might hold keys in the range has to be opened and merged,
+  // which is why range queries are expensive in an LSM: Bloom filters cannot help.
+  scan(startKey, endKey, { limit = 0, reverse = false, snapshot } = {}) {
+    const compare = this.compareKeys;
+    if (startKey && endKey && compare(startKey, endKey) > 0) {
+      this._addLog(
+        `Scan failed: start key "${startKey}" is after end key "${endKey}".`
+      );
+      return { results: [], path: [] };
     }
-    this._addLog("Flushing MemTable to L0...");
-    const sstableData = this.memtable.flush(); // Data is already sorted by key
-    const newSSTable = new SSTable(generateSSTableId(), 0, sstableData);
-    this.levels[0].push(newSSTable); // Add to the end of L0 (newest)
+    if (snapshot && !this.snapshots.some((s) => s.id === snapshot.id)) {
+      this._addLog(`Scan failed: Snapshot #${snapshot.id} has been released.`);
+      return { results: [], path: [] };
+    }
+    const snapshotSeq = snapshot ? snapshot.seq : Infinity;
+    const inRange = (key) =>
+      (!startKey || compare(key, startKey) >= 0) &&
+      (!endKey || compare(key, endKey) <= 0);
+    // Per source, only the newest version of each key visible at the snapshot,
+    // or the merge operands down to the newest put or delete
+    const visibleEntries = (entries) =>
+      entries.filter(
+        (entry, idx) =>
+          inRange(entry[0]) &&
+          entry[2] <= snapshotSeq &&
+          !entries
+            .slice(0, idx)
+            .some(
+              (prev) =>
+                prev[0] === entry[0] &&
+                prev[2] <= snapshotSeq &&
+                prev[3] !== ENTRY_TYPES.MERGE
+            )
+      );
+    const rangeLabel = `["${startKey || "-inf"}", "${endKey || "+inf"}"]`;
     this._addLog(
-      `Flushed MemTable to new SSTable ${newSSTable.id} in L0. Contains ${sstableData.length} items.`
+      `Scanning ${rangeLabel}${limit > 0 ? ` (limit ${limit})` : ""}${
+        reverse ? " in reverse" : ""
+      }...`
     );
-    this.metrics.itemsWrittenToSSTables += sstableData.length;
-    return true; // Indicate flush happened
-  }
+    this.metrics.logicalScans++;
 
-  triggerCompactionIfNeeded() {
-    // L0 to L1 compaction
-    if (this.levels[0].length > this.config.l0MaxSSTables) {
-      this.compact(0); // Compact L0 to L1
-    }
-    // Higher level compactions (Ln to L(n+1))
-    // This is a simplified model. Real LSMs have more sophisticated triggers.
-    for (let i = 0; i < this.config.maxLevels - 1; i++) {
-      // Iterate up to second to last level
-      // Calculate max SSTables for level 'i' based on L0 max and factor
-      // This is a very simplified sizing strategy. Real systems are more complex.
-      const maxSSTablesInLevel =
-        i === 0
-          ? this.config.l0MaxSSTables
-          : this.config.l0MaxSSTables *
-            Math.pow(this.config.levelMaxSSTablesFactor, i);
-      if (this.levels[i].length > maxSSTablesInLevel) {
-        this.compact(i); // Compact level 'i' to 'i+1'
+    // Sources in priority order: a lower index holds newer data and shadows later ones.
+    // Active MemTable, immutable MemTables newest first, then L0 newest first,
+    // then each deeper level (newest run first).
+    const sources = this._memtablesNewestFirst().map(
+      ({ memtable, component, id }) => ({
+        component,
+        id,
+        entries: visibleEntries(memtable.getDataForViz()),
+        rangeTombstones: memtable.rangeTombstones,
+      })
+    );
+    this.levels.forEach((_, i) => {
+      for (const sstable of this._tablesNewestFirst(i)) {
+        if (
+          !sstable.minKey ||
+          (endKey && compare(sstable.minKey, endKey) > 0) ||
+          (startKey && compare(sstable.maxKey, startKey) < 0)
+        ) {
+          continue; // Table range is disjoint from the scan range
+        }
+        this.metrics.sstablesAccessedForScan++;
+        sources.push({
+          component: `L${i} SSTable`,
+          id: sstable.id,
+          sstable,
+          entries: visibleEntries(sstable.getDataForViz()),
+          rangeTombstones: sstable.rangeTombstones,
+        });
       }
-    }
-  }
+    });
+    // A table that can hold a key of the range also holds every range
+    // tombstone that can cover it, so the opened sources have them all
+    const rangeTombstones = sources.flatMap((source) => source.rangeTombstones);
 
-  compact(levelToCompact) {
-    if (levelToCompact >= this.config.maxLevels - 1) {
-      this._addLog(
-        `Cannot compact L${levelToCompact} as it's the last configured level.`
+    // K-way merge: one cursor per source, always advancing the smallest
+    // (or largest, in reverse) key. Ties go to the highest sequence number.
+    const cursors = sources.map((source) => ({
+      ...source,
+      pos: reverse ? source.entries.length - 1 : 0,
+      keysRead: 0,
+      keysReturned: 0,
+      keys: [], // Every key the cursor passed, for highlighting
+      firstKey: null,
+      lastKey: null,
+    }));
+    const head = (cursor) =>
+      cursor.pos >= 0 && cursor.pos < cursor.entries.length
+        ? cursor.entries[cursor.pos]
+        : null;
+    const advance = (cursor) => {
+      const [key] = head(cursor);
+      cursor.firstKey = cursor.firstKey ?? key;
+      cursor.lastKey = key;
+      cursor.keys.push(key);
+      cursor.keysRead++;
+      cursor.pos += reverse ? -1 : 1;
+    };
+
+    const results = [];
+    while (limit <= 0 || results.length < limit) {
+      let nextKey = null;
+      for (const cursor of cursors) {
+        const entry = head(cursor);
+        if (
+          entry &&
+          (nextKey === null ||
+            (reverse ? -1 : 1) * compare(entry[0], nextKey) < 0)
+        ) {
+          nextKey = entry[0];
+        }
+      }
+      if (nextKey === null) break; // All sources exhausted
+
+      const versions = []; // Every version of the key the cursors hold
+      for (const cursor of cursors) {
+        while (head(cursor)?.[0] === nextKey) {
+          versions.push({ cursor, entry: head(cursor) });
+          advance(cursor);
+        }
+      }
+      versions.sort((a, b) => b.entry[2] - a.entry[2]);
+      const rangeSeq = rangeTombstoneSeq(
+        rangeTombstones,
+        nextKey,
+        snapshotSeq,
+        compare
       );
-      return;
+      // Versions older than a covering range tombstone are deleted; the newest
+      // of the rest wins, or settles the merge operands above it. An expired
+      // value counts as deleted.
+      const live = versions.filter(({ entry }) => entry[2] > rangeSeq);
+      const baseIdx = live.findIndex(
+        ({ entry }) => entry[3] !== ENTRY_TYPES.MERGE
+      );
+      const operands = live
+        .slice(0, baseIdx < 0 ? live.length : baseIdx)
+        .map(({ entry }) => entry[1])
+        .reverse();
+      const base = baseIdx < 0 ? undefined : live[baseIdx].entry;
+      const expired = base !== undefined && isExpired(base, this.clock);
+      this.metrics.mergeOperandsRead += operands.length;
+      const value =
+        operands.length > 0
+          ? this.mergeOperator.merge(
+              expired ? undefined : mergeBase(base),
+              operands
+            )
+          : expired
+          ? undefined
+          : base?.[1];
+      if (value !== undefined && value !== TOMBSTONE) {
+        live[0].cursor.keysReturned++;
+        results.push([nextKey, value]);
+      }
     }
 
-    const targetLevel = levelToCompact + 1;
+    const path = cursors.map((cursor) => {
+      const range =
+        cursor.firstKey === null
+          ? null
+          : reverse
+          ? [cursor.lastKey, cursor.firstKey]
+          : [cursor.firstKey, cursor.lastKey];
+      // Only the data blocks covering the keys the cursor actually passed are read
+      const blocks =
+        cursor.sstable && range
+          ? cursor.sstable.blocksInRange(
+              ...(reverse ? [range[1], range[0]] : range)
+            )
+          : [];
+      this.metrics.dataBlocksReadForScan += blocks.length;
+      // Every opened table's index block is read to seek, then its data blocks
+      const cacheResults = cursor.sstable
+        ? [
+            this._readBlock(cursor.sstable, "index"),
+            ...blocks.map((block) => this._readBlock(cursor.sstable, block)),
+          ]
+        : [];
+      return {
+        component: cursor.component,
+        id: cursor.id,
+        status: cursor.keysReturned > 0 ? "Scanned (Contributed)" : "Scanned",
+        range,
+        keysRead: cursor.keysRead,
+        keysReturned: cursor.keysReturned,
+        keys: cursor.keys,
+        blocks,
+        cacheHits: cacheResults.filter((result) => result === "hit").length,
+        cacheMisses: cacheResults.filter((result) => result === "miss").length,
+      };
+    });
     this._addLog(
-      `Attempting compaction from L${levelToCompact} to L${targetLevel}...`
+      `Scan ${rangeLabel} returned ${results.length} keys after opening ${
+        sources.filter((source) => source.sstable).length
+      } SSTables.`
     );
+    this._recordOperation();
+    return { results, path };
+  }
 
-    let tablesToCompactFromSource;
-    let overlappingTablesInTarget = [];
+  // Every block read goes through the shared block cache; only misses touch the file
+  _readBlock(sstable, block) {
+    const { hit, evicted } = this.blockCache.access(sstable.id, block);
+    if (hit) this.metrics.blockCacheHits++;
+    else this.metrics.blockCacheMisses++;
+    if (evicted) this.metrics.blockCacheEvictions++;
+    return hit ? "hit" : "miss";
+  }
 
-    if (levelToCompact === 0) {
-      // Compacting L0
-      // Select all SSTables from L0 for compaction
-      if (
-        this.levels[0].length <= this.config.l0MaxSSTables &&
-        this.levels[0].length > 0
-      ) {
-        // If L0 is not over its limit but we were explicitly asked to compact L0
-        // (e.g., by user button), we compact all of L0.
-        tablesToCompactFromSource = [...this.levels[0]];
-        this.levels[0] = []; // Clear L0 as these tables are being compacted
-      } else if (this.levels[0].length > this.config.l0MaxSSTables) {
-        // Standard L0 compaction: take all tables
-        tablesToCompactFromSource = [...this.levels[0]];
-        this.levels[0] = [];
-      } else {
-        this._addLog(
-          `L0 has ${this.levels[0].length} tables, not exceeding limit of ${this.config.l0MaxSSTables}. No L0 compaction triggered by threshold.`
-        );
-        return; // Nothing to compact based on L0 threshold
-      }
+  _createSSTable(level, data, rangeTombstones = []) {
+    return new SSTable(generateSSTableId(), level, data, {
+      ...this._sstableOptions(),
+      rangeTombstones,
+    });
+  }
 
-      this._addLog(
-        `Selected ${tablesToCompactFromSource.length} SSTables from L0 for compaction.`
-      );
-
-      // Find all tables in L(targetLevel) that overlap with *any* key range from the L0 tables
-      for (const l0Table of tablesToCompactFromSource) {
-        if (!l0Table.minKey || !l0Table.maxKey) continue; // Skip empty/invalid tables
-        for (const targetTable of this.levels[targetLevel]) {
-          if (
-            targetTable.overlaps(l0Table.minKey, l0Table.maxKey) &&
-            !overlappingTablesInTarget.find((t) => t.id === targetTable.id)
-          ) {
-            overlappingTablesInTarget.push(targetTable);
-          }
-        }
-      }
-    } else {
-      // Compacting L1 or higher (Ln -> L(n+1))
-      // Simplified: Pick the oldest SSTable from levelToCompact (first in array)
-      // Real systems have more complex selection (e.g., size-tiered, pick by total size, etc.)
-      if (this.levels[levelToCompact].length === 0) {
-        this._addLog(`L${levelToCompact} is empty. No compaction needed.`);
-        return;
-      }
-      // For Ln (n>0) compaction, usually a single table (or a few) is chosen.
-      // Let's pick the oldest one (at the beginning of the array, assuming new tables are pushed)
-      tablesToCompactFromSource = [this.levels[levelToCompact].shift()]; // Take and remove the oldest
-      const tableToCompact = tablesToCompactFromSource[0];
-      this._addLog(
-        `Selected oldest SSTable ${tableToCompact.id} from L${levelToCompact}.`
-      );
+  // Every SSTable of the tree uses the configured filter, blocks and key order
+  _sstableOptions() {
+    return {
+      bloomBitsPerKey: this.config.bloomBitsPerKey,
+      bloomHashCount: this.config.bloomHashCount,
+      blockSize: this.config.sstableBlockSize,
+      restartInterval: this.config.sstableRestartInterval,
+      compareKeys: this.compareKeys,
+    };
+  }
 
-      // Find overlapping tables in targetLevel
-      if (tableToCompact.minKey && tableToCompact.maxKey) {
-        for (const targetTable of this.levels[targetLevel]) {
-          if (
-            targetTable.overlaps(tableToCompact.minKey, tableToCompact.maxKey)
-          ) {
-            overlappingTablesInTarget.push(targetTable);
-          }
-        }
-      }
+  // Every MemTable of the tree uses the configured structure and key order
+  _memtableOptions() {
+    return {
+      implementation: this.config.memtableImplementation,
+      compareKeys: this.compareKeys,
+      maxBytes: memtableMaxBytes(this.config),
+    };
+  }
+
+  // Forced flush: freezes the active MemTable and persists the whole immutable
+  // queue right away instead of waiting for the background scheduler.
+  flushMemTable() {
+    if (!this.memtable.isEmpty()) {
+      this._rotateMemtable({ force: true });
+    }
+    if (this.immutableMemtables.length === 0) {
+      this._addLog("MemTable is empty, nothing to flush.");
+      return false; // Indicate no flush happened
     }
+    this.flushJob = null; // Anything in progress is completed now
+    while (this.immutableMemtables.length > 0) {
+      this._flushOldestImmutable();
+    }
+    this.triggerCompactionIfNeeded();
+    this._recordOperation();
+    return true; // Indicate flush happened
+  }
 
-    if (tablesToCompactFromSource.length === 0) {
+  _flushOldestImmutable() {
+    const memtable = this.immutableMemtables.shift();
+    this._addLog(`Flushing immutable MemTable #${memtable.id} to L0...`);
+    const memtableData = memtable.getDataForViz();
+    const { rangeTombstones } = memtable;
+    const sstableData = memtable.flush(this._liveSnapshotSeqs()); // Data is already sorted by key
+    const newSSTable =
+      sstableData.length > 0 || rangeTombstones.length > 0
+        ? this._createSSTable(0, sstableData, rangeTombstones)
+        : null;
+    const from = `MemTable #${memtable.id}`;
+    memtableData.forEach((entry) =>
+      this._recordLineage(
+        entry[0],
+        sstableData.includes(entry)
+          ? {
+              type: "flush",
+              seq: entry[2],
+              from,
+              to: `L0 ${newSSTable.id}`,
+              description: `Flushed from ${from} to SSTable ${newSSTable.id} in L0.`,
+            }
+          : {
+              type: "drop",
+              seq: entry[2],
+              from,
+              reason: "shadowed",
+              description: `Not flushed from ${from}: shadowed and not pinned by a snapshot.`,
+            }
+      )
+    );
+    if (newSSTable) {
+      this.levels[0].push(newSSTable); // Add to the end of L0 (newest)
       this._addLog(
-        `No tables selected for compaction from L${levelToCompact}. Compaction aborted.`
+        `Flushed MemTable #${memtable.id} to new SSTable ${
+          newSSTable.id
+        } in L0. Contains ${sstableData.length} items${
+          rangeTombstones.length > 0
+            ? ` and ${rangeTombstones.length} range tombstones`
+            : ""
+        }.`
       );
-      // If we shifted a table from Ln but it was empty/invalid, it's already removed.
+      this.metrics.itemsWrittenToSSTables +=
+        sstableData.length + rangeTombstones.length;
+      this.metrics.bytesWrittenToSSTables += newSSTable.sizeBytes;
+    }
+    // Everything the log protected for this MemTable is now in an SSTable
+    const truncated = this.wal.truncate(memtable.walLsn);
+    this._addLog(`Truncated WAL (${truncated} records).`);
+  }
+
+  triggerCompactionIfNeeded() {
+    if (this.config.compactionScheduling === "background") {
+      this._startBackgroundCompaction();
       return;
     }
+    // The strategy is asked repeatedly, since one compaction can overfill the next level.
+    // The guard only protects against a misbehaving strategy.
+    for (let round = 0; round < 100; round++) {
+      const job = this.compactionStrategy.pickCompaction(this);
+      if (!job) return;
+      this._addLog(job.reason);
+      this._runCompaction(job);
+    }
+    this._addLog("Compaction stopped: too many consecutive rounds.");
+  }
 
+  // Background compaction: one job at a time. A merge reads and rewrites
+  // every input byte at compactionBytesPerTick; moves and drops only change
+  // metadata and take a single tick. The job is installed when it finishes.
+  _startBackgroundCompaction() {
+    if (this.compactionJob) return;
+    const job = this.compactionStrategy.pickCompaction(this);
+    if (!job) return;
+    const bytes = [...job.inputs, ...job.overlapping].reduce(
+      (sum, sstable) => sum + sstable.sizeBytes,
+      0
+    );
+    const ticks =
+      job.action === "merge"
+        ? Math.max(1, Math.ceil(bytes / this.config.compactionBytesPerTick))
+        : 1;
+    this.compactionJob = {
+      job,
+      bytes,
+      startedAt: this.clock,
+      totalTicks: ticks,
+      remainingTicks: ticks,
+    };
     this._addLog(
-      `Found ${overlappingTablesInTarget.length} overlapping SSTables in L${targetLevel} to include in merge.`
+      `${job.reason} Background compaction of L${job.sourceLevel} started (${bytes} bytes, ${ticks} ticks).`
     );
+  }
+
+  _runCompactionScheduler() {
+    if (!this.compactionJob) return;
+    this.compactionJob.remainingTicks--;
+    if (this.compactionJob.remainingTicks > 0) return;
+    this._finishBackgroundCompaction();
+    this._startBackgroundCompaction(); // The next job, if any, starts right away
+  }
+
+  // Installs the background compaction in progress now
+  _finishBackgroundCompaction() {
+    if (!this.compactionJob) return;
+    const { job } = this.compactionJob;
+    this.compactionJob = null;
+    this._runCompaction(job);
+  }
 
-    // Remove the overlapping tables from targetLevel as they will be replaced by new merged tables
+  // The job with its tables as ids, for rendering and serialization
+  _serializeCompactionJob() {
+    if (!this.compactionJob) return null;
+    const { job, ...progress } = this.compactionJob;
+    return {
+      ...progress,
+      job: {
+        ...job,
+        inputs: job.inputs.map((sstable) => sstable.id),
+        overlapping: job.overlapping.map((sstable) => sstable.id),
+      },
+    };
+  }
+
+  // Manual compaction of one level, as requested from the UI
+  compact(levelToCompact) {
+    // A background job may hold the tables about to be picked; it finishes first
+    this._finishBackgroundCompaction();
+    this._addLog(
+      `Attempting ${this.compactionStrategy.label} compaction of L${levelToCompact}...`
+    );
+    const job = this.compactionStrategy.pickManualCompaction(
+      this,
+      levelToCompact
+    );
+    if (!job) return;
+    this._addLog(job.reason);
+    this._runCompaction(job);
+
+    // After compaction, the target level might now be too full, potentially triggering another compaction.
+    this.triggerCompactionIfNeeded();
+    this._recordOperation();
+  }
+
+  _runCompaction(job) {
+    const { sourceLevel, targetLevel, inputs, overlapping } = job;
+    const trace = this._startCompactionTrace(job);
+    const removedIds = new Set(
+      [...inputs, ...overlapping].map((sstable) => sstable.id)
+    );
+    this.levels[sourceLevel] = this.levels[sourceLevel].filter(
+      (t) => !removedIds.has(t.id)
+    );
     this.levels[targetLevel] = this.levels[targetLevel].filter(
-      (t) => !overlappingTablesInTarget.find((ot) => ot.id === t.id)
+      (t) => !removedIds.has(t.id)
     );
+    // A moved table keeps its id and blocks; every other input is deleted
+    [...inputs, ...overlapping]
+      .filter((sstable) => job.action !== "move" || !inputs.includes(sstable))
+      .forEach((sstable) => {
+        this.metrics.blockCacheInvalidations += this.blockCache.invalidateTable(
+          sstable.id
+        );
+      });
+    this.metrics.compactions++;
+    // Logged against the operation that is still running, which is counted once it ends
+    this.compactionEvents.push({
+      op: this.operationCount + 1,
+      clock: this.clock,
+      action: job.action,
+      sourceLevel,
+      targetLevel,
+    });
+    if (this.compactionEvents.length > METRICS_SAMPLES_MAX) {
+      this.compactionEvents.shift();
+    }
 
-    const allTablesToMerge = [
-      ...tablesToCompactFromSource,
-      ...overlappingTablesInTarget,
-    ];
-    if (allTablesToMerge.length === 0) {
-      this._addLog("No tables to merge in compaction process. Aborting.");
-      // Add back tablesToCompactFromSource to their original level if they were removed optimistically
-      if (levelToCompact > 0)
-        this.levels[levelToCompact].unshift(...tablesToCompactFromSource);
-      else this.levels[levelToCompact].push(...tablesToCompactFromSource); // L0 tables are pushed
+    if (job.action === "drop") {
+      inputs.forEach((sstable) =>
+        sstable.data.forEach((entry) =>
+          this._recordLineage(entry[0], {
+            type: "drop",
+            seq: entry[2],
+            from: `L${sourceLevel} ${sstable.id}`,
+            reason: "fifo",
+            compactionId: trace.id,
+            description: `Dropped with SSTable ${sstable.id} by compaction #${trace.id} (FIFO size limit).`,
+          })
+        )
+      );
+      this.metrics.sstablesDropped += inputs.length;
+      this._addLog(
+        `Dropped ${inputs.length} oldest SSTables from L${sourceLevel}: ${inputs
+          .map((t) => t.id)
+          .join(", ")}.`
+      );
+      this._finishCompactionTrace(trace, [...removedIds], []);
       return;
     }
 
+    if (job.action === "move") {
+      // Trivial move: the table is relinked into the target level without rewriting it
+      for (const sstable of inputs) {
+        sstable.level = targetLevel;
+        this.levels[targetLevel].push(sstable);
+        sstable.data.forEach((entry) =>
+          this._recordLineage(entry[0], {
+            type: "move",
+            seq: entry[2],
+            from: `L${sourceLevel} ${sstable.id}`,
+            to: `L${targetLevel} ${sstable.id}`,
+            compactionId: trace.id,
+            description: `Moved with SSTable ${sstable.id} from L${sourceLevel} to L${targetLevel} by compaction #${trace.id}.`,
+          })
+        );
+      }
+      this._sortLevel(targetLevel);
+      this._addLog(
+        `Moved SSTable ${inputs
+          .map((t) => t.id)
+          .join(
+            ", "
+          )} from L${sourceLevel} to L${targetLevel} without rewriting.`
+      );
+      this._finishCompactionTrace(
+        trace,
+        [],
+        inputs.map((t) => t.id)
+      );
+      return;
+    }
+
+    this._addLog(
+      `Found ${overlapping.length} overlapping SSTables in L${targetLevel} to include in merge.`
+    );
+    const allTablesToMerge = [...inputs, ...overlapping]; // Newest first
     this._addLog(
       `Merging the following SSTables: ${allTablesToMerge
         .map((t) => `${t.id}(L${t.level})`)
@@ -327,141 +1573,1017 @@ class LSMTree {
     );
 
     // K-way merge logic
-    // 1. Collect all key-value pairs from all tables to be merged.
-    // 2. Sort them. Newest version of a key wins. Tombstones are respected.
-    let mergedDataMap = new Map(); // Use a Map to handle latest version of keys easily
-
-    // Process tables ensuring newer data overwrites older data.
-    // Sort tables by level (lower level = newer), then by ID (higher ID = newer, assuming time-based IDs)
-    const sortedAllTablesToMerge = [...allTablesToMerge].sort((a, b) => {
-      if (a.level !== b.level) return a.level - b.level; // L0 (newer) before L1
-      // Assuming generateSSTableId creates sequentially increasing IDs for newer tables
-      return b.id.localeCompare(a.id); // Higher ID (newer) first
-    });
+    // 1. Collect every version of every key from all tables to be merged.
+    // 2. Keep the newest version, plus any older one a live snapshot still needs.
+    let versionsByKey = new Map(); // key -> all versions found in the inputs
+    let sourcesByKey = new Map(); // key -> where each input table's cursor sits on it
+    const inputTables = new Map(); // input entry -> the table it was read from
 
-    for (const table of sortedAllTablesToMerge) {
-      for (const [key, value] of table.getDataForViz()) {
-        // getDataForViz returns sorted array
-        if (!mergedDataMap.has(key)) {
-          // Only set if not already set by a newer table (processed earlier)
-          mergedDataMap.set(key, value);
+    for (const table of allTablesToMerge) {
+      table.getDataForViz().forEach((entry, index) => {
+        inputTables.set(entry, table);
+        if (!versionsByKey.has(entry[0])) {
+          versionsByKey.set(entry[0], []);
+          sourcesByKey.set(entry[0], []);
         }
-      }
+        versionsByKey.get(entry[0]).push(entry);
+        const sources = sourcesByKey.get(entry[0]);
+        if (!sources.some((source) => source.tableId === table.id)) {
+          sources.push({ tableId: table.id, index });
+        }
+      });
     }
 
-    // Convert map to array and sort by key for new SSTables
-    // Tombstones are kept at this stage. They are actual data.
-    // A "major" compaction might fully remove keys if their latest version is a tombstone
-    // and there are no older versions of this key in levels deeper than the tombstone's origin.
-    // This simplified compaction propagates tombstones.
-    let finalMergedData = Array.from(mergedDataMap.entries())
-      .filter(
-        ([key, value]) =>
-          value !== TOMBSTONE || levelToCompact < this.config.maxLevels - 2
-      ) // Basic tombstone cleanup for non-last level compactions
-      .sort((a, b) => a[0].localeCompare(b[0]));
+    // Tombstones are kept unless the strategy knows no older version of the key
+    // can exist below the output; then the tombstone has nothing left to shadow.
+    const snapshotSeqs = this._liveSnapshotSeqs();
+    const mergedKeys = Array.from(versionsByKey.keys()).sort(this.compareKeys);
+    const compareEntries = internalEntryComparator(this.compareKeys);
+    const rangeTombstones = mergeRangeTombstones(
+      allTablesToMerge.flatMap((table) => table.rangeTombstones),
+      this.compareKeys
+    );
+    // One group per user key, so all versions of a key land in the same output table
+    const mergedGroups = [];
+    for (const key of mergedKeys) {
+      const versions = versionsByKey.get(key).sort(compareEntries);
+      // An expired value is a tombstone from here on: its value is reclaimed,
+      // and the tombstone is dropped like any other once nothing needs it
+      const current = versions.map((entry) => {
+        if (!isExpired(entry, this.clock)) return entry;
+        const tombstone = [key, TOMBSTONE, entry[2], ENTRY_TYPES.DELETE];
+        inputTables.set(tombstone, inputTables.get(entry));
+        return tombstone;
+      });
+      const expiredCount = current.filter(
+        (entry, idx) => entry !== versions[idx]
+      ).length;
+      this.metrics.expiredEntriesDropped += expiredCount;
+      // Each range tombstone covering the key counts as one more tombstone
+      // version of it while deciding what to keep, but is written back as a range
+      const rangeVersions = rangeTombstones
+        .filter(
+          ({ start, end }) =>
+            this.compareKeys(start, key) <= 0 && this.compareKeys(key, end) < 0
+        )
+        .map(({ seq }) => [key, TOMBSTONE, seq, ENTRY_TYPES.DELETE]);
+      const allVersions = [...current, ...rangeVersions].sort(compareEntries);
+      const collapsed = collapseVersions(
+        allVersions,
+        snapshotSeqs,
+        job.dropTombstones
+      );
+      // Merge operands are folded into the put, delete or range tombstone
+      // below them when the inputs hold one
+      const kept = foldMergeOperands(
+        collapsed,
+        this.mergeOperator,
+        snapshotSeqs,
+        job.dropTombstones
+      ).filter((entry) => !rangeVersions.includes(entry));
+      kept
+        .filter((entry) => !current.includes(entry))
+        .forEach((entry) => {
+          // A folded entry carries on the newest operand it replaced
+          const operand = current.find((version) => version[2] === entry[2]);
+          inputTables.set(entry, inputTables.get(operand));
+        });
+      const isKept = (entry) =>
+        kept.some((keptEntry) => keptEntry[2] === entry[2]);
+      const foldedOperands = collapsed.filter(
+        (entry) => entry[3] === ENTRY_TYPES.MERGE && !kept.includes(entry)
+      ).length;
+      this.metrics.mergeOperandsFolded += foldedOperands;
+      trace.steps.push({
+        type: "merge",
+        key,
+        cursors: sourcesByKey.get(key),
+        kept: kept.map((entry) => entry[2]),
+        description: `Cursor advances to "${key}": ${
+          versions.length
+        } version(s) from ${sourcesByKey.get(key).length} table(s), ${
+          kept.length
+        } kept${
+          foldedOperands > 0
+            ? `, ${foldedOperands} merge operand(s) folded by ${this.mergeOperator.label}`
+            : ""
+        }${expiredCount > 0 ? `, ${expiredCount} expired` : ""}.`,
+      });
+      // Only a tombstone that was the newest version goes for lack of anything to shadow
+      const dropReason = (entry) => {
+        const version = current[versions.indexOf(entry)];
+        return collapsed.includes(version)
+          ? "merged"
+          : rangeVersions.includes(
+              allVersions[allVersions.indexOf(version) - 1]
+            )
+          ? "range"
+          : version !== entry
+          ? "expired"
+          : entry[1] === TOMBSTONE && entry === versions[0]
+          ? "tombstone"
+          : "shadowed";
+      };
+      versions
+        .filter((entry, idx) => entry !== current[idx] && isKept(entry))
+        .forEach((entry) => {
+          const table = inputTables.get(entry);
+          this._recordLineage(key, {
+            type: "expire",
+            seq: entry[2],
+            from: `L${table.level} ${table.id}`,
+            compactionId: trace.id,
+            description: `Expired at t=${entry[4]}: compaction #${trace.id} reclaimed the value and kept a tombstone in its place.`,
+          });
+        });
+      const droppedEntries = versions.filter((entry) => !isKept(entry));
+      const dropped = droppedEntries.map((entry) => ({
+        seq: entry[2],
+        reason: dropReason(entry),
+      }));
+      droppedEntries.forEach((entry) => {
+        const table = inputTables.get(entry);
+        this._recordLineage(key, {
+          type: "drop",
+          seq: entry[2],
+          from: `L${table.level} ${table.id}`,
+          reason: dropReason(entry),
+          compactionId: trace.id,
+          description: `Dropped by compaction #${trace.id}: ${
+            dropReason(entry) === "tombstone"
+              ? "tombstone with nothing older left to shadow"
+              : dropReason(entry) === "range"
+              ? "deleted by a range tombstone and not pinned by a snapshot"
+              : dropReason(entry) === "expired"
+              ? `expired at t=${entry[4]}`
+              : dropReason(entry) === "merged"
+              ? `folded into #${
+                  [...kept]
+                    .reverse()
+                    .find((keptEntry) => keptEntry[2] > entry[2])[2]
+                } by the ${this.mergeOperator.label} merge operator`
+              : "shadowed and not pinned by a snapshot"
+          }.`,
+        });
+      });
+      if (dropped.length > 0) {
+        trace.steps.push({
+          type: "drop",
+          key,
+          dropped,
+          description: `Dropped ${
+            dropped.length
+          } version(s) of "${key}": ${dropped
+            .map(({ seq, reason }) => `#${seq} (${reason})`)
+            .join(", ")}.`,
+        });
+      }
+      if (kept.length > 0) mergedGroups.push(kept);
+    }
+    const entriesWritten = mergedGroups.reduce(
+      (sum, versions) => sum + versions.length,
+      0
+    );
 
     this._addLog(
-      `Merged data resulted in ${finalMergedData.length} unique, live keys.`
+      `Merged data resulted in ${mergedGroups.length} unique keys (${entriesWritten} versions).`
     );
-    this.metrics.itemsWrittenToSSTables += finalMergedData.length; // Count items written to new SSTables
+    this.metrics.itemsWrittenToSSTables += entriesWritten; // Count items written to new SSTables
 
-    // Split merged data into new SSTables for the targetLevel, respecting sstableMaxItems
-    for (
-      let i = 0;
-      i < finalMergedData.length;
-      i += this.config.sstableMaxItems
-    ) {
-      const chunk = finalMergedData.slice(i, i + this.config.sstableMaxItems);
-      if (chunk.length > 0) {
-        const newSSTable = new SSTable(generateSSTableId(), targetLevel, chunk);
-        this.levels[targetLevel].push(newSSTable); // Add to target level
-        this._addLog(
-          `Created new SSTable ${newSSTable.id} in L${targetLevel} with ${chunk.length} items.`
-        );
-      }
+    // Range tombstones reaching a level with nothing older below go too, unless
+    // they still hide a version kept for a snapshot
+    const keptRangeTombstones = job.dropTombstones
+      ? rangeTombstones.filter(({ start, end, seq }) =>
+          mergedGroups.some((versions) =>
+            versions.some(
+              ([key, , versionSeq]) =>
+                versionSeq < seq &&
+                this.compareKeys(start, key) <= 0 &&
+                this.compareKeys(key, end) < 0
+            )
+          )
+        )
+      : rangeTombstones;
+    if (keptRangeTombstones.length < rangeTombstones.length) {
+      this._addLog(
+        `Dropped ${
+          rangeTombstones.length - keptRangeTombstones.length
+        } range tombstones: nothing older is left below L${targetLevel}.`
+      );
     }
 
-    // SSTables in L1+ should be sorted by their minKey to allow efficient searching/overlap checks
-    if (targetLevel > 0) {
-      this.levels[targetLevel].sort((a, b) => {
-        if (a.minKey === null && b.minKey === null) return 0;
-        if (a.minKey === null) return -1; // Empty tables first or last? Convention varies.
-        if (b.minKey === null) return 1;
-        return a.minKey.localeCompare(b.minKey);
+    // Split merged data into new SSTables for the targetLevel, respecting sstableMaxItems
+    // or sstableMaxBytes (a key with several versions may push a table slightly over the limit)
+    const outputs = [];
+    const chunks = [];
+    let chunk = [];
+    const bytesLimited = this.config.sizeLimitUnit === "bytes";
+    const cutOutput = (entries, tableRangeTombstones) => {
+      const newSSTable = this._createSSTable(
+        targetLevel,
+        entries,
+        tableRangeTombstones
+      );
+      this.metrics.itemsWrittenToSSTables += tableRangeTombstones.length;
+      this.metrics.bytesWrittenToSSTables += newSSTable.sizeBytes;
+      outputs.push(newSSTable);
+      entries.forEach((entry) => {
+        const table = inputTables.get(entry);
+        this._recordLineage(entry[0], {
+          type: "compact",
+          seq: entry[2],
+          from: `L${table.level} ${table.id}`,
+          to: `L${targetLevel} ${newSSTable.id}`,
+          compactionId: trace.id,
+          description: `Rewritten by compaction #${trace.id} from SSTable ${table.id} (L${table.level}) into ${newSSTable.id} (L${targetLevel}).`,
+        });
       });
+      trace.steps.push({
+        type: "cut",
+        tableId: newSSTable.id,
+        level: targetLevel,
+        items: entries.length,
+        rangeTombstones: tableRangeTombstones.length,
+        description: `Cut output SSTable ${newSSTable.id} with ${
+          entries.length
+        } items${
+          tableRangeTombstones.length > 0
+            ? ` and ${tableRangeTombstones.length} range tombstones`
+            : ""
+        } [${newSSTable.minKey} - ${newSSTable.maxKey}${
+          newSSTable.maxKeyExclusive ? ")" : "]"
+        }.`,
+      });
+      this._addLog(
+        `Created new SSTable ${newSSTable.id} in L${targetLevel} with ${entries.length} items.`
+      );
+    };
+    for (const versions of mergedGroups) {
+      const overLimit = bytesLimited
+        ? entriesBytes(chunk) + entriesBytes(versions) >
+          this.config.sstableMaxBytes
+        : chunk.length + versions.length > this.config.sstableMaxItems;
+      if (!job.singleOutput && chunk.length > 0 && overLimit) {
+        chunks.push(chunk);
+        chunk = [];
+      }
+      chunk.push(...versions);
+    }
+    if (
+      chunk.length > 0 ||
+      (chunks.length === 0 && keptRangeTombstones.length > 0)
+    ) {
+      chunks.push(chunk); // Range tombstones alone still make a table
     }
+    // Each output gets the pieces of the range tombstones from its first key up
+    // to the next output's first key, so the tables of a level stay disjoint
+    chunks.forEach((entries, idx) =>
+      cutOutput(
+        entries,
+        clipRangeTombstones(
+          keptRangeTombstones,
+          idx === 0 ? null : entries[0][0],
+          idx === chunks.length - 1 ? null : chunks[idx + 1][0][0],
+          this.compareKeys
+        )
+      )
+    );
+    this.levels[targetLevel].push(...outputs); // Add to target level (newest)
+    this._sortLevel(targetLevel);
+    this._finishCompactionTrace(
+      trace,
+      [...removedIds],
+      outputs.map((t) => t.id)
+    );
 
     this._addLog(
-      `Compaction from L${levelToCompact} to L${targetLevel} complete.`
+      `Compaction from L${sourceLevel} to L${targetLevel} complete.`
     );
+  }
 
-    // After compaction, the target level might now be too full, potentially triggering another compaction.
-    this.triggerCompactionIfNeeded();
+  // A trace keeps only the tables the job removes and the ones it installs, each
+  // with its position in its level; playback draws every other table from the
+  // live levels (see getCompactionHighlight())
+  _startCompactionTrace(job) {
+    const { action, sourceLevel, targetLevel, inputs, overlapping } = job;
+    const trace = {
+      id: this.nextCompactionId++,
+      action,
+      sourceLevel,
+      targetLevel,
+      reason: job.reason,
+      inputIds: inputs.map((t) => t.id),
+      overlappingIds: overlapping.map((t) => t.id),
+      removed: [...inputs, ...overlapping].map((sstable) => ({
+        ...this._sstableForViz(sstable),
+        index: this.levels[sstable.level].indexOf(sstable),
+      })),
+      added: null,
+      steps: [
+        {
+          type: "pick",
+          tableIds: inputs.map((t) => t.id),
+          level: sourceLevel,
+          description: `Picked ${inputs.length} input SSTable(s) from L${sourceLevel}. ${job.reason}`,
+        },
+      ],
+    };
+    if (action === "merge") {
+      trace.steps.push({
+        type: "overlap",
+        tableIds: overlapping.map((t) => t.id),
+        level: targetLevel,
+        description:
+          overlapping.length > 0
+            ? `Found ${overlapping.length} overlapping SSTable(s) in L${targetLevel}; they join the merge.`
+            : `No SSTables in L${targetLevel} overlap the inputs.`,
+      });
+    }
+    this.compactionTraces.push(trace);
+    if (this.compactionTraces.length > COMPACTION_TRACES_MAX) {
+      this.compactionTraces.shift();
+    }
+    return trace;
   }
 
-  getMetrics() {
+  _finishCompactionTrace(trace, removedIds, addedIds) {
+    const targetTables = this.levels[trace.targetLevel];
+    trace.added = addedIds.map((id) => {
+      const index = targetTables.findIndex((sstable) => sstable.id === id);
+      return { ...this._sstableForViz(targetTables[index]), index };
+    });
+    trace.steps.push({
+      type: "install",
+      level: trace.targetLevel,
+      removedIds,
+      addedIds,
+      description:
+        trace.action === "drop"
+          ? `Installed new version: ${removedIds.length} SSTable(s) deleted from L${trace.sourceLevel}.`
+          : trace.action === "move"
+          ? `Installed new version: ${addedIds.length} SSTable(s) relinked into L${trace.targetLevel}.`
+          : `Installed new version: ${removedIds.length} input SSTable(s) replaced by ${addedIds.length} in L${trace.targetLevel}.`,
+    });
+  }
+
+  // SSTables in a sorted-run level are kept ordered by minKey to allow efficient
+  // searching/overlap checks. Overlapping levels stay in age order (newest last).
+  _sortLevel(levelIdx) {
+    if (!this.compactionStrategy.isSortedRun(levelIdx)) return;
+    this.levels[levelIdx].sort((a, b) => {
+      if (a.minKey === null && b.minKey === null) return 0;
+      if (a.minKey === null) return -1; // Empty tables first or last? Convention varies.
+      if (b.minKey === null) return 1;
+      return this.compareKeys(a.minKey, b.minKey);
+    });
+  }
+
+  // Order in which reads must visit a level's tables so newer data shadows older
+  _tablesNewestFirst(levelIdx) {
+    const levelSSTables = this.levels[levelIdx];
+    return this.compactionStrategy.isSortedRun(levelIdx)
+      ? levelSSTables
+      : [...levelSSTables].reverse();
+  }
+
+  // Counts a finished operation and, every metricsSampleInterval operations,
+  // appends a sample of the amplification, level sizes and MemTable fill.
+  _recordOperation() {
+    this.operationCount++;
+    if (this.operationCount % this.config.metricsSampleInterval !== 0) return;
+    const { wa, waBytes, raSSTables } = this._amplification();
+    // Rounded as getMetrics() shows them
+    this.metricsSamples.push({
+      op: this.operationCount,
+      clock: this.clock,
+      writeAmplification: Number(wa.toFixed(2)),
+      readAmplification: Number(raSSTables.toFixed(2)),
+      writeAmplificationBytes: Number(waBytes.toFixed(2)),
+      levelItems: this.levels.map((level) =>
+        level.reduce((sum, sstable) => sum + sstable.data.length, 0)
+      ),
+      levelBytes: this.levels.map((level) =>
+        level.reduce((sum, sstable) => sum + sstable.sizeBytes, 0)
+      ),
+      memtableFill:
+        this.config.sizeLimitUnit === "bytes"
+          ? this.memtable.sizeBytes() / this.config.memtableMaxBytes
+          : this.memtable.data.size / this.config.memtableMaxSize,
+      immutableMemtables: this.immutableMemtables.length,
+      compactions: this.metrics.compactions,
+    });
+    if (this.metricsSamples.length > METRICS_SAMPLES_MAX) {
+      this.metricsSamples.shift();
+    }
+  }
+
+  // Write and read amplification from the running counters alone, so a
+  // metrics sample costs no walk over the stored data
+  _amplification() {
+    const { metrics } = this;
+    // Every logical write is written twice before compaction even starts:
+    // once to the WAL and once more when its MemTable is flushed.
     const wa =
-      this.metrics.logicalWrites > 0
-        ? this.metrics.itemsWrittenToSSTables / this.metrics.logicalWrites
+      metrics.logicalWrites > 0
+        ? (metrics.itemsWrittenToSSTables + metrics.walRecordsWritten) /
+          metrics.logicalWrites
+        : 0;
+    // The same in bytes, so large values weigh more than small ones
+    const waBytes =
+      metrics.logicalBytesWritten > 0
+        ? (metrics.bytesWrittenToSSTables + metrics.walBytesWritten) /
+          metrics.logicalBytesWritten
         : 0;
     // Read amplification: average SSTables accessed per logical read.
     // A more precise RA might consider only reads that go to disk.
-    const ra_sstables =
-      this.metrics.logicalReads > 0
-        ? this.metrics.sstablesAccessedForRead / this.metrics.logicalReads
+    const raSSTables =
+      metrics.logicalReads > 0
+        ? metrics.sstablesAccessedForRead / metrics.logicalReads
+        : 0;
+    const raBlocks =
+      metrics.logicalReads > 0
+        ? metrics.dataBlockReads / metrics.logicalReads
+        : 0;
+    return { wa, waBytes, raSSTables, raBlocks };
+  }
+
+  // Also counts every stored entry (see getSpaceStats()), so it is meant for
+  // rendering, not for every operation
+  getMetrics() {
+    const { wa, waBytes, raSSTables, raBlocks } = this._amplification();
+    const blockCacheLookups =
+      this.metrics.blockCacheHits + this.metrics.blockCacheMisses;
+    const blockCacheHitRatio =
+      blockCacheLookups > 0
+        ? this.metrics.blockCacheHits / blockCacheLookups
         : 0;
     // Could also define RA including memtable lookups: (memtableLookups + sstablesAccessed) / logicalReads
+    // FPR is measured only over checks where the key was truly absent from the table.
+    const bloomNegatives =
+      this.metrics.bloomFilterHits + this.metrics.bloomFalsePositives;
+    const bloomFpr =
+      bloomNegatives > 0
+        ? this.metrics.bloomFalsePositives / bloomNegatives
+        : 0;
+    // Space amplification: stored entries (every version and tombstone) per live key
+    const space = this.getSpaceStats();
+    const sa = space.liveKeys > 0 ? space.storedEntries / space.liveKeys : 0;
     return {
       ...this.metrics,
       writeAmplification: wa.toFixed(2),
-      readAmplificationSSTables: ra_sstables.toFixed(2), // Renamed for clarity
+      writeAmplificationBytes: waBytes.toFixed(2),
+      readAmplificationSSTables: raSSTables.toFixed(2), // Renamed for clarity
+      readAmplificationBlocks: raBlocks.toFixed(2),
+      bloomFalsePositiveRate: `${(bloomFpr * 100).toFixed(1)}%`,
+      blockCacheHitRatio: `${(blockCacheHitRatio * 100).toFixed(1)}%`,
+      spaceAmplification: sa.toFixed(2),
+      storedEntries: space.storedEntries,
+      storedBytes: space.storedBytes,
+      liveKeys: space.liveKeys,
+      tombstones: space.tombstones,
+      rangeTombstones: space.rangeTombstones,
+      expiredEntries: space.expiredEntries,
+      expiredBytes: space.expiredBytes,
+      obsoleteVersions: space.obsoleteVersions,
+      levelStats: space.levels,
+    };
+  }
+
+  // Counts every stored internal entry, in the MemTables and in each level.
+  // A version is obsolete once a newer version of its key exists anywhere in
+  // the tree (a snapshot may still pin it); a key is live if its newest version
+  // is not a tombstone or expired. Expired entries still take space until a
+  // compaction rewrites their table.
+  getSpaceStats() {
+    const memtableEntries = this._memtablesNewestFirst().flatMap(
+      ({ memtable }) => memtable.getDataForViz()
+    );
+    const levelEntries = this.levels.map((level) =>
+      level.flatMap((sstable) => sstable.data)
+    );
+    const memtableRangeTombstones = this._memtablesNewestFirst().flatMap(
+      ({ memtable }) => memtable.rangeTombstones
+    );
+    const levelRangeTombstones = this.levels.map((level) =>
+      level.flatMap((sstable) => sstable.rangeTombstones)
+    );
+    const allRangeTombstones = [
+      ...memtableRangeTombstones,
+      ...levelRangeTombstones.flat(),
+    ];
+    const newestSeqs = new Map();
+    const newestTypes = new Map();
+    const newestBaseSeqs = new Map(); // key -> newest put or delete
+    const newestExpired = new Set();
+    [memtableEntries, ...levelEntries].forEach((entries) =>
+      entries.forEach((entry) => {
+        const [key, , seq, type] = entry;
+        if (!newestSeqs.has(key) || seq > newestSeqs.get(key)) {
+          newestSeqs.set(key, seq);
+          newestTypes.set(key, type);
+          if (isExpired(entry, this.clock)) newestExpired.add(key);
+          else newestExpired.delete(key);
+        }
+        if (type !== ENTRY_TYPES.MERGE && !(newestBaseSeqs.get(key) > seq)) {
+          newestBaseSeqs.set(key, seq);
+        }
+      })
+    );
+    const summarize = (entries, rangeTombstones) => ({
+      entries: entries.length,
+      bytes: entriesBytes(entries) + rangeTombstonesBytes(rangeTombstones),
+      tombstones: entries.filter(([, , , type]) => type === ENTRY_TYPES.DELETE)
+        .length,
+      rangeTombstones: rangeTombstones.length,
+      expiredEntries: entries.filter((entry) => isExpired(entry, this.clock))
+        .length,
+      expiredBytes: entriesBytes(
+        entries.filter((entry) => isExpired(entry, this.clock))
+      ),
+      // Merge operands do not shadow what they apply to
+      obsoleteVersions: entries.filter(
+        ([key, , seq]) => seq < newestBaseSeqs.get(key)
+      ).length,
+    });
+
+    const memtables = summarize(memtableEntries, memtableRangeTombstones);
+    const levels = levelEntries.map((entries, levelIdx) => {
+      const maxSSTables = maxSSTablesForLevel(this.config, levelIdx);
+      return {
+        level: levelIdx,
+        sstables: this.levels[levelIdx].length,
+        maxSSTables,
+        maxEntries: maxSSTables * this.config.sstableMaxItems,
+        // The limit compaction enforces; L0 is always limited by its SSTable count
+        limit:
+          this.config.sizeLimitUnit === "bytes" && levelIdx > 0
+            ? "bytes"
+            : "sstables",
+        // For L0, what that many full tables would hold
+        maxBytes:
+          maxBytesForLevel(this.config, levelIdx) ??
+          maxSSTables * this.config.sstableMaxBytes,
+        ...summarize(entries, levelRangeTombstones[levelIdx]),
+      };
+    });
+    const total = (field) =>
+      levels.reduce((sum, level) => sum + level[field], memtables[field]);
+    return {
+      storedEntries: total("entries"),
+      storedBytes: total("bytes"),
+      // A key is not live if a newer range tombstone covers it either
+      liveKeys: [...newestTypes.entries()].filter(
+        ([key, type]) =>
+          type !== ENTRY_TYPES.DELETE &&
+          !newestExpired.has(key) &&
+          rangeTombstoneSeq(
+            allRangeTombstones,
+            key,
+            Infinity,
+            this.compareKeys
+          ) < newestSeqs.get(key)
+      ).length,
+      tombstones: total("tombstones"),
+      rangeTombstones: total("rangeTombstones"),
+      expiredEntries: total("expiredEntries"),
+      expiredBytes: total("expiredBytes"),
+      obsoleteVersions: total("obsoleteVersions"),
+      memtables,
+      levels,
+    };
+  }
+
+  // For each live snapshot, the versions that exist only because it pins them:
+  // visible to the snapshot, but shadowed for a current read.
+  getSnapshotPins() {
+    const versionsByKey = new Map();
+    const addVersion = (entry, location) => {
+      if (!versionsByKey.has(entry[0])) versionsByKey.set(entry[0], []);
+      versionsByKey.get(entry[0]).push({ entry, location });
+    };
+    this._memtablesNewestFirst().forEach(({ memtable, component }) =>
+      memtable.getDataForViz().forEach((entry) => addVersion(entry, component))
+    );
+    this.levels.forEach((level, i) =>
+      level.forEach((sstable) =>
+        sstable
+          .getDataForViz()
+          .forEach((entry) => addVersion(entry, `L${i} ${sstable.id}`))
+      )
+    );
+    versionsByKey.forEach((versions) =>
+      versions.sort((a, b) => b.entry[2] - a.entry[2])
+    );
+
+    return this.snapshots.map((snapshot) => {
+      const pinned = [];
+      versionsByKey.forEach((versions, key) => {
+        const visible = versions.find((v) => v.entry[2] <= snapshot.seq);
+        if (visible && visible !== versions[0]) {
+          pinned.push({
+            key,
+            value: visible.entry[1],
+            seq: visible.entry[2],
+            location: visible.location,
+          });
+        }
+      });
+      return { ...snapshot, pinned };
+    });
+  }
+
+  // Every stored copy of a key, in read order, with the copy a read returns and
+  // the copies that live snapshots still see, plus the key's provenance.
+  getKeyLineage(key) {
+    const copies = [];
+    const describeCopy = (entry) => {
+      const [, value, seq, type, expiresAt = null] = entry;
+      return {
+        value,
+        seq,
+        type,
+        expiresAt,
+        expired: isExpired(entry, this.clock),
+      };
+    };
+    this._memtablesNewestFirst().forEach(({ memtable, component, id }) =>
+      (memtable.data.get(key) || []).forEach((entry) =>
+        copies.push({ component, id, level: null, ...describeCopy(entry) })
+      )
+    );
+    this.levels.forEach((_, levelIdx) =>
+      this._tablesNewestFirst(levelIdx).forEach((sstable) =>
+        sstable.data
+          .filter(([entryKey]) => entryKey === key)
+          .forEach((entry) =>
+            copies.push({
+              component: `L${levelIdx} SSTable`,
+              id: sstable.id,
+              level: levelIdx,
+              ...describeCopy(entry),
+            })
+          )
+      )
+    );
+    // Range tombstones covering the key delete it like a tombstone copy would
+    const coveringRangeTombstones = (rangeTombstones) =>
+      rangeTombstones.filter(
+        ({ start, end }) =>
+          this.compareKeys(start, key) <= 0 && this.compareKeys(key, end) < 0
+      );
+    this._memtablesNewestFirst().forEach(({ memtable, component, id }) =>
+      coveringRangeTombstones(memtable.rangeTombstones).forEach(
+        ({ start, end, seq }) =>
+          copies.push({
+            component,
+            id,
+            level: null,
+            value: TOMBSTONE,
+            seq,
+            type: ENTRY_TYPES.DELETE,
+            range: [start, end],
+          })
+      )
+    );
+    this.levels.forEach((level, levelIdx) =>
+      level.forEach((sstable) =>
+        coveringRangeTombstones(sstable.rangeTombstones).forEach(
+          ({ start, end, seq }) =>
+            copies.push({
+              component: `L${levelIdx} SSTable`,
+              id: sstable.id,
+              level: levelIdx,
+              value: TOMBSTONE,
+              seq,
+              type: ENTRY_TYPES.DELETE,
+              range: [start, end],
+            })
+        )
+      )
+    );
+    copies.sort((a, b) => b.seq - a.seq);
+    // Newer data always sits higher up, so the newest version is the one a read
+    // returns. If it is a merge operand, the read also applies every older copy
+    // down to the first put or delete.
+    const readSeqs = (snapshotSeq) => {
+      const seqs = [];
+      for (const copy of copies) {
+        if (copy.seq > snapshotSeq) continue;
+        seqs.push(copy.seq);
+        if (copy.type !== ENTRY_TYPES.MERGE) break;
+      }
+      return seqs;
+    };
+    const latestRead = readSeqs(Infinity);
+    return {
+      key,
+      copies: copies.map((copy) => ({
+        ...copy,
+        wins: copy.seq === latestRead[0],
+        merged: latestRead.indexOf(copy.seq) > 0, // Applied by the read under the winner
+        pinnedBy: this.snapshots
+          .filter(
+            (snapshot) =>
+              !latestRead.includes(copy.seq) &&
+              readSeqs(snapshot.seq).includes(copy.seq)
+          )
+          .map((snapshot) => snapshot.id),
+      })),
+      history: (this.keyLineage.get(key) || []).map((event) => ({ ...event })),
+    };
+  }
+
+  // Consistency check of the key order: every MemTable and SSTable must be
+  // sorted by the comparator, sorted-run levels must not overlap, and a read of
+  // every stored key must find its newest version. The reads run on a copy of
+  // the tree so the metrics, block cache and log are left alone.
+  checkKeyOrdering() {
+    const compare = this.compareKeys;
+    const problems = [];
+    const newestSeqs = new Map(); // key -> highest seq stored anywhere
+    const checkSorted = (entries, where) => {
+      entries.forEach((entry, idx) => {
+        newestSeqs.set(
+          entry[0],
+          Math.max(newestSeqs.get(entry[0]) ?? -1, entry[2])
+        );
+        const prev = entries[idx - 1];
+        if (!prev) return;
+        const order = compare(prev[0], entry[0]);
+        if (order > 0 || (order === 0 && prev[2] <= entry[2])) {
+          problems.push(
+            `${where}: "${prev[0]}" (seq ${prev[2]}) is stored before "${entry[0]}" (seq ${entry[2]}).`
+          );
+        }
+      });
+    };
+    this._memtablesNewestFirst().forEach(({ memtable, component }) =>
+      checkSorted(memtable.getDataForViz(), component)
+    );
+    this.levels.forEach((level, levelIdx) => {
+      level.forEach((sstable) =>
+        checkSorted(sstable.data, `L${levelIdx} SSTable ${sstable.id}`)
+      );
+      if (!this.compactionStrategy.isSortedRun(levelIdx)) return;
+      level.forEach((sstable, idx) => {
+        const prev = level[idx - 1];
+        // A table ending with a range tombstone does not include its maxKey
+        if (
+          prev &&
+          compare(prev.maxKey, sstable.minKey) >= (prev.maxKeyExclusive ? 1 : 0)
+        ) {
+          problems.push(
+            `L${levelIdx}: SSTable ${prev.id} [${prev.minKey} - ${prev.maxKey}] overlaps or precedes ${sstable.id} [${sstable.minKey} - ${sstable.maxKey}].`
+          );
+        }
+      });
+    });
+
+    // A read returns the newest stored version, or the newest range tombstone
+    // covering the key if that is newer still
+    const rangeTombstones = [
+      ...this._memtablesNewestFirst().flatMap(
+        ({ memtable }) => memtable.rangeTombstones
+      ),
+      ...this.levels.flat().flatMap((sstable) => sstable.rangeTombstones),
+    ];
+    const probe = LSMTree.deserialize(this.serialize());
+    newestSeqs.forEach((newestSeq, key) => {
+      const seq = Math.max(
+        newestSeq,
+        rangeTombstoneSeq(rangeTombstones, key, Infinity, compare)
+      );
+      const result = probe._get(key);
+      if (result.seq !== seq) {
+        problems.push(
+          `Read of "${key}" returned ${
+            result.seq === undefined ? "nothing" : `seq ${result.seq}`
+          }, but seq ${seq} is stored.`
+        );
+      }
+    });
+
+    const comparator =
+      this.config.keyComparator === "custom"
+        ? `custom: ${this.config.customComparator}`
+        : KEY_COMPARATORS[this.config.keyComparator].label;
+    this._addLog(
+      problems.length === 0
+        ? `Key order check (${comparator}): all ${newestSeqs.size} keys are in order and readable.`
+        : `Key order check (${comparator}) found ${problems.length} problem(s).`
+    );
+    return { comparator, keysChecked: newestSeqs.size, problems };
+  }
+
+  _sstableForViz(sstable) {
+    return sstableForViz(
+      sstable,
+      this.blockCache.entries
+        .filter((entry) => entry.tableId === sstable.id)
+        .map((entry) => entry.block)
+    );
+  }
+
+  _levelsForViz() {
+    return this.levels.map((level) =>
+      level.map((sstable) => this._sstableForViz(sstable))
+    );
+  }
+
+  // Resident blocks with the table and key range each one belongs to
+  _blockCacheForViz() {
+    const tables = new Map(
+      this.levels.flat().map((sstable) => [sstable.id, sstable])
+    );
+    const cache = this.blockCache.getDataForViz();
+    return {
+      ...cache,
+      entries: cache.entries.map((entry) => {
+        const sstable = tables.get(entry.tableId);
+        const block =
+          entry.block === "index" ? null : sstable?.blocks[entry.block];
+        return {
+          ...entry,
+          level: sstable?.level ?? null,
+          firstKey: block ? block.firstKey : sstable?.minKey ?? null,
+          lastKey: block ? block.lastKey : sstable?.maxKey ?? null,
+        };
+      }),
     };
   }
 
   getState() {
     return {
       memtable: this.memtable.getDataForViz(),
-      levels: this.levels.map((level) =>
-        level.map((sstable) => ({
-          id: sstable.id,
-          level: sstable.level,
-          data: sstable.getDataForViz(),
-          minKey: sstable.minKey,
-          maxKey: sstable.maxKey,
-        }))
-      ),
+      memtableId: this.memtable.id,
+      memtableRangeTombstones: [...this.memtable.rangeTombstones],
+      memtableSkipList: this.memtable.getSkipListForViz(),
+      immutableMemtables: this.immutableMemtables.map((memtable) => ({
+        id: memtable.id,
+        data: memtable.getDataForViz(),
+        rangeTombstones: [...memtable.rangeTombstones],
+        skipList: memtable.getSkipListForViz(),
+      })),
+      clock: this.clock,
+      flushJob: this.flushJob ? { ...this.flushJob } : null,
+      compactionJob: this._serializeCompactionJob(),
+      writeStall: this.getWriteStallState(),
+      writeStalls: this.writeStalls.map((stall) => ({ ...stall })),
+      levels: this._levelsForViz(),
+      compactionTraces: [...this.compactionTraces], // Return a copy
+      operationCount: this.operationCount,
+      metricsSamples: [...this.metricsSamples], // Return a copy
+      compactionEvents: [...this.compactionEvents],
+      wal: this.wal.getDataForViz(),
+      lastRecovery: this.lastRecovery,
+      lastSequence: this.lastSequence,
+      snapshots: this.getSnapshotPins(),
+      blockCache: this._blockCacheForViz(),
       log: [...this.log], // Return a copy
       config: { ...this.config }, // Return a copy
       metrics: this.getMetrics(),
     };
   }
 
+  // Unlike getState(), which is a rendering snapshot, this captures everything
+  // needed to rebuild a working tree via LSMTree.deserialize().
+  serialize() {
+    return {
+      schemaVersion: LSM_STATE_SCHEMA_VERSION,
+      config: { ...this.config },
+      memtable: this.memtable.serialize(),
+      immutableMemtables: this.immutableMemtables.map((memtable) => ({
+        ...memtable.serialize(),
+        walLsn: memtable.walLsn,
+      })),
+      nextMemtableId: this.nextMemtableId,
+      clock: this.clock,
+      flushJob: this.flushJob ? { ...this.flushJob } : null,
+      compactionJob: this._serializeCompactionJob(),
+      writeStalls: this.writeStalls.map((stall) => ({ ...stall })),
+      wal: this.wal.serialize(),
+      lastRecovery: this.lastRecovery,
+      lastSequence: this.lastSequence,
+      snapshots: this.snapshots.map((snapshot) => ({ ...snapshot })),
+      blockCache: this.blockCache.serialize(),
+      nextSnapshotId: this.nextSnapshotId,
+      operationCount: this.operationCount,
+      metricsSamples: this.metricsSamples.map((sample) => ({
+        ...sample,
+        levelItems: [...sample.levelItems],
+        levelBytes: [...(sample.levelBytes || [])],
+      })),
+      compactionEvents: this.compactionEvents.map((event) => ({ ...event })),
+      compactionTraces: this.compactionTraces.map((trace) => ({
+        ...trace,
+        removed: serializeTraceTables(trace.removed),
+        added: serializeTraceTables(trace.added),
+      })),
+      nextCompactionId: this.nextCompactionId,
+      keyLineage: Array.from(this.keyLineage.entries()).map(([key, events]) => [
+        key,
+        events.map((event) => ({ ...event })),
+      ]),
+      levels: this.levels.map((level) =>
+        level.map((sstable) => sstable.serialize())
+      ),
+      metrics: { ...this.metrics },
+      log: [...this.log],
+    };
+  }
+
+  static deserialize(blob) {
+    const state = validateState(migrateState(blob));
+    const tree = new LSMTree(state.config);
+    tree.memtable = MemTable.deserialize(
+      state.memtable,
+      tree.config.memtableMaxSize,
+      tree._memtableOptions()
+    );
+    tree.immutableMemtables = state.immutableMemtables.map((blob) => {
+      const memtable = MemTable.deserialize(
+        blob,
+        tree.config.memtableMaxSize,
+        tree._memtableOptions()
+      );
+      memtable.walLsn = blob.walLsn;
+      return memtable;
+    });
+    tree.nextMemtableId = state.nextMemtableId;
+    tree.clock = state.clock;
+    tree.flushJob = state.flushJob ? { ...state.flushJob } : null;
+    tree.wal = WriteAheadLog.deserialize(
+      state.wal,
+      tree.config.walSyncInterval,
+      tree.config.walSegmentMaxRecords
+    );
+    tree.lastRecovery = state.lastRecovery || null;
+    tree.lastSequence = state.lastSequence;
+    tree.snapshots = state.snapshots.map((snapshot) => ({ ...snapshot }));
+    tree.blockCache = BlockCache.deserialize(
+      state.blockCache,
+      tree.config.blockCacheCapacity,
+      tree.config.blockCachePolicy
+    );
+    tree.nextSnapshotId = state.nextSnapshotId;
+    tree.operationCount = state.operationCount;
+    tree.metricsSamples = state.metricsSamples.map((sample) => ({
+      ...sample,
+      levelItems: [...sample.levelItems],
+      levelBytes: [...(sample.levelBytes || [])],
+    }));
+    tree.compactionEvents = state.compactionEvents.map((event) => ({
+      ...event,
+    }));
+    const traceTables = (tables) =>
+      tables &&
+      tables.map((blob) => ({
+        ...sstableForViz(
+          SSTable.deserialize(blob, blob.level, tree._sstableOptions()),
+          blob.cachedBlocks
+        ),
+        index: blob.index,
+      }));
+    tree.compactionTraces = state.compactionTraces.map((trace) => ({
+      ...trace,
+      removed: traceTables(trace.removed),
+      added: traceTables(trace.added),
+    }));
+    tree.nextCompactionId = state.nextCompactionId;
+    tree.keyLineage = new Map(
+      state.keyLineage
+        .slice(-KEY_LINEAGE_MAX_KEYS)
+        .map(([key, events]) => [key, events.map((event) => ({ ...event }))])
+    );
+    tree.levels = tree.levels.map((_, levelIdx) =>
+      (state.levels[levelIdx] || []).map((sstable) =>
+        SSTable.deserialize(sstable, levelIdx, tree._sstableOptions())
+      )
+    );
+    if (state.compactionJob) {
+      // The job refers to its tables by id; point it back at the live ones
+      const tables = new Map(
+        tree.levels.flat().map((sstable) => [sstable.id, sstable])
+      );
+      const { job, ...progress } = state.compactionJob;
+      tree.compactionJob = {
+        ...progress,
+        job: {
+          ...job,
+          inputs: job.inputs.map((id) => tables.get(id)),
+          overlapping: job.overlapping.map((id) => tables.get(id)),
+        },
+      };
+    }
+    tree.writeStalls = state.writeStalls.map((stall) => ({ ...stall }));
+    tree.metrics = { ...tree.metrics, ...state.metrics };
+    tree.log = [...state.log];
+    return tree;
+  }
+
   reset(newConfigParams) {
     // Re-initialize with new or existing config
-    this.config = {
-      memtableMaxSize:
-        newConfigParams.memtableMaxSize || MEMTABLE_DEFAULT_MAX_SIZE,
-      l0MaxSSTables: newConfigParams.l0MaxSSTables || L0_DEFAULT_MAX_SSTABLES,
-      levelMaxSSTablesFactor:
-        newConfigParams.levelMaxSSTablesFactor || LEVEL_MAX_SSTABLES_FACTOR,
-      sstableMaxItems:
-        newConfigParams.sstableMaxItems || SSTABLE_DEFAULT_MAX_ITEMS,
-      maxLevels: newConfigParams.maxLevels || MAX_LEVELS,
-    };
-    this.memtable = new MemTable(this.config.memtableMaxSize);
-    this.levels = Array(this.config.maxLevels)
-      .fill(null)
-      .map(() => []);
-    this.log = [];
-    this.metrics = {
-      // Reset metrics
-      logicalWrites: 0,
-      itemsWrittenToSSTables: 0,
-      logicalReads: 0,
-      sstablesAccessedForRead: 0,
-      memtableLookupsForRead: 0,
-    };
+    this._init(newConfigParams);
     this._addLog("LSM Tree has been reset with new configuration.");
   }
 }
@@ -1,56 +1,233 @@
-import { TOMBSTONE } from "../constants";
+import {
+  TOMBSTONE,
+  ENTRY_TYPES,
+  MEMTABLE_DEFAULT_IMPLEMENTATION,
+} from "../constants";
+import { collapseVersions, bytewiseCompare, rangeTombstoneSeq } from "../utils";
+import SkipList from "./skiplist";
+import {
+  entriesBytes,
+  rangeTombstoneBytes,
+  rangeTombstonesBytes,
+} from "./sizing";
+
+// Data structures a MemTable can keep its keys in
+export const MEMTABLE_IMPLEMENTATIONS = {
+  map: {
+    name: "map",
+    label: "Hash map",
+    description:
+      "A JS Map: constant-time puts and gets, but the keys have to be sorted every time the MemTable is read in order, including at flush.",
+  },
+  skiplist: {
+    name: "skiplist",
+    label: "Skip list (LevelDB / RocksDB)",
+    description:
+      "Keys stay sorted on insert. Each key has a tower of forward pointers, and searches walk down from the top level in O(log n). A flush is an in-order walk of the bottom level.",
+  },
+};
 
 class MemTable {
-  constructor(maxSize) {
+  // options: { implementation, compareKeys (the key order of the tree),
+  // maxBytes (set when the MemTable is limited by size instead of entries) }
+  constructor(maxSize, id = 1, options = {}) {
+    this.id = id;
     this.maxSize = maxSize;
-    this.data = new Map();
-    this.mutationOrder = []; // To maintain rough order for visualization if needed
+    this.maxBytes = options.maxBytes || null;
+    this.implementation = MEMTABLE_IMPLEMENTATIONS[options.implementation]
+      ? options.implementation
+      : MEMTABLE_DEFAULT_IMPLEMENTATION;
+    this.compareKeys = options.compareKeys || bytewiseCompare;
+    // key -> versions as internal entries, newest first
+    this.data =
+      this.implementation === "skiplist"
+        ? new SkipList(this.compareKeys)
+        : new Map();
+    this.rangeTombstones = []; // { start, end, seq } from deleteRange, oldest first
+    this.mutationOrder = []; // To maintain rough order for visualization if needed (hash map only)
+    this.lastSearch = null; // Skip list only: { op, key, path } of the latest put or get
+    this.lastWrite = null; // { key, previousVersions, versions } of the latest put
+    this.bytes = 0; // Running total behind sizeBytes(), kept up to date on every write
   }
 
-  put(key, value) {
-    // If key wasn't present, it's a new addition to mutation order
-    if (!this.data.has(key)) {
-      // This check should ideally be done by LSMTree before calling put
-      // to ensure maxSize isn't exceeded if already full.
-      // For simplicity here, we just add.
-      this.mutationOrder.push(key);
+  // Older versions are kept only while a live snapshot can still see them.
+  // expiresAt is the clock tick a put with a TTL stops being visible at.
+  put(
+    key,
+    value,
+    seq,
+    type = ENTRY_TYPES.PUT,
+    snapshotSeqs = [],
+    expiresAt = null
+  ) {
+    let search = null;
+    let previousVersions;
+    if (this.implementation === "skiplist") {
+      // Keys are already in order, so there is no recency list to maintain.
+      // One search serves both the lookup and the insert.
+      search = this.data.search(key);
+      this.lastSearch = { op: "put", key, path: search.path };
+      previousVersions = search.found?.value || [];
     } else {
-      // Key exists, update its position in mutationOrder for recency if needed for specific flush orders
-      this.mutationOrder = this.mutationOrder.filter((k) => k !== key);
-      this.mutationOrder.push(key);
+      if (!this.data.has(key)) {
+        // If key wasn't present, it's a new addition to mutation order
+        // This check should ideally be done by LSMTree before calling put
+        // to ensure maxSize isn't exceeded if already full.
+        // For simplicity here, we just add.
+        this.mutationOrder.push(key);
+      } else {
+        // Key exists, update its position in mutationOrder for recency if needed for specific flush orders
+        this.mutationOrder = this.mutationOrder.filter((k) => k !== key);
+        this.mutationOrder.push(key);
+      }
+      previousVersions = this.data.get(key) || [];
     }
-    this.data.set(key, value);
-    return `Key "${key}" set in MemTable.`;
+    const entry =
+      expiresAt != null
+        ? [key, value, seq, type, expiresAt]
+        : [key, value, seq, type];
+    const versions = collapseVersions(
+      [entry, ...previousVersions],
+      snapshotSeqs
+    );
+    if (search) this.data.set(key, versions, search);
+    else this.data.set(key, versions);
+    this.bytes += entriesBytes(versions) - entriesBytes(previousVersions);
+    this.lastWrite = { key, previousVersions, versions };
+    return `Key "${key}" set in MemTable (seq ${seq}${
+      expiresAt != null ? `, expires at t=${expiresAt}` : ""
+    }).`;
+  }
+
+  get(key, snapshotSeq = Infinity) {
+    return this.getEntry(key, snapshotSeq)?.[1];
   }
 
-  get(key) {
-    return this.data.get(key);
+  getEntry(key, snapshotSeq = Infinity) {
+    return this.getVersions(key, snapshotSeq)[0];
+  }
+
+  // Versions visible at the snapshot, newest first. A read needs more than the
+  // newest one when it is a merge operand.
+  getVersions(key, snapshotSeq = Infinity) {
+    let versions;
+    if (this.implementation === "skiplist") {
+      const { found, path } = this.data.search(key);
+      this.lastSearch = { op: "get", key, path };
+      versions = found?.value;
+    } else {
+      versions = this.data.get(key);
+    }
+    return (versions || []).filter((version) => version[2] <= snapshotSeq);
   }
 
-  delete(key) {
+  delete(key, seq, snapshotSeqs = []) {
     // Deleting is like putting a tombstone value
-    return this.put(key, TOMBSTONE);
+    return this.put(key, TOMBSTONE, seq, ENTRY_TYPES.DELETE, snapshotSeqs);
   }
 
-  isFull() {
-    return this.data.size >= this.maxSize;
+  // The operand is stored as is; reads and compactions apply it to the older versions
+  merge(key, operand, seq, snapshotSeqs = []) {
+    this.put(key, operand, seq, ENTRY_TYPES.MERGE, snapshotSeqs);
+    return `Merge operand "${operand}" for key "${key}" added to MemTable (seq ${seq}).`;
+  }
+
+  // One tombstone for the whole range. Keys already in the MemTable keep their
+  // versions; reads compare sequence numbers to see which one wins.
+  deleteRange(start, end, seq) {
+    this.rangeTombstones.push({ start, end, seq });
+    this.bytes += rangeTombstoneBytes({ start, end });
+    return `Range ["${start}", "${end}") deleted in MemTable (seq ${seq}).`;
   }
 
-  flush() {
-    // Sort data by key before flushing
-    const sortedData = Array.from(this.data.entries()).sort((a, b) =>
-      a[0].localeCompare(b[0])
+  // Seq of the newest range tombstone covering key at the snapshot, or -1
+  rangeTombstoneSeq(key, snapshotSeq = Infinity) {
+    return rangeTombstoneSeq(
+      this.rangeTombstones,
+      key,
+      snapshotSeq,
+      this.compareKeys
     );
+  }
+
+  // A range tombstone takes a slot like a key does
+  isFull() {
+    return this.maxBytes
+      ? this.sizeBytes() >= this.maxBytes
+      : this.data.size + this.rangeTombstones.length >= this.maxSize;
+  }
+
+  isEmpty() {
+    return this.data.size === 0 && this.rangeTombstones.length === 0;
+  }
+
+  // Every stored version counts, including those kept for snapshots
+  sizeBytes() {
+    return this.bytes;
+  }
+
+  flush(snapshotSeqs = []) {
+    // Data leaves in key order (the hash map sorts it first); versions no reader can see are not written.
+    // The caller takes the range tombstones beforehand.
+    const sortedData = this.getDataForViz(snapshotSeqs);
     this.data.clear();
+    this.rangeTombstones = [];
     this.mutationOrder = [];
-    return sortedData; // Returns array of [key, value]
+    this.lastWrite = null;
+    this.bytes = 0;
+    return sortedData; // Returns array of internal entries
+  }
+
+  serialize() {
+    // Keep both the Map order and the recency order so a restored memtable
+    // is indistinguishable from the original.
+    return {
+      id: this.id,
+      entries: Array.from(this.data.entries()),
+      rangeTombstones: this.rangeTombstones.map((tombstone) => ({
+        ...tombstone,
+      })),
+      mutationOrder: [...this.mutationOrder],
+    };
   }
 
-  getDataForViz() {
-    // Return data sorted by key for visualization
-    return Array.from(this.data.entries()).sort((a, b) =>
-      a[0].localeCompare(b[0])
+  static deserialize(blob, maxSize, options = {}) {
+    const memtable = new MemTable(maxSize, blob?.id, options);
+    for (const [key, versions] of blob?.entries || []) {
+      memtable.data.set(key, versions);
+    }
+    memtable.rangeTombstones = (blob?.rangeTombstones || []).map(
+      (tombstone) => ({ ...tombstone })
     );
+    memtable.bytes = rangeTombstonesBytes(memtable.rangeTombstones);
+    for (const versions of memtable.data.values()) {
+      memtable.bytes += entriesBytes(versions);
+    }
+    if (memtable.implementation === "skiplist") return memtable;
+    memtable.mutationOrder =
+      Array.isArray(blob?.mutationOrder) && blob.mutationOrder.length
+        ? blob.mutationOrder.filter((key) => memtable.data.has(key))
+        : Array.from(memtable.data.keys());
+    return memtable;
+  }
+
+  getDataForViz(snapshotSeqs) {
+    // Return data sorted by key (newest version first) for visualization.
+    // A skip list already iterates in key order.
+    const keys = Array.from(this.data.keys());
+    if (this.implementation !== "skiplist") {
+      keys.sort(this.compareKeys);
+    }
+    return keys.flatMap((key) =>
+      snapshotSeqs
+        ? collapseVersions(this.data.get(key), snapshotSeqs)
+        : this.data.get(key)
+    );
+  }
+  // Tower heights and the latest search path, for the skip list view
+  getSkipListForViz() {
+    if (this.implementation !== "skiplist") return null;
+    return { ...this.data.getTowersForViz(), lastSearch: this.lastSearch };
   }
 }
 export default MemTable;
@@ -0,0 +1,146 @@
+import { TOMBSTONE, ENTRY_TYPES, MERGE_OPERATOR_DEFAULT } from "../constants";
+import { bytewiseCompare } from "../utils";
+
+const INTEGER = /^-?\d+$/;
+const asNumber = (value) => {
+  const number = Number(value);
+  return value !== undefined && value.trim() !== "" && Number.isFinite(number)
+    ? number
+    : null;
+};
+const setItems = (value) =>
+  value === undefined || value === "" ? [] : value.split(",");
+
+// Built-in merge operators, one per tree. `merge` applies operands (oldest
+// first) to an existing value, or to nothing when existing is undefined. All of
+// them are associative, so the same function also combines operands without
+// a base (a partial merge) and the result is a valid operand again.
+// `validate` returns why an operand is rejected, or null.
+export const MERGE_OPERATORS = {
+  add: {
+    name: "add",
+    label: "Integer add (counters)",
+    description:
+      'Operands are integers added to the value, like RocksDB\'s uint64add: "merge hits 1" counts. A base value that is not an integer counts as 0.',
+    merge: (existing, operands) =>
+      String(
+        operands.reduce(
+          (sum, operand) => sum + Number(operand),
+          INTEGER.test(existing ?? "") ? Number(existing) : 0
+        )
+      ),
+    validate: (operand) =>
+      INTEGER.test(operand) ? null : `"${operand}" is not an integer.`,
+  },
+  append: {
+    name: "append",
+    label: "String append (lists)",
+    description:
+      "Operands are appended to the value with a comma, like RocksDB's StringAppendOperator: an append-only list.",
+    merge: (existing, operands) =>
+      (existing === undefined ? operands : [existing, ...operands]).join(","),
+    validate: () => null,
+  },
+  max: {
+    name: "max",
+    label: "Max",
+    description:
+      "The value is the largest number among itself and the operands. A base value that is not a number is ignored.",
+    merge: (existing, operands) =>
+      String(
+        Math.max(
+          ...[existing, ...operands]
+            .map(asNumber)
+            .filter((number) => number !== null)
+        )
+      ),
+    validate: (operand) =>
+      asNumber(operand) !== null ? null : `"${operand}" is not a number.`,
+  },
+  union: {
+    name: "union",
+    label: "Set union",
+    description:
+      'Values and operands are comma-separated sets; the value becomes their union, sorted: "merge tags b,a" onto "c" gives "a,b,c".',
+    merge: (existing, operands) =>
+      [...new Set([existing, ...operands].flatMap(setItems))]
+        .sort(bytewiseCompare)
+        .join(","),
+    validate: () => null,
+  },
+};
+
+export const getMergeOperator = (name) =>
+  MERGE_OPERATORS[name] || MERGE_OPERATORS[MERGE_OPERATOR_DEFAULT];
+
+// The value a put or delete leaves for merge operands to apply to
+export const mergeBase = (entry) =>
+  entry && entry[1] !== TOMBSTONE ? entry[1] : undefined;
+
+// Folds the merge operands among one key's versions (newest first) during a
+// compaction. A run of operands with a put or delete below it becomes a put of
+// the merged value; without one, the run is combined into a single operand, or
+// into a put when nothing older can exist below the output (bottommost). A run
+// never crosses a snapshot boundary, so every snapshot still reads what it did.
+// A put with a TTL is not folded into, as the operands outlive its value.
+// The folded entry keeps the sequence number of the newest operand.
+export const foldMergeOperands = (
+  versions,
+  operator,
+  snapshotSeqs = [],
+  bottommost = false
+) => {
+  const sameStripe = (newer, older) =>
+    !snapshotSeqs.some(
+      (snapshotSeq) => older[2] <= snapshotSeq && snapshotSeq < newer[2]
+    );
+  const folded = [];
+  let i = 0;
+  while (i < versions.length) {
+    const newest = versions[i];
+    if (newest[3] !== ENTRY_TYPES.MERGE) {
+      folded.push(newest);
+      i++;
+      continue;
+    }
+    let j = i + 1;
+    while (
+      j < versions.length &&
+      versions[j][3] === ENTRY_TYPES.MERGE &&
+      sameStripe(versions[j - 1], versions[j])
+    ) {
+      j++;
+    }
+    const operands = versions
+      .slice(i, j)
+      .reverse()
+      .map(([, operand]) => operand);
+    const base = versions[j];
+    const [key, , seq] = newest;
+    if (base && base[4] == null && sameStripe(versions[j - 1], base)) {
+      folded.push([
+        key,
+        operator.merge(mergeBase(base), operands),
+        seq,
+        ENTRY_TYPES.PUT,
+      ]);
+      i = j + 1;
+    } else if (!base && bottommost) {
+      folded.push([
+        key,
+        operator.merge(undefined, operands),
+        seq,
+        ENTRY_TYPES.PUT,
+      ]);
+      i = j;
+    } else {
+      folded.push(
+        j - i > 1
+          ? [key, operator.merge(undefined, operands), seq, ENTRY_TYPES.MERGE]
+          : newest
+      );
+      i = j;
+    }
+  }
+  return folded;
+};
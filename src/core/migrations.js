@@ -0,0 +1,370 @@
+import WriteAheadLog from "./wal";
+import {
+  LSM_STATE_SCHEMA_VERSION,
+  TOMBSTONE,
+  ENTRY_TYPES,
+  WAL_DEFAULT_SEGMENT_MAX_RECORDS,
+  DEFAULT_LSM_CONFIG,
+  CONFIG_LIMITS,
+} from "../constants";
+
+// Counters that getMetrics() derives on the fly; they must not be restored as raw metrics.
+const DERIVED_METRICS = [
+  "writeAmplification",
+  "readAmplificationSSTables",
+  "bloomFalsePositiveRate",
+];
+
+// Each migration upgrades a blob from version N to N + 1.
+const MIGRATIONS = {
+  // v0 is the rendered snapshot from LSMTree.getState() that older builds persisted.
+  0: (blob) => {
+    const metrics = { ...(blob.metrics || {}) };
+    DERIVED_METRICS.forEach((name) => delete metrics[name]);
+    return {
+      schemaVersion: 1,
+      config: { ...(blob.config || {}) },
+      memtable: { entries: blob.memtable || [], mutationOrder: [] },
+      levels: (blob.levels || []).map((level, levelIdx) =>
+        (level || []).map((sstable) => ({
+          id: sstable.id,
+          level: sstable.level ?? levelIdx,
+          data: sstable.data || [],
+        }))
+      ),
+      metrics,
+      log: blob.log || [],
+    };
+  },
+
+  // v2 adds the write-ahead log. Treat whatever was in the MemTable as already
+  // logged and fsynced, so a crash right after restoring loses nothing.
+  1: (blob) => {
+    const { entries = [], mutationOrder = [] } = blob.memtable || {};
+    const values = new Map(entries);
+    const order = mutationOrder.length ? mutationOrder : [...values.keys()];
+    const wal = new WriteAheadLog(
+      1,
+      blob.config?.walSegmentMaxRecords || WAL_DEFAULT_SEGMENT_MAX_RECORDS
+    );
+    order.forEach((key) => {
+      const value = values.get(key);
+      wal.append(value === TOMBSTONE ? "delete" : "put", key, value);
+    });
+    return { ...blob, schemaVersion: 2, wal: wal.serialize() };
+  },
+
+  // v3 stores internal keys [key, value, seq, type]. Sequence numbers are handed
+  // out oldest data first: deepest level up to L0 (older tables first within a
+  // level), then the MemTable writes in WAL order, so newer data still wins.
+  2: (blob) => {
+    let seq = 0;
+    const toInternal = ([key, value]) => [
+      key,
+      value,
+      ++seq,
+      value === TOMBSTONE ? ENTRY_TYPES.DELETE : ENTRY_TYPES.PUT,
+    ];
+    const levels = [...blob.levels]
+      .map((level, levelIdx) => ({ level, levelIdx }))
+      .reverse()
+      .reduce((acc, { level, levelIdx }) => {
+        acc[levelIdx] = level.map((sstable) => ({
+          ...sstable,
+          data: sstable.data.map(toInternal),
+        }));
+        return acc;
+      }, []);
+
+    const walRecords = (blob.wal?.records || []).map((record) => ({
+      ...record,
+      seq: ++seq,
+    }));
+    const lastWrite = new Map(walRecords.map((record) => [record.key, record]));
+    const entries = (blob.memtable?.entries || []).map(([key, value]) => [
+      key,
+      [
+        [
+          key,
+          value,
+          lastWrite.get(key)?.seq ?? ++seq,
+          value === TOMBSTONE ? ENTRY_TYPES.DELETE : ENTRY_TYPES.PUT,
+        ],
+      ],
+    ]);
+
+    return {
+      ...blob,
+      schemaVersion: 3,
+      levels,
+      memtable: { ...blob.memtable, entries },
+      wal: { ...blob.wal, records: walRecords },
+      lastSequence: seq,
+      snapshots: [],
+      nextSnapshotId: 1,
+    };
+  },
+
+  // v4 adds immutable MemTables waiting for a background flush and the
+  // simulated clock. Older trees flushed synchronously, so the queue is empty.
+  3: (blob) => ({
+    ...blob,
+    schemaVersion: 4,
+    memtable: { ...blob.memtable, id: blob.memtable?.id ?? 1 },
+    immutableMemtables: [],
+    nextMemtableId: (blob.memtable?.id ?? 1) + 1,
+    clock: 0,
+    flushJob: null,
+  }),
+
+  // v5 adds the metrics time series. Older trees have no history to plot, so
+  // the charts start from the restored state.
+  4: (blob) => ({
+    ...blob,
+    schemaVersion: 5,
+    operationCount: 0,
+    metricsSamples: [],
+    compactionEvents: [],
+  }),
+
+  // v6 adds per-key provenance. What happened to keys before is unknown, so
+  // every key starts with an empty history.
+  5: (blob) => ({ ...blob, schemaVersion: 6, keyLineage: [] }),
+
+  // v7 adds the block cache. Older trees start with a cold cache.
+  6: (blob) => ({
+    ...blob,
+    schemaVersion: 7,
+    blockCache: { entries: [], hand: 0 },
+  }),
+
+  // v8 makes the key order configurable. Older trees were sorted with
+  // localeCompare, so they keep that order.
+  7: (blob) => ({
+    ...blob,
+    schemaVersion: 8,
+    config: { ...blob.config, keyComparator: "locale" },
+  }),
+
+  // v9 adds background compaction and write stalls. Older trees had neither.
+  8: (blob) => ({
+    ...blob,
+    schemaVersion: 9,
+    compactionJob: null,
+    writeStalls: [],
+  }),
+
+  // v10 adds range tombstones to MemTables and SSTables. Older trees had none.
+  9: (blob) => ({
+    ...blob,
+    schemaVersion: 10,
+    memtable: { ...blob.memtable, rangeTombstones: [] },
+    immutableMemtables: (blob.immutableMemtables || []).map((memtable) => ({
+      ...memtable,
+      rangeTombstones: [],
+    })),
+    levels: (blob.levels || []).map((level) =>
+      (level || []).map((sstable) => ({ ...sstable, rangeTombstones: [] }))
+    ),
+  }),
+
+  // v11 keeps compaction playback traces. Older trees start without any, but
+  // the ids carry on past those key lineage already refers to.
+  10: (blob) => ({
+    ...blob,
+    schemaVersion: 11,
+    compactionTraces: [],
+    nextCompactionId:
+      Math.max(
+        0,
+        ...(blob.keyLineage || []).flatMap(([, events]) =>
+          events.map((event) => event.compactionId ?? 0)
+        )
+      ) + 1,
+  }),
+
+  // v12 traces keep only the tables a compaction touched instead of copies of
+  // every level, so traces saved in the old layout are dropped
+  11: (blob) => ({ ...blob, schemaVersion: 12, compactionTraces: [] }),
+};
+
+const isObject = (value) =>
+  value !== null && typeof value === "object" && !Array.isArray(value);
+const ENTRY_TYPE_NAMES = Object.values(ENTRY_TYPES);
+
+// Checks the shape of a migrated state before a tree is built from it, so a
+// damaged or hand-edited save fails here, naming the part that is wrong,
+// instead of on some later read. Throws an Error fit to show to the user.
+export const validateState = (state) => {
+  const fail = (what) => {
+    throw new Error(
+      `Cannot restore LSM Tree: ${what}. The saved state is damaged or was edited by hand.`
+    );
+  };
+  const checkEntry = (entry, where, key) => {
+    const [entryKey, value, seq, type, expiresAt] = Array.isArray(entry)
+      ? entry
+      : [];
+    if (
+      typeof entryKey !== "string" ||
+      (key !== undefined && entryKey !== key) ||
+      typeof value !== "string" ||
+      !Number.isInteger(seq) ||
+      !ENTRY_TYPE_NAMES.includes(type) ||
+      (expiresAt != null && !Number.isInteger(expiresAt))
+    ) {
+      fail(`${where} has a malformed entry ${JSON.stringify(entry)}`);
+    }
+  };
+  const checkRangeTombstones = (tombstones, where) => {
+    if (tombstones === undefined) return;
+    if (
+      !Array.isArray(tombstones) ||
+      !tombstones.every(
+        (tombstone) =>
+          isObject(tombstone) &&
+          typeof tombstone.start === "string" &&
+          typeof tombstone.end === "string" &&
+          Number.isInteger(tombstone.seq)
+      )
+    ) {
+      fail(`${where} has malformed range tombstones`);
+    }
+  };
+  const checkMemtable = (memtable, where) => {
+    if (!isObject(memtable) || !Array.isArray(memtable.entries)) {
+      fail(`${where} is missing its entries`);
+    }
+    memtable.entries.forEach((item) => {
+      const [key, versions] = Array.isArray(item) ? item : [];
+      if (!Array.isArray(versions) || versions.length === 0) {
+        fail(`${where} has no versions for key ${JSON.stringify(key)}`);
+      }
+      versions.forEach((entry) => checkEntry(entry, where, key));
+    });
+    checkRangeTombstones(memtable.rangeTombstones, where);
+  };
+
+  if (!isObject(state.config)) fail("the config is missing");
+  // A missing setting falls back to its default; a present one must be in range
+  Object.keys(DEFAULT_LSM_CONFIG)
+    .filter((name) => typeof DEFAULT_LSM_CONFIG[name] === "number")
+    .forEach((name) => {
+      const value = state.config[name];
+      const { min = 1, max = Infinity } = CONFIG_LIMITS[name] || {};
+      if (
+        value != null &&
+        !(Number.isInteger(value) && value >= min && value <= max)
+      ) {
+        fail(
+          `setting "${name}" is ${JSON.stringify(
+            value
+          )}, but must be a whole number from ${min}${
+            max === Infinity ? " up" : ` to ${max}`
+          }`
+        );
+      }
+    });
+  if (!isObject(state.metrics)) fail("the metrics are missing");
+  checkMemtable(state.memtable, "the MemTable");
+  [
+    "immutableMemtables",
+    "levels",
+    "snapshots",
+    "writeStalls",
+    "metricsSamples",
+    "compactionEvents",
+    "compactionTraces",
+    "keyLineage",
+    "log",
+  ].forEach((name) => {
+    if (!Array.isArray(state[name])) fail(`"${name}" must be a list`);
+  });
+  state.immutableMemtables.forEach((memtable, idx) =>
+    checkMemtable(memtable, `immutable MemTable ${idx + 1}`)
+  );
+  state.levels.forEach((level, levelIdx) => {
+    if (!Array.isArray(level)) fail(`level L${levelIdx} must be a list`);
+    level.forEach((sstable, idx) => {
+      const where = `SSTable ${idx + 1} of L${levelIdx}`;
+      if (!isObject(sstable) || !Array.isArray(sstable.data)) {
+        fail(`${where} is missing its data`);
+      }
+      sstable.data.forEach((entry) => checkEntry(entry, where));
+      checkRangeTombstones(sstable.rangeTombstones, where);
+    });
+  });
+  if (state.compactionJob != null) {
+    // A background job refers to the tables it reads by id
+    const { job } = isObject(state.compactionJob) ? state.compactionJob : {};
+    const isLevel = (levelIdx) =>
+      Number.isInteger(levelIdx) &&
+      levelIdx >= 0 &&
+      levelIdx < state.levels.length;
+    if (
+      !isObject(job) ||
+      !isLevel(job.sourceLevel) ||
+      !isLevel(job.targetLevel) ||
+      !Array.isArray(job.inputs) ||
+      !Array.isArray(job.overlapping) ||
+      !Number.isInteger(state.compactionJob.remainingTicks)
+    ) {
+      fail("the background compaction is malformed");
+    }
+    const tableIds = new Set(
+      state.levels.flatMap((level) => level.map((sstable) => sstable.id))
+    );
+    const missing = [...job.inputs, ...job.overlapping].find(
+      (id) => !tableIds.has(id)
+    );
+    if (missing !== undefined) {
+      fail(
+        `the background compaction reads SSTable ${JSON.stringify(
+          missing
+        )}, which is in no level`
+      );
+    }
+  }
+  if (!isObject(state.wal) || !Array.isArray(state.wal.records)) {
+    fail("the write-ahead log is missing its records");
+  }
+  [
+    "clock",
+    "lastSequence",
+    "nextMemtableId",
+    "nextSnapshotId",
+    "nextCompactionId",
+    "operationCount",
+  ].forEach((name) => {
+    if (!Number.isInteger(state[name]) || state[name] < 0) {
+      fail(`"${name}" must be a whole number`);
+    }
+  });
+  return state;
+};
+
+export const migrateState = (blob) => {
+  if (!blob || typeof blob !== "object") {
+    throw new Error(
+      "Cannot restore LSM Tree: saved state is empty or invalid."
+    );
+  }
+  let migrated = blob;
+  let version = blob.schemaVersion ?? 0;
+  if (version > LSM_STATE_SCHEMA_VERSION) {
+    throw new Error(
+      `Cannot restore LSM Tree: saved state uses schema v${version}, newer than supported v${LSM_STATE_SCHEMA_VERSION}.`
+    );
+  }
+  while (version < LSM_STATE_SCHEMA_VERSION) {
+    const migration = MIGRATIONS[version];
+    if (!migration) {
+      throw new Error(
+        `Cannot restore LSM Tree: no migration from schema v${version}.`
+      );
+    }
+    migrated = migration(migrated);
+    version = migrated.schemaVersion;
+  }
+  return migrated;
+};
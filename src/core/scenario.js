@@ -0,0 +1,262 @@
+import LSMTree from "./lsm_tree";
+import OperationHistory from "./history";
+import { runScript } from "./commands";
+import { SCENARIO_FORMAT, SCENARIO_VERSION } from "../constants";
+
+// Prefix of a scenario stored in the URL hash: #scenario=<codec>.<base64url>
+const HASH_PREFIX = "#scenario=";
+
+// Parts of a serialized tree that only explain how it got here. The tree reads,
+// writes and compacts the same without them, so share links leave them out.
+const DIAGNOSTIC_STATE = [
+  "log",
+  "keyLineage",
+  "compactionTraces",
+  "metricsSamples",
+  "compactionEvents",
+  "writeStalls",
+];
+
+// A copy of an LSMTree.serialize() result with the diagnostics emptied
+export const withoutDiagnostics = (state) => ({
+  ...state,
+  ...Object.fromEntries(DIAGNOSTIC_STATE.map((field) => [field, []])),
+});
+
+// A scenario is everything needed to reopen the visualizer in the same state:
+// the tree (which carries its own config and schema version), the undo/redo
+// history and the last read. Share links leave the history and the
+// diagnostics out to stay short.
+export const exportScenario = ({
+  tree,
+  history,
+  readValue = null,
+  readPath = [],
+  name = "Untitled scenario",
+  includeHistory = true,
+  includeDiagnostics = true,
+}) => {
+  const state = tree.serialize();
+  return {
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    name,
+    createdAt: new Date().toISOString(),
+    tree: includeDiagnostics ? state : withoutDiagnostics(state),
+    history: includeHistory && history ? history.serialize() : null,
+    readValue,
+    readPath,
+  };
+};
+
+// A read path as LSMTree.get() returns it: one { component, id, status } per
+// place the read looked. The visualizers match its items by id.
+export const isReadPath = (readPath) =>
+  Array.isArray(readPath) &&
+  readPath.every(
+    (item) =>
+      item !== null &&
+      typeof item === "object" &&
+      typeof item.component === "string" &&
+      ["string", "number"].includes(typeof item.id) &&
+      typeof item.status === "string"
+  );
+
+// Validates a parsed scenario and rebuilds a working tree (and history) from it.
+// Throws an Error with a message fit to show to the user.
+export const importScenario = (scenario) => {
+  if (!scenario || typeof scenario !== "object" || Array.isArray(scenario)) {
+    throw new Error("Invalid scenario: expected a JSON object.");
+  }
+  if (scenario.format !== SCENARIO_FORMAT) {
+    throw new Error("Invalid scenario: this is not an LSM tree scenario file.");
+  }
+  if (!Number.isInteger(scenario.version) || scenario.version < 1) {
+    throw new Error("Invalid scenario: missing or malformed format version.");
+  }
+  if (scenario.version > SCENARIO_VERSION) {
+    throw new Error(
+      `Incompatible scenario: format v${scenario.version} is newer than supported v${SCENARIO_VERSION}.`
+    );
+  }
+  if (
+    !scenario.tree ||
+    typeof scenario.tree !== "object" ||
+    Array.isArray(scenario.tree)
+  ) {
+    throw new Error("Invalid scenario: missing tree state.");
+  }
+  // Exported trees always carry their schema version; without one the blob
+  // would be taken for a legacy save and quietly come back empty
+  if (!Number.isInteger(scenario.tree.schemaVersion)) {
+    throw new Error(
+      "Invalid scenario: the tree state has no schema version, so it was not exported by this app."
+    );
+  }
+  if (scenario.readPath != null && !isReadPath(scenario.readPath)) {
+    throw new Error(
+      "Invalid scenario: readPath must be a list of { component, id, status } steps."
+    );
+  }
+
+  let tree;
+  let history = null;
+  try {
+    tree = LSMTree.deserialize(scenario.tree);
+    if (scenario.history) {
+      history = OperationHistory.deserialize(scenario.history);
+    }
+  } catch (error) {
+    throw new Error(`Invalid scenario: ${error.message}`);
+  }
+  // Every step of the timeline has to restore, or undo would fail later
+  history?.entries.forEach((entry, idx) => {
+    try {
+      LSMTree.deserialize(JSON.parse(entry.state));
+    } catch (error) {
+      throw new Error(
+        `Invalid scenario: history step ${idx + 1} ("${
+          entry.label
+        }") cannot be restored. ${error.message}`
+      );
+    }
+  });
+  if (!history || history.entries.length === 0) {
+    // Start a fresh timeline rooted at the imported state
+    history = new OperationHistory();
+    history.record({ type: "import", name: scenario.name }, tree);
+  }
+  return {
+    name: scenario.name || "Untitled scenario",
+    tree,
+    history,
+    readValue: scenario.readValue ?? null,
+    readPath: scenario.readPath || [],
+  };
+};
+
+export const parseScenarioFile = (text) => {
+  let scenario;
+  try {
+    scenario = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Invalid scenario: the file is not valid JSON.");
+  }
+  return importScenario(scenario);
+};
+
+const bytesToBase64Url = (bytes) => {
+  let binary = "";
+  // Chunked, since spreading a large array into fromCharCode overflows the stack
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+};
+
+const base64UrlToBytes = (text) => {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64 + "=".repeat((4 - (base64.length % 4)) % 4));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+const streamBytes = (bytes, transform) =>
+  new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer();
+
+// Deflate when the browser supports CompressionStream ("z"), plain JSON otherwise ("j")
+export const encodeScenarioHash = async (scenario) => {
+  const json = new TextEncoder().encode(JSON.stringify(scenario));
+  if (typeof CompressionStream === "undefined") {
+    return `${HASH_PREFIX}j.${bytesToBase64Url(json)}`;
+  }
+  const deflated = await streamBytes(
+    json,
+    new CompressionStream("deflate-raw")
+  );
+  return `${HASH_PREFIX}z.${bytesToBase64Url(new Uint8Array(deflated))}`;
+};
+
+export const hasScenarioHash = (hash) => (hash || "").startsWith(HASH_PREFIX);
+
+export const decodeScenarioHash = async (hash) => {
+  const [codec, payload] = hash.slice(HASH_PREFIX.length).split(".");
+  if (!payload || (codec !== "z" && codec !== "j")) {
+    throw new Error("Invalid scenario link: unrecognised encoding.");
+  }
+  let text;
+  try {
+    const bytes = base64UrlToBytes(payload);
+    text = new TextDecoder().decode(
+      codec === "z"
+        ? await streamBytes(bytes, new DecompressionStream("deflate-raw"))
+        : bytes
+    );
+  } catch (error) {
+    throw new Error("Invalid scenario link: the data is truncated or corrupt.");
+  }
+  return parseScenarioFile(text);
+};
+
+// Built-in examples are console scripts run against a fresh tree, so they stay
+// valid whatever the serialized format looks like.
+export const EXAMPLE_SCENARIOS = [
+  {
+    id: "deep-tree",
+    name: "Deep tree",
+    description:
+      "Small MemTables and tight level limits push data down to L3 and beyond.",
+    config: {
+      memtableMaxSize: 3,
+      l0MaxSSTables: 2,
+      levelMaxSSTablesFactor: 2,
+      sstableMaxItems: 4,
+    },
+    script: `repeat 120 put k{i} v{i}
+repeat 40 put k{i} updated{i}
+flush`,
+  },
+  {
+    id: "tombstone-storm",
+    name: "Tombstone storm",
+    description:
+      "Most keys are deleted after being flushed; tombstones linger until they reach the bottom level.",
+    config: { memtableMaxSize: 5, l0MaxSSTables: 3 },
+    script: `repeat 60 put user{i} profile{i}
+flush
+repeat 50 del user{i}
+flush
+scan user0 user9`,
+  },
+  {
+    id: "hot-key",
+    name: "Hot key",
+    description:
+      "One key is overwritten constantly, with a snapshot pinning an old version of it.",
+    config: { memtableMaxSize: 5 },
+    script: `repeat 20 put user{i} x{i}
+repeat 30 put hot v{i}
+snapshot
+repeat 30 put hot w{i}
+flush
+get hot`,
+  },
+];
+
+export const buildExampleScenario = (exampleId) => {
+  const example = EXAMPLE_SCENARIOS.find((e) => e.id === exampleId);
+  if (!example) throw new Error(`Unknown example scenario "${exampleId}".`);
+  const tree = new LSMTree(example.config);
+  runScript(tree, example.script);
+  const history = new OperationHistory();
+  history.record({ type: "import", name: example.name }, tree);
+  return {
+    name: example.name,
+    tree,
+    history,
+    readValue: null,
+    readPath: [],
+  };
+};
@@ -0,0 +1,50 @@
+import {
+  TOMBSTONE,
+  ENTRY_OVERHEAD_BYTES,
+  TTL_TIMESTAMP_BYTES,
+} from "../constants";
+
+// What the MemTable, SSTable and level limits of the config count
+export const SIZE_LIMIT_UNITS = {
+  entries: {
+    name: "entries",
+    label: "Entries",
+    description:
+      "Limits count entries and tables, whatever their size: a 1 KB value takes as much room as a 10-byte one.",
+  },
+  bytes: {
+    name: "bytes",
+    label: "Bytes (RocksDB)",
+    description:
+      "Limits are byte budgets, as in real engines: MemTables and SSTables fill up by the size of their entries, and L1+ by the bytes they hold. L0 is still limited by its number of SSTables.",
+  },
+};
+
+// Size of one internal entry: key + value + the sequence number and type
+// stored with it, + the expiry time if it has a TTL. One byte per character,
+// as in the WAL; tombstones have no value.
+export const entryBytes = ([key, value, , , expiresAt]) =>
+  String(key).length +
+  (value === TOMBSTONE ? 0 : String(value ?? "").length) +
+  ENTRY_OVERHEAD_BYTES +
+  (expiresAt != null ? TTL_TIMESTAMP_BYTES : 0);
+
+export const entriesBytes = (entries) =>
+  entries.reduce((sum, entry) => sum + entryBytes(entry), 0);
+
+// A range tombstone stores both bounds of its range and a sequence number
+export const rangeTombstoneBytes = ({ start, end }) =>
+  String(start).length + String(end).length + ENTRY_OVERHEAD_BYTES;
+
+export const rangeTombstonesBytes = (rangeTombstones) =>
+  rangeTombstones.reduce(
+    (sum, tombstone) => sum + rangeTombstoneBytes(tombstone),
+    0
+  );
+
+export const formatBytes = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : `${(bytes / 1024).toFixed(1)} KB`;
+
+// The byte budget of a MemTable, or null when MemTables are limited by entries
+export const memtableMaxBytes = (config) =>
+  config.sizeLimitUnit === "bytes" ? config.memtableMaxBytes : null;
@@ -0,0 +1,113 @@
+import { fnv1a, bytewiseCompare } from "../utils";
+import { SKIPLIST_MAX_HEIGHT } from "../constants";
+
+// Tower height: one level, plus one more for each low hash bit that is set, so
+// a tower reaches level n with probability 1/2^n. Taking it from the key's hash
+// instead of a random draw means a restored skip list has the same shape.
+const towerHeight = (key) => {
+  let hash = fnv1a(String(key));
+  let height = 1;
+  while (height < SKIPLIST_MAX_HEIGHT && (hash & 1) === 1) {
+    height++;
+    hash >>>= 1;
+  }
+  return height;
+};
+
+// Ordered map with the part of the Map interface MemTable relies on, so it can
+// stand in for one. Keys are kept sorted on insert; iterating needs no sort.
+class SkipList {
+  constructor(compareKeys = bytewiseCompare) {
+    this.compareKeys = compareKeys;
+    this.head = { key: null, value: undefined, next: [] };
+    this.height = 1; // Levels currently in use
+    this.size = 0;
+  }
+
+  // Starts at the top level of the head tower and moves right while the next
+  // key is smaller, dropping a level whenever it would overshoot. Returns the
+  // last node before key on each level, the node holding key (if any) and the
+  // nodes the search stood on, as { level, key } with key null for the head.
+  search(key) {
+    const update = [];
+    const path = [];
+    let node = this.head;
+    for (let level = this.height - 1; level >= 0; level--) {
+      path.push({ level, key: node.key });
+      while (
+        node.next[level] &&
+        this.compareKeys(node.next[level].key, key) < 0
+      ) {
+        node = node.next[level];
+        path.push({ level, key: node.key });
+      }
+      update[level] = node;
+    }
+    const found = node.next[0]?.key === key ? node.next[0] : null;
+    if (found) path.push({ level: 0, key });
+    return { update, found, path };
+  }
+
+  get(key) {
+    return this.search(key).found?.value;
+  }
+
+  has(key) {
+    return this.search(key).found !== null;
+  }
+
+  // A caller that has just searched for key can pass the result along
+  set(key, value, { update, found } = this.search(key)) {
+    if (found) {
+      found.value = value;
+      return this;
+    }
+    const height = towerHeight(key);
+    for (let level = this.height; level < height; level++) {
+      update[level] = this.head; // New levels start at the head
+    }
+    this.height = Math.max(this.height, height);
+    const node = { key, value, next: [] };
+    for (let level = 0; level < height; level++) {
+      node.next[level] = update[level].next[level] || null;
+      update[level].next[level] = node;
+    }
+    this.size++;
+    return this;
+  }
+
+  clear() {
+    this.head.next = [];
+    this.height = 1;
+    this.size = 0;
+  }
+
+  // In key order: the bottom level links every node
+  *entries() {
+    for (let node = this.head.next[0]; node; node = node.next[0]) {
+      yield [node.key, node.value];
+    }
+  }
+
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  // Every node's tower height, in key order
+  getTowersForViz() {
+    const nodes = [];
+    for (let node = this.head.next[0]; node; node = node.next[0]) {
+      nodes.push({ key: node.key, height: node.next.length });
+    }
+    return { height: this.height, nodes };
+  }
+}
+export default SkipList;
@@ -1,23 +1,260 @@
-import { sstableGet } from "../utils";
+import { sstableGet, bytewiseCompare, rangeTombstoneSeq } from "../utils";
+import BloomFilter from "./bloom_filter";
+import { entriesBytes, rangeTombstonesBytes } from "./sizing";
+import {
+  BLOOM_DEFAULT_BITS_PER_KEY,
+  BLOOM_DEFAULT_HASH_COUNT,
+  SSTABLE_DEFAULT_BLOCK_SIZE,
+  SSTABLE_DEFAULT_RESTART_INTERVAL,
+  ENTRY_TYPES,
+} from "../constants";
+
+// Cuts sorted entries into data blocks of about blockSize entries. A key's
+// versions never straddle two blocks, so a block may run over the size a little.
+// Within a block every restartInterval-th entry is a restart point: it stores
+// its full key, while the keys in between only store what differs from the
+// previous key (prefix compression). Blocks are [start, end) ranges over data.
+const buildBlocks = (data, blockSize, restartInterval) => {
+  const blocks = [];
+  let start = 0;
+  for (let i = 1; i <= data.length; i++) {
+    const keyEnds = i === data.length || data[i][0] !== data[i - 1][0];
+    if (keyEnds && (i === data.length || i - start >= blockSize)) {
+      const restarts = [];
+      for (let offset = 0; offset < i - start; offset += restartInterval) {
+        restarts.push(start + offset);
+      }
+      blocks.push({
+        start,
+        end: i,
+        firstKey: data[start][0],
+        lastKey: data[i - 1][0],
+        restarts,
+      });
+      start = i;
+    }
+  }
+  return blocks;
+};
+
+const sharedPrefixLength = (a, b) => {
+  let length = 0;
+  while (length < a.length && length < b.length && a[length] === b[length]) {
+    length++;
+  }
+  return length;
+};
 
 class SSTable {
-  constructor(id, level, data = []) {
-    // data is an array of [key, value] sorted by key
+  constructor(id, level, data = [], options = {}) {
+    // data is an array of internal entries [key, value, seq, type],
+    // sorted by key and then newest version first
     this.id = id;
     this.level = level;
     this.data = data; // Data is expected to be sorted by key
+    this.compareKeys = options.compareKeys || bytewiseCompare; // The order data is sorted in
+    // The range deletion block: { start, end, seq }, sorted by start
+    this.rangeTombstones = [...(options.rangeTombstones || [])].sort(
+      (a, b) => this.compareKeys(a.start, b.start) || b.seq - a.seq
+    );
+    // The key range covers the range tombstones too, or a compaction could
+    // leave older data they delete behind. A tombstone's end is exclusive, so
+    // when it sets maxKey, maxKey itself is outside the table.
     this.minKey = data.length > 0 ? data[0][0] : null;
     this.maxKey = data.length > 0 ? data[data.length - 1][0] : null;
+    this.maxKeyExclusive = false;
+    this.rangeTombstones.forEach(({ start, end }) => {
+      if (this.minKey === null || this.compareKeys(start, this.minKey) < 0) {
+        this.minKey = start;
+      }
+      if (this.maxKey === null || this.compareKeys(end, this.maxKey) > 0) {
+        this.maxKey = end;
+        this.maxKeyExclusive = true;
+      }
+    });
+    this.sizeBytes =
+      entriesBytes(data) + rangeTombstonesBytes(this.rangeTombstones);
+    this.blockSize = options.blockSize || SSTABLE_DEFAULT_BLOCK_SIZE;
+    this.restartInterval =
+      options.restartInterval || SSTABLE_DEFAULT_RESTART_INTERVAL;
+    this.blocks = buildBlocks(data, this.blockSize, this.restartInterval);
+    // The filter is built once, when the table is written, and never changes afterwards
+    this.bloomFilter =
+      options.bloomFilter ||
+      BloomFilter.fromKeys(
+        data.map(([key]) => key),
+        options.bloomBitsPerKey || BLOOM_DEFAULT_BITS_PER_KEY,
+        options.bloomHashCount || BLOOM_DEFAULT_HASH_COUNT
+      );
   }
 
-  get(key) {
-    return sstableGet(this.data, key);
+  get(key, snapshotSeq = Infinity) {
+    return this.getEntry(key, snapshotSeq)?.[1];
+  }
+
+  getEntry(key, snapshotSeq = Infinity) {
+    return sstableGet(this.data, key, snapshotSeq, this.compareKeys);
+  }
+
+  // Seq of the newest range tombstone covering key at the snapshot, or -1.
+  // Range tombstones are not in the Bloom filter, so a read checks them first.
+  rangeTombstoneSeq(key, snapshotSeq = Infinity) {
+    return rangeTombstoneSeq(
+      this.rangeTombstones,
+      key,
+      snapshotSeq,
+      this.compareKeys
+    );
+  }
+
+  // Whether key falls in the table's key range, range tombstones included
+  coversKey(key) {
+    if (this.minKey === null) return false;
+    const upper = this.compareKeys(key, this.maxKey);
+    return (
+      this.compareKeys(key, this.minKey) >= 0 &&
+      (upper < 0 || (upper === 0 && !this.maxKeyExclusive))
+    );
+  }
+
+  // True if any version of key is stored, visible to a snapshot or not
+  hasKey(key) {
+    return sstableGet(this.data, key, Infinity, this.compareKeys) !== undefined;
+  }
+
+  // A point lookup the way a block-based reader does it: binary search the
+  // index block (first key of each data block) for the only block that can hold
+  // the key, then jump to the last restart point before the key and scan forward
+  // from there. A restart can fall on an older version of the key, so it has to
+  // be strictly before it or the newer versions would be skipped.
+  // Reports what was read, so callers can count block reads.
+  lookup(key, snapshotSeq = Infinity) {
+    let low = 0;
+    let high = this.blocks.length - 1;
+    let blockIdx = null;
+    let indexProbes = 0;
+    while (low <= high) {
+      const mid = Math.floor((low + high) / 2);
+      indexProbes++;
+      if (this.compareKeys(this.blocks[mid].firstKey, key) <= 0) {
+        blockIdx = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+    const miss = {
+      entry: undefined,
+      versions: [], // Visible versions read, newest first: merge operands down to a base
+      keyExists: false,
+      blockIdx,
+      indexProbes,
+      restart: null, // Index into data of the restart point the scan began at
+      entriesScanned: 0,
+    };
+    if (
+      blockIdx === null ||
+      this.compareKeys(key, this.blocks[blockIdx].lastKey) > 0
+    ) {
+      // Before the first block, or between two blocks: no data block is read
+      return { ...miss, blockIdx: null };
+    }
+
+    const { end, restarts } = this.blocks[blockIdx];
+    let restart = restarts[0];
+    for (const offset of restarts) {
+      if (this.compareKeys(this.data[offset][0], key) >= 0) break;
+      restart = offset;
+    }
+    let entriesScanned = 0;
+    let keyExists = false;
+    const versions = [];
+    for (
+      let i = restart;
+      i < end && this.compareKeys(this.data[i][0], key) <= 0;
+      i++
+    ) {
+      entriesScanned++;
+      if (this.data[i][0] !== key) continue;
+      keyExists = true;
+      if (this.data[i][2] > snapshotSeq) continue;
+      versions.push(this.data[i]);
+      // A merge operand is not the whole value: keep reading older versions
+      if (this.data[i][3] !== ENTRY_TYPES.MERGE) break;
+    }
+    return {
+      ...miss,
+      entry: versions[0],
+      versions,
+      keyExists,
+      restart,
+      entriesScanned,
+    };
+  }
+
+  // Data blocks a scan over [startKey, endKey] has to read (empty bounds are open)
+  blocksInRange(startKey, endKey) {
+    return this.blocks
+      .map((block, idx) => ({ block, idx }))
+      .filter(
+        ({ block }) =>
+          (!startKey || this.compareKeys(block.lastKey, startKey) >= 0) &&
+          (!endKey || this.compareKeys(block.firstKey, endKey) <= 0)
+      )
+      .map(({ idx }) => idx);
+  }
+
+  // Blocks with each entry's shared-prefix length, as the visualizer draws them
+  getBlocksForViz() {
+    return this.blocks.map(({ start, end, firstKey, lastKey, restarts }) => ({
+      firstKey,
+      lastKey,
+      sizeBytes: entriesBytes(this.data.slice(start, end)),
+      entries: this.data.slice(start, end).map((entry, offset) => {
+        const restart = restarts.includes(start + offset);
+        return {
+          entry,
+          restart,
+          sharedPrefix: restart
+            ? 0
+            : sharedPrefixLength(entry[0], this.data[start + offset - 1][0]),
+        };
+      }),
+    }));
+  }
+
+  mightContain(key) {
+    return this.bloomFilter.mightContain(key);
   }
 
   getDataForViz() {
     return this.data;
   }
 
+  serialize() {
+    return {
+      id: this.id,
+      level: this.level,
+      data: this.data,
+      rangeTombstones: this.rangeTombstones.map((tombstone) => ({
+        ...tombstone,
+      })),
+      bloomFilter: this.bloomFilter.serialize(),
+    };
+  }
+
+  static deserialize(blob, level = blob.level, options = {}) {
+    // minKey/maxKey are derived from data, so they are not trusted from the blob.
+    // Blobs saved before Bloom filters existed get a freshly built filter.
+    return new SSTable(blob.id, level, blob.data || [], {
+      ...options,
+      rangeTombstones: blob.rangeTombstones || [],
+      bloomFilter: blob.bloomFilter
+        ? BloomFilter.deserialize(blob.bloomFilter)
+        : undefined,
+    });
+  }
+
   getKeyRange() {
     return { minKey: this.minKey, maxKey: this.maxKey };
   }
@@ -26,7 +263,12 @@ class SSTable {
   overlaps(minKey, maxKey) {
     if (!this.minKey || !this.maxKey || !minKey || !maxKey) return false; // No overlap if any range is undefined
     // Overlap exists if one range's start is before the other's end, AND one range's end is after the other's start.
-    return this.minKey <= maxKey && this.maxKey >= minKey;
+    // An exclusive maxKey only touches a range that starts at it.
+    const upper = this.compareKeys(this.maxKey, minKey);
+    return (
+      this.compareKeys(this.minKey, maxKey) <= 0 &&
+      (upper > 0 || (upper === 0 && !this.maxKeyExclusive))
+    );
   }
 }
 export default SSTable;
@@ -0,0 +1,126 @@
+import {
+  TOMBSTONE,
+  WAL_RECORD_HEADER_BYTES,
+  TTL_TIMESTAMP_BYTES,
+} from "../constants";
+
+// Approximate on-disk size of one log record
+const recordBytes = (key, value, expiresAt) =>
+  WAL_RECORD_HEADER_BYTES +
+  String(key).length +
+  (value === TOMBSTONE ? 0 : String(value ?? "").length) +
+  (expiresAt != null ? TTL_TIMESTAMP_BYTES : 0);
+
+// Write-ahead log. Every write is appended here before it reaches the MemTable,
+// so un-flushed MemTable contents can be rebuilt after a crash. Records become
+// durable only at an fsync; anything appended after the last fsync is lost on crash.
+class WriteAheadLog {
+  constructor(syncInterval, segmentMaxRecords) {
+    this.syncInterval = syncInterval;
+    this.segmentMaxRecords = segmentMaxRecords;
+    this.records = []; // { lsn, seq, op, key, value, expiresAt?, bytes, segment, synced, syncBoundary }
+    this.nextLsn = 1;
+    this.segment = 1; // Current segment (log file) number, never reused
+    this.unsyncedCount = 0;
+  }
+
+  append(op, key, value, seq, expiresAt = null) {
+    const segmentRecords = this.records.filter(
+      (record) => record.segment === this.segment
+    );
+    if (segmentRecords.length >= this.segmentMaxRecords) {
+      this.sync(); // Closing a segment file fsyncs it
+      this.segment++;
+    }
+    const record = {
+      lsn: this.nextLsn++,
+      seq,
+      op,
+      key,
+      value: op === "delete" ? TOMBSTONE : value,
+      ...(expiresAt != null && { expiresAt }), // Puts with a TTL only
+      bytes: recordBytes(key, op === "delete" ? TOMBSTONE : value, expiresAt),
+      segment: this.segment,
+      synced: false,
+      syncBoundary: false,
+    };
+    this.records.push(record);
+    this.unsyncedCount++;
+    const synced = this.unsyncedCount >= this.syncInterval;
+    if (synced) this.sync();
+    return { record, synced };
+  }
+
+  // Group commit: one fsync makes every pending record durable
+  sync() {
+    if (this.unsyncedCount === 0) return false;
+    this.records.forEach((record) => {
+      record.synced = true;
+    });
+    this.records[this.records.length - 1].syncBoundary = true;
+    this.unsyncedCount = 0;
+    return true;
+  }
+
+  // A new MemTable gets a new log segment, so its records can be dropped
+  // independently once the previous MemTable has been flushed.
+  rotate() {
+    this.sync(); // Closing a segment file fsyncs it
+    if (this.records.some((record) => record.segment === this.segment)) {
+      this.segment++;
+    }
+  }
+
+  // Called once the MemTable the records protect is safely in an SSTable.
+  // Drops every record up to and including upToLsn (by default, all of them).
+  truncate(upToLsn = Infinity) {
+    const before = this.records.length;
+    this.records = this.records.filter((record) => record.lsn > upToLsn);
+    if (this.records.length === 0) {
+      this.unsyncedCount = 0;
+      this.segment++;
+    }
+    return before - this.records.length;
+  }
+
+  lastLsn() {
+    return this.nextLsn - 1;
+  }
+
+  // Simulates a process crash followed by recovery. Returns the durable records
+  // to replay (in LSN order) and the ones lost because they were never fsynced.
+  crash() {
+    const lost = this.records.filter((record) => !record.synced);
+    this.records = this.records.filter((record) => record.synced);
+    this.unsyncedCount = 0;
+    return { replay: [...this.records], lost };
+  }
+
+  getDataForViz() {
+    return {
+      records: this.records.map((record) => ({ ...record })),
+      segment: this.segment,
+      syncInterval: this.syncInterval,
+      segmentMaxRecords: this.segmentMaxRecords,
+    };
+  }
+
+  serialize() {
+    return {
+      records: this.records.map((record) => ({ ...record })),
+      nextLsn: this.nextLsn,
+      segment: this.segment,
+      unsyncedCount: this.unsyncedCount,
+    };
+  }
+
+  static deserialize(blob, syncInterval, segmentMaxRecords) {
+    const wal = new WriteAheadLog(syncInterval, segmentMaxRecords);
+    wal.records = (blob?.records || []).map((record) => ({ ...record }));
+    wal.nextLsn = blob?.nextLsn || wal.records.length + 1;
+    wal.segment = blob?.segment || 1;
+    wal.unsyncedCount = blob?.unsyncedCount || 0;
+    return wal;
+  }
+}
+export default WriteAheadLog;
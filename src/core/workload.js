@@ -0,0 +1,164 @@
+import { ZIPFIAN_CONSTANT } from "../constants";
+
+// mulberry32: a tiny seeded PRNG, so a workload can be replayed exactly
+export const createRng = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Cumulative probabilities of ranks 0..n-1 under Zipf's law. Sampling is a
+// binary search for the first rank whose cumulative weight exceeds u.
+const zipfianCdf = (n, theta) => {
+  const weights = Array.from({ length: n }, (_, rank) =>
+    Math.pow(1 / (rank + 1), theta)
+  );
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  let cumulative = 0;
+  return weights.map((w) => (cumulative += w / total));
+};
+
+const sampleCdf = (cdf, u) => {
+  let low = 0;
+  let high = cdf.length - 1;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (cdf[mid] > u) high = mid;
+    else low = mid + 1;
+  }
+  return low;
+};
+
+export const WORKLOAD_DISTRIBUTIONS = {
+  uniform: {
+    label: "Uniform",
+    description: "Every key is equally likely.",
+  },
+  zipfian: {
+    label: "Zipfian",
+    description: "A few hot keys get most of the traffic (low key numbers).",
+  },
+  sequential: {
+    label: "Sequential",
+    description:
+      "Writes insert keys in order; reads pick any key written so far.",
+  },
+  latest: {
+    label: "Latest",
+    description:
+      "Writes insert keys in order; reads favour the most recently inserted ones.",
+  },
+};
+
+const OP_TYPES = ["get", "put", "delete", "scan"];
+
+// Produces a stream of operations for the given mix and key distribution, and
+// can drive an LSMTree with them. Keys are zero-padded so that their sort order
+// matches their number.
+class WorkloadGenerator {
+  constructor(config) {
+    this.config = { ...config };
+    this.rng = createRng(config.seed);
+    this.keyWidth = String(Math.max(1, config.keyCount - 1)).length;
+    this.insertCursor = 0; // Next key number for sequential and latest inserts
+    this.zipfCdf =
+      config.distribution === "zipfian" || config.distribution === "latest"
+        ? zipfianCdf(config.keyCount, ZIPFIAN_CONSTANT)
+        : null;
+    this.opsRun = 0;
+    this.counts = { get: 0, put: 0, delete: 0, scan: 0 };
+  }
+
+  keyName(keyNum) {
+    return `key${String(keyNum).padStart(this.keyWidth, "0")}`;
+  }
+
+  _randomInt(max) {
+    return Math.floor(this.rng() * max);
+  }
+
+  _pickOpType() {
+    const { readRatio, writeRatio, deleteRatio, scanRatio } = this.config;
+    const weights = [readRatio, writeRatio, deleteRatio, scanRatio].map((w) =>
+      Math.max(0, w || 0)
+    );
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    if (total === 0) return "get";
+    let u = this.rng() * total;
+    for (let i = 0; i < weights.length; i++) {
+      if (u < weights[i]) return OP_TYPES[i];
+      u -= weights[i];
+    }
+    return OP_TYPES[OP_TYPES.length - 1];
+  }
+
+  _pickKeyNum(forInsert) {
+    const { distribution, keyCount } = this.config;
+    const inserted = Math.min(this.insertCursor, keyCount);
+    switch (distribution) {
+      case "zipfian":
+        return sampleCdf(this.zipfCdf, this.rng());
+      case "sequential":
+        if (forInsert) return this.insertCursor++ % keyCount;
+        return this._randomInt(Math.max(1, inserted));
+      case "latest": {
+        if (forInsert) return this.insertCursor++ % keyCount;
+        const newest = Math.max(0, this.insertCursor - 1);
+        const back = sampleCdf(this.zipfCdf, this.rng());
+        return (((newest - back) % keyCount) + keyCount) % keyCount;
+      }
+      default:
+        return this._randomInt(keyCount);
+    }
+  }
+
+  _randomValue() {
+    const chars = "abcdefghijklmnopqrstuvwxyz0123456789";
+    let value = "";
+    for (let i = 0; i < Math.max(1, this.config.valueSize); i++) {
+      value += chars[this._randomInt(chars.length)];
+    }
+    return value;
+  }
+
+  nextOp() {
+    const type = this._pickOpType();
+    const keyNum = this._pickKeyNum(type === "put");
+    const key = this.keyName(keyNum);
+    if (type === "put") return { type, key, value: this._randomValue() };
+    if (type === "scan") {
+      const endNum = Math.min(
+        keyNum + Math.max(1, this.config.scanLength) - 1,
+        this.config.keyCount - 1
+      );
+      return { type, key, endKey: this.keyName(endNum) };
+    }
+    return { type, key };
+  }
+
+  // Runs `count` operations against the tree, and the same operations against
+  // every mirror tree, and returns how many of each ran
+  run(tree, count, mirrors = []) {
+    const counts = { get: 0, put: 0, delete: 0, scan: 0 };
+    for (let i = 0; i < count; i++) {
+      const op = this.nextOp();
+      [tree, ...mirrors].forEach((target) => {
+        if (op.type === "put") target.put(op.key, op.value);
+        else if (op.type === "delete") target.delete(op.key);
+        else if (op.type === "scan") target.scan(op.key, op.endKey);
+        else target.get(op.key);
+      });
+      counts[op.type]++;
+      this.counts[op.type]++;
+      this.opsRun++;
+    }
+    return counts;
+  }
+}
+
+export default WorkloadGenerator;
@@ -1,18 +1,150 @@
+import { TOMBSTONE, ENTRY_TYPES } from "../constants";
+
+// 32-bit FNV-1a. The seed lets us derive two independent hashes for double hashing.
+export const fnv1a = (str, seed = 0x811c9dc5) => {
+  let hash = seed >>> 0;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash >>> 0;
+};
+
 export const generateSSTableId = () =>
   `sstable-${Date.now()}-${Math.random().toString(36).substr(2, 5)}`;
 
-export const sstableGet = (data, key) => {
+// Plain string order by UTF-16 code unit, the default key order
+export const bytewiseCompare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// Entries are internal keys: [userKey, value, seq, type].
+// Sorted by user key ascending, then by seq descending (newest version first).
+export const internalEntryComparator =
+  (compareKeys = bytewiseCompare) =>
+  (a, b) =>
+    compareKeys(a[0], b[0]) || b[2] - a[2];
+
+// An entry written with a TTL is invisible once the clock reaches its expiry
+// time, as if a tombstone had replaced it; only compaction reclaims its space.
+export const isExpired = (entry, clock) =>
+  entry[4] != null && entry[4] <= clock;
+
+// Returns the newest version of key with seq <= snapshotSeq, or undefined.
+// data must be sorted with the same compareKeys.
+export const sstableGet = (
+  data,
+  key,
+  snapshotSeq = Infinity,
+  compareKeys = bytewiseCompare
+) => {
+  // Binary search for the first entry of this key (its newest version)
   let low = 0;
   let high = data.length - 1;
+  let first = -1;
   while (low <= high) {
     const mid = Math.floor((low + high) / 2);
     if (data[mid][0] === key) {
-      return data[mid][1];
-    } else if (data[mid][0] < key) {
+      first = mid;
+      high = mid - 1;
+    } else if (compareKeys(data[mid][0], key) < 0) {
       low = mid + 1;
     } else {
       high = mid - 1;
     }
   }
-  return undefined;
+  if (first === -1) return undefined;
+  for (let i = first; i < data.length && data[i][0] === key; i++) {
+    if (data[i][2] <= snapshotSeq) return data[i];
+  }
+  return undefined; // Only versions newer than the snapshot exist
+};
+
+// Range tombstones are { start, end, seq } and delete every key in [start, end)
+// written before seq. Returns the seq of the newest one covering key that is
+// visible at snapshotSeq, or -1 if none does.
+export const rangeTombstoneSeq = (
+  rangeTombstones,
+  key,
+  snapshotSeq = Infinity,
+  compareKeys = bytewiseCompare
+) =>
+  rangeTombstones.reduce(
+    (newest, { start, end, seq }) =>
+      seq <= snapshotSeq &&
+      seq > newest &&
+      compareKeys(start, key) <= 0 &&
+      compareKeys(key, end) < 0
+        ? seq
+        : newest,
+    -1
+  );
+
+// The part of each range tombstone inside [lower, upper), where a null bound
+// is open. Used to split range tombstones across the output SSTables of a compaction.
+export const clipRangeTombstones = (
+  rangeTombstones,
+  lower,
+  upper,
+  compareKeys = bytewiseCompare
+) =>
+  rangeTombstones
+    .map(({ start, end, seq }) => ({
+      start: lower !== null && compareKeys(start, lower) < 0 ? lower : start,
+      end: upper !== null && compareKeys(end, upper) > 0 ? upper : end,
+      seq,
+    }))
+    .filter(({ start, end }) => compareKeys(start, end) < 0);
+
+// Joins the pieces of one range tombstone (same seq, touching ranges) that a
+// split left in neighbouring SSTables, once they meet again in a compaction
+export const mergeRangeTombstones = (
+  rangeTombstones,
+  compareKeys = bytewiseCompare
+) => {
+  const sorted = [...rangeTombstones].sort(
+    (a, b) => b.seq - a.seq || compareKeys(a.start, b.start)
+  );
+  const merged = [];
+  for (const tombstone of sorted) {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      last.seq === tombstone.seq &&
+      compareKeys(tombstone.start, last.end) <= 0
+    ) {
+      if (compareKeys(tombstone.end, last.end) > 0) last.end = tombstone.end;
+    } else {
+      merged.push({ ...tombstone });
+    }
+  }
+  return merged;
+};
+
+// Given every version of one key (newest first), keep only those some reader can
+// still see: the newest one (for current reads) plus, for each live snapshot,
+// the newest version at or below its sequence number. A merge operand needs
+// the versions below it down to a put or delete, so those are kept as well.
+// When nothing older can exist below (bottommost compaction), trailing
+// tombstones shadow nothing and go too.
+export const collapseVersions = (
+  versions,
+  snapshotSeqs = [],
+  dropTombstones = false
+) => {
+  const kept = [];
+  [Infinity, ...snapshotSeqs].forEach((snapshotSeq) => {
+    let idx = versions.findIndex((version) => version[2] <= snapshotSeq);
+    while (idx >= 0 && idx < versions.length) {
+      if (!kept.includes(versions[idx])) kept.push(versions[idx]);
+      idx = versions[idx][3] === ENTRY_TYPES.MERGE ? idx + 1 : -1;
+    }
+  });
+  kept.sort((a, b) => b[2] - a[2]);
+  while (
+    dropTombstones &&
+    kept.length > 0 &&
+    kept[kept.length - 1][1] === TOMBSTONE
+  ) {
+    kept.pop();
+  }
+  return kept;
 };
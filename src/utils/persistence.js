@@ -7,11 +7,14 @@ const STORAGE_KEYS = {
 };
 
 // Helper functions for localStorage operations
+// Returns whether the value was saved; a full storage quota is the usual failure
 export const saveToLocalStorage = (key, value) => {
   try {
     localStorage.setItem(key, JSON.stringify(value));
+    return true;
   } catch (error) {
     console.error('Error saving to localStorage:', error);
+    return false;
   }
 };
 
@@ -42,12 +45,19 @@ export const useLSMPersistence = (initialConfig) => {
     };
   };
 
-  // Save state to localStorage
-  const saveState = (config, treeState, readValue, readPath) => {
+  // Save state to localStorage. treeStates are outputs of LSMTree.serialize(),
+  // fullest first; the first one that fits is kept. If none does, the tree
+  // saved earlier is removed, since a reload would otherwise quietly bring
+  // back an older tree. Returns whether the tree was saved.
+  const saveState = (config, treeStates, readValue, readPath) => {
     saveToLocalStorage(STORAGE_KEYS.LSM_CONFIG, config);
-    saveToLocalStorage(STORAGE_KEYS.TREE_STATE, treeState);
     saveToLocalStorage(STORAGE_KEYS.READ_VALUE, readValue);
     saveToLocalStorage(STORAGE_KEYS.READ_PATH, readPath);
+    const saved = treeStates.some((treeState) =>
+      saveToLocalStorage(STORAGE_KEYS.TREE_STATE, treeState)
+    );
+    if (!saved) localStorage.removeItem(STORAGE_KEYS.TREE_STATE);
+    return saved;
   };
 
   // Clear persisted state